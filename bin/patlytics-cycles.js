@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * patlytics-cycles CLI
+ *
+ * Headless cycle check for CI and batch jobs, built on src/core/cycleDetection.
+ * The graph file may be adjacency-list JSON, a CSV/TSV edge list, DOT or GraphML.
+ *
+ *   patlytics-cycles check graph.json [--start 1] [--fix] [--strategy dfs|minimum] [--strict]
+ *                                     [--max-cycles 1000] [--output safe.json] [--format text|json]
+ *                                     [--include-types citation,...] [--exclude-types family,...]
+ *                                     [--dates] [--date-attribute filed]
+ *
+ * --fix never removes edges the graph marks "locked": true (see graphModel); loops made
+ * only of locked edges are reported as unresolvable.
+ *
+ * Exit codes: 0 graph is acyclic, 1 cycles found, 2 invalid input or usage.
+ * The exit code always describes the input graph, also when --fix removed its cycles;
+ * citations that --dates finds going forward in time are reported but do not change it.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+    ALL_NODES,
+    DEFAULT_MAX_CYCLES,
+    FIX_STRATEGIES,
+    findAllCycles,
+    findExternalNodes,
+    removeCycles
+} from '../src/core/cycleDetection.js';
+import { validateGraphInput } from '../src/core/graphValidation.js';
+import { isTypedGraph, readLocks, removeGraphEdges, toAdjacencyList } from '../src/core/graphModel.js';
+import { DEFAULT_DATE_ATTRIBUTE, checkTemporalConsistency, readFilingDates } from '../src/core/temporalConsistency.js';
+import { IMPORT_FORMATS, ImportError, detectFormat, importGraph } from '../src/core/graphImport.js';
+
+const EXIT_ACYCLIC = 0;
+const EXIT_CYCLES = 1;
+const EXIT_INVALID = 2;
+
+const USAGE = `Usage: patlytics-cycles check <graph.json> [options]
+
+Options:
+  --start <node>        Start node (default: analyse the whole graph)
+  --fix                 Remove edges until the graph is acyclic, keeping the ones marked "locked": true
+  --strategy <name>     Fix strategy: ${Object.values(FIX_STRATEGIES).join(' | ')} (default: ${FIX_STRATEGIES.DFS})
+  --strict              Treat neighbors that are not declared as nodes as invalid input
+  --max-cycles <n>      Maximum number of cycles to report (default: ${DEFAULT_MAX_CYCLES})
+  --include-types <t,…> Only analyse edges of these types (untyped edges are "citation")
+  --exclude-types <t,…> Leave edges of these types out of the analysis
+  --dates               Flag citations of later-filed documents; --fix removes those first
+  --date-attribute <a>  Node attribute holding the filing date (default: ${DEFAULT_DATE_ATTRIBUTE})
+  --output <file>       Write the fixed graph to a file (with --fix)
+  --format <format>     text | json (default: text)
+  -h, --help            Show this help`;
+
+// Input problems end the run with exit code 2
+class InputError extends Error {}
+
+const parseCommandLine = (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                start: { type: 'string' },
+                fix: { type: 'boolean', default: false },
+                strict: { type: 'boolean', default: false },
+                strategy: { type: 'string', default: FIX_STRATEGIES.DFS },
+                'max-cycles': { type: 'string', default: String(DEFAULT_MAX_CYCLES) },
+                'include-types': { type: 'string' },
+                'exclude-types': { type: 'string' },
+                dates: { type: 'boolean', default: false },
+                'date-attribute': { type: 'string', default: DEFAULT_DATE_ATTRIBUTE },
+                output: { type: 'string' },
+                format: { type: 'string', default: 'text' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new InputError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) return { help: true };
+
+    const [command, file] = positionals;
+    if (command !== 'check' || !file || positionals.length > 2) {
+        throw new InputError(command && command !== 'check' ? `Unknown command "${command}"` : 'Expected: check <graph.json>');
+    }
+    if (!['text', 'json'].includes(values.format)) {
+        throw new InputError(`Unknown format "${values.format}"`);
+    }
+    if (!Object.values(FIX_STRATEGIES).includes(values.strategy)) {
+        throw new InputError(`Unknown strategy "${values.strategy}"`);
+    }
+    const maxCycles = Number(values['max-cycles']);
+    if (!Number.isInteger(maxCycles) || maxCycles < 1) {
+        throw new InputError('--max-cycles must be a positive integer');
+    }
+    if (values.output && !values.fix) {
+        throw new InputError('--output requires --fix');
+    }
+    const typeList = (value) => value.split(',').map(type => type.trim()).filter(Boolean);
+    const edgeTypes = values['include-types'] === undefined && values['exclude-types'] === undefined ? undefined : {
+        include: values['include-types'] === undefined ? undefined : typeList(values['include-types']),
+        exclude: values['exclude-types'] === undefined ? undefined : typeList(values['exclude-types'])
+    };
+
+    return {
+        file,
+        startNode: values.start === undefined ? ALL_NODES : values.start,
+        fix: values.fix,
+        strict: values.strict,
+        strategy: values.strategy,
+        maxCycles,
+        edgeTypes,
+        dateAttribute: values.dates ? values['date-attribute'] : null,
+        output: values.output,
+        format: values.format
+    };
+};
+
+const formatIssue = (file, issue) => `${file}:${issue.line}:${issue.column}: ${issue.message}`;
+
+// Other formats are converted to an adjacency list first: { "node": ["neighbor", ...] }
+const readGraph = (file, strict) => {
+    let text;
+    try {
+        text = readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new InputError(`Cannot read ${file}: ${error.message}`);
+    }
+
+    if (detectFormat(text, file) !== IMPORT_FORMATS.JSON) {
+        try {
+            text = JSON.stringify(importGraph(text, { fileName: file }).graph);
+        } catch (error) {
+            if (!(error instanceof ImportError)) throw error;
+            throw new InputError(`${file}: ${error.message}`);
+        }
+    }
+
+    const { graph, document, issues } = validateGraphInput(text, { strict });
+    if (!graph) {
+        throw new InputError(issues.filter(issue => issue.severity === 'error').map(issue => formatIssue(file, issue)).join('\n'));
+    }
+    return { graphData: graph, document, warnings: issues.map(issue => formatIssue(file, issue)) };
+};
+
+const check = (options) => {
+    const { graphData: fullGraph, document, warnings } = readGraph(options.file, options.strict);
+    findExternalNodes(fullGraph).forEach(({ id, referencedBy }) => {
+        warnings.push(`${options.file}: node "${id}" is referenced by ${referencedBy.join(', ')} but not declared`);
+    });
+    const graphData = options.edgeTypes ? toAdjacencyList(document, { edgeTypes: options.edgeTypes }) : fullGraph;
+    const analysis = findAllCycles(graphData, options.startNode, { maxCycles: options.maxCycles });
+    if (analysis.error) throw new InputError(analysis.error);
+
+    const report = {
+        file: options.file,
+        start: options.startNode === ALL_NODES ? null : options.startNode,
+        acyclic: !analysis.found,
+        cycles: analysis.cycles,
+        truncated: analysis.truncated,
+        warnings
+    };
+
+    let preferred = [];
+    if (options.dateAttribute) {
+        const { dates, invalid } = readFilingDates(document, { attribute: options.dateAttribute });
+        invalid.forEach(({ id, value }) => {
+            warnings.push(`${options.file}: node "${id}" has ${options.dateAttribute} ${JSON.stringify(value)}, which is not a date`);
+        });
+        const temporal = checkTemporalConsistency(graphData, dates, { startNode: options.startNode, maxCycles: options.maxCycles });
+        report.temporal = {
+            consistent: temporal.consistent,
+            violations: temporal.violations,
+            cycles: temporal.cycles,
+            undatedNodes: temporal.undatedNodes
+        };
+        preferred = temporal.preferredRemovals;
+    }
+
+    if (options.fix && analysis.found) {
+        const locked = readLocks(document, { edgeTypes: options.edgeTypes });
+        const fix = removeCycles(graphData, options.startNode, { strategy: options.strategy, locked, preferred });
+        report.fix = {
+            strategy: fix.strategy,
+            removedEdges: fix.removedEdges,
+            cost: fix.cost,
+            resolved: fix.resolved,
+            conflicts: fix.conflicts,
+            safeGraph: fix.safeGraph
+        };
+        if (options.output) {
+            // Typed graphs keep their attributes and the edges the analysis left out
+            const output = isTypedGraph(document) ? removeGraphEdges(document, fix.removedEdges, { edgeTypes: options.edgeTypes }) : fix.safeGraph;
+            writeFileSync(options.output, `${JSON.stringify(output, null, 2)}\n`);
+        }
+    }
+
+    return report;
+};
+
+const formatTemporal = ({ violations, undatedNodes }) => [
+    violations.length === 0
+        ? '✓ no citation points to a later-filed document'
+        : `✗ ${violations.length} citation(s) of a later-filed document:`,
+    ...violations.map(({ source, target, sourceDate, targetDate, days, inCycle }) => (
+        `  ${source} (${sourceDate.slice(0, 10)}) → ${target} (${targetDate.slice(0, 10)}), ${days} day(s) later${inCycle ? ', on a loop' : ''}`
+    )),
+    ...(undatedNodes.length > 0 ? [`${undatedNodes.length} node(s) without a filing date were not checked`] : [])
+];
+
+const formatText = (report) => {
+    const temporal = report.temporal ? formatTemporal(report.temporal) : [];
+    if (report.acyclic) return [`✓ ${report.file}: no cycles found`, ...temporal].join('\n');
+
+    // With --dates each loop lists its impossible citations, the likeliest culprit first
+    const impossible = new Map((report.temporal ? report.temporal.cycles : []).map(cycle => [JSON.stringify(cycle.path), cycle.impossibleEdges]));
+    const lines = [
+        `✗ ${report.file}: ${report.cycles.length}${report.truncated ? '+' : ''} cycle(s) found`,
+        ...report.cycles.map(cycle => {
+            const edges = impossible.get(JSON.stringify(cycle)) || [];
+            const suffix = edges.length > 0 ? `  (impossible: ${edges.map(edge => `${edge.source}→${edge.target}`).join(', ')})` : '';
+            return `  ${cycle.join(' → ')}${suffix}`;
+        }),
+        ...temporal
+    ];
+    if (report.fix) {
+        // * marks the citations of later-filed documents that --dates had the fix remove first
+        const removed = report.fix.removedEdges.map(edge => `${edge.source}→${edge.target}${edge.preferred ? '*' : ''}`).join(', ');
+        lines.push(`Fix (${report.fix.strategy}): removed ${report.fix.removedEdges.length} edge(s) at cost ${report.fix.cost}: [${removed}]`);
+        if (!report.fix.resolved) lines.push(...report.fix.conflicts.map(conflict => `  ${conflict.explanation}`));
+    }
+    return lines.join('\n');
+};
+
+const main = (argv) => {
+    let options;
+    try {
+        options = parseCommandLine(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return EXIT_ACYCLIC;
+        }
+
+        const report = check(options);
+        if (options.format === 'text') report.warnings.forEach(warning => console.error(`warning: ${warning}`));
+        console.log(options.format === 'json' ? JSON.stringify(report, null, 2) : formatText(report));
+        return report.acyclic ? EXIT_ACYCLIC : EXIT_CYCLES;
+    } catch (error) {
+        if (!(error instanceof InputError)) throw error;
+        if (options && options.format === 'json') {
+            console.log(JSON.stringify({ error: error.message }, null, 2));
+        } else {
+            console.error(`patlytics-cycles: ${error.message}`);
+            if (!options) console.error(`\n${USAGE}`);
+        }
+        return EXIT_INVALID;
+    }
+};
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,61 @@
+import { afterAll, describe, expect, it } from 'vitest';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('./patlytics-cycles.js', import.meta.url));
+const directory = mkdtempSync(join(tmpdir(), 'patlytics-cycles-'));
+afterAll(() => rmSync(directory, { recursive: true, force: true }));
+
+const writeGraph = (name, content) => {
+    const file = join(directory, name);
+    writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+};
+
+const cli = (...args) => {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+    return { status, stdout, stderr };
+};
+
+describe('patlytics-cycles check', () => {
+    it('exits 0 for an acyclic graph', () => {
+        const { status, stdout } = cli('check', writeGraph('acyclic.json', { 1: ['2'], 2: [] }));
+        expect(status).toBe(0);
+        expect(stdout).toContain('no cycles found');
+    });
+
+    it('exits 1 and lists the cycles', () => {
+        const file = writeGraph('cyclic.json', { 1: ['2'], 2: ['3', '1'], 3: ['1'] });
+        const { status, stdout } = cli('check', file, '--format', 'json');
+        expect(status).toBe(1);
+        expect(JSON.parse(stdout)).toMatchObject({ acyclic: false, cycles: [['1', '2', '3', '1'], ['1', '2', '1']], truncated: false });
+    });
+
+    it('writes the fixed graph and still describes the input in the exit code', () => {
+        const file = writeGraph('fix.json', { 1: ['2'], 2: ['3', '1'], 3: ['1'] });
+        const output = join(directory, 'safe.json');
+        const { status, stdout } = cli('check', file, '--fix', '--strategy', 'minimum', '--output', output);
+        expect(status).toBe(1);
+        expect(stdout).toContain('Fix (minimum): removed 1 edge(s) at cost 1: [1→2]');
+        expect(JSON.parse(readFileSync(output, 'utf8'))).toEqual({ 1: [], 2: ['3', '1'], 3: ['1'] });
+        expect(cli('check', output).status).toBe(0);
+    });
+
+    it('keeps locked edges and reports the loops they hold', () => {
+        const file = writeGraph('locked.json', { 1: [{ target: '2', locked: true }], 2: { locked: true, edges: ['1'] } });
+        const { stdout } = cli('check', file, '--fix', '--format', 'json');
+        expect(JSON.parse(stdout).fix).toMatchObject({ removedEdges: [], resolved: false, conflicts: [{ loopPath: ['1', '2', '1'] }] });
+    });
+
+    it('exits 2 on invalid input and usage errors', () => {
+        const invalid = cli('check', writeGraph('invalid.json', '{\n  "1": ["2",]\n}'));
+        expect(invalid.status).toBe(2);
+        expect(invalid.stderr).toMatch(/invalid\.json:2:13: /);
+        expect(cli('check', writeGraph('start.json', { 1: [] }), '--start', '9').status).toBe(2);
+        expect(cli('check').status).toBe(2);
+        expect(cli('check', 'graph.json', '--strategy', 'guess').stderr).toContain('Unknown strategy "guess"');
+    });
+});
@@ -1,174 +1,980 @@
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useEffectEvent, useRef, useMemo, useDeferredValue } from 'react';
 import ReactFlow, {
   Background,
+  BaseEdge,
   Controls,
+  Panel,
   applyEdgeChanges,
   applyNodeChanges,
   MarkerType
 } from 'reactflow';
 import 'reactflow/dist/style.css';
-import { useCycleDetection, ACTION_TYPES } from './hooks/useCycleDetection';
-
-// Test cases for different scenarios
-const TEST_CASES = {
-  'patlytics_edge': {
-    name: 'Patlytics Edge Case',
-    description: 'The original infinite loop bug: 2→3→2',
-    data: `{
-  "1": ["2", "7"],
-  "2": ["3", "4"],
-  "3": ["2", "1"]
-}`
-  },
-  'self_loop': {
-    name: 'Self Loop',
-    description: 'Node points to itself: 1→1',
-    data: `{
-  "1": ["1", "2"],
-  "2": ["3"],
-  "3": []
-}`
-  },
-  'no_cycle': {
-    name: 'No Cycle (DAG)',
-    description: 'Directed Acyclic Graph - all paths safe',
-    data: `{
-  "1": ["2", "3"],
-  "2": ["4"],
-  "3": ["4"],
-  "4": []
-}`
-  },
-  'long_cycle': {
-    name: 'Long Cycle',
-    description: 'Cycle spans multiple nodes: 1→2→3→4→1',
-    data: `{
-  "1": ["2"],
-  "2": ["3"],
-  "3": ["4"],
-  "4": ["1"]
-}`
-  },
-  'complex': {
-    name: 'Complex Graph',
-    description: 'Multiple paths with hidden cycle',
-    data: `{
-  "A": ["B", "C"],
-  "B": ["D", "E"],
-  "C": ["F"],
-  "D": ["C"],
-  "E": ["F"],
-  "F": ["B"]
-}`
+import { restoreStepState, pathHasEdge, edgeKey, findExternalNodes, ACTION_TYPES, DEFAULT_MAX_CYCLES, DEFAULT_MAX_STEPS, ALL_NODES, FIX_STRATEGIES, DEFAULT_MAX_PATHS, DEFAULT_SHORTEST_PATHS, BETWEENNESS_LIMIT, compareNodeIds } from './hooks/useCycleDetection';
+import { useAnalysisWorker } from './hooks/useAnalysisWorker';
+import { useUndoHistory } from './hooks/useUndoHistory';
+import { TEST_CASES } from './testCases';
+import { validateGraphInput, normalizeGraphInput } from './core/graphValidation';
+import { importGraph, detectFormat, IMPORT_FORMATS, ImportError } from './core/graphImport';
+import { GraphEditError, addEdge, addNode, nextNodeId, removeEdge, removeNode, renameNode } from './core/graphEditing';
+import { CycleError, createIncrementalOrder } from './core/incrementalOrder';
+import { DIFF_STATUS, mergeGraphs } from './core/graphDiff';
+import { DEFAULT_EDGE_TYPE, LOCKED_KEY, isTypedGraph, readGraphModel, readLocks, removeGraphEdges, toAdjacencyList } from './core/graphModel';
+import { DEFAULT_DATE_ATTRIBUTE, readFilingDates } from './core/temporalConsistency';
+import { computeLayout, routeBackEdge, LAYOUTS, FORCE_LAYOUT_LIMIT } from './core/graphLayout';
+import { graphToJSON, graphToCSV, graphToDOT, removedEdgesDiff, buildAnalysisReport, reportToJSON, reportToMarkdown } from './core/graphExport';
+import { downloadFile } from './utils/download';
+import { renderGraphSVG, rasterizeSVG, canvasToPNG } from './utils/graphImage';
+import { createGifEncoder } from './utils/gifEncoder';
+import { createZip } from './utils/zip';
+import { EXTERNAL_NODE_STYLE, edgeTypeLabel, highlightCycleEdges, highlightCycleNodes, plainEdge, plainNode } from './utils/canvasStyles';
+import { WorkspaceStoreError, createWorkspaceStore, uniqueWorkspaceName } from './utils/workspaceStore';
+
+// Fill colors for strongly connected components that contain a loop
+const COMPONENT_COLORS = [
+  { background: '#FEF3C7', border: '#D97706', color: '#92400E' },
+  { background: '#EDE9FE', border: '#7C3AED', color: '#5B21B6' },
+  { background: '#FCE7F3', border: '#DB2777', color: '#9D174D' },
+  { background: '#CFFAFE', border: '#0891B2', color: '#155E75' },
+  { background: '#FFEDD5', border: '#EA580C', color: '#9A3412' },
+  { background: '#E0E7FF', border: '#4F46E5', color: '#3730A3' }
+];
+
+// Diff view colors; unchanged nodes and edges are drawn faded
+const DIFF_COLORS = {
+  [DIFF_STATUS.ADDED]: { background: '#DCFCE7', border: '#16A34A', color: '#166534' },
+  [DIFF_STATUS.REMOVED]: { background: '#FEE2E2', border: '#DC2626', color: '#991B1B' }
+};
+
+// Changes listed under the diff view; the canvas still shows all of them
+const DIFF_LIST_LIMIT = 50;
+
+// Reachability queries: worker method and what the optional limit means for each
+const QUERY_TYPES = {
+  descendants: { label: 'Depends on (descendants)', method: 'findDescendants', limit: 'maxDepth', limitLabel: 'Max depth', placeholder: 'unlimited' },
+  ancestors: { label: 'Affected by (ancestors)', method: 'findAncestors', limit: 'maxDepth', limitLabel: 'Max depth', placeholder: 'unlimited' },
+  paths: { label: 'All paths', method: 'findAllPaths', limit: 'maxPaths', limitLabel: 'Max paths', placeholder: String(DEFAULT_MAX_PATHS) },
+  shortest: { label: 'Shortest paths', method: 'findShortestPaths', limit: 'k', limitLabel: 'Paths (k)', placeholder: String(DEFAULT_SHORTEST_PATHS) },
+  closure: { label: 'Reachability (closure)', method: 'transitiveClosure' }
+};
+const QUERY_COLORS = { origin: '#0F2C1F', reached: '#2563EB' };
+
+// Columns of the metrics table; any of them can size or color the nodes
+const METRIC_COLUMNS = [
+  { key: 'inDegree', label: 'Cited', title: 'In-degree: how many patents cite this one' },
+  { key: 'outDegree', label: 'Cites', title: 'Out-degree: how many patents this one cites' },
+  { key: 'depth', label: 'Depth', title: 'Longest citation chain from the start node (a loop counts as one step)' },
+  { key: 'pageRank', label: 'PageRank', title: 'PageRank centrality', format: value => value.toFixed(3) },
+  { key: 'betweenness', label: 'Betw.', title: 'Share of shortest paths between other nodes that pass through this one', format: value => value.toFixed(3) },
+  { key: 'cycleCount', label: 'Loops', title: 'Number of loops through this node' }
+];
+const METRIC_SCALE = { color: '#2563EB', minWidth: 40, maxWidth: 120 };
+
+const formatMetric = (column, value) => (value === null ? '–' : column.format ? column.format(value) : value);
+
+const NODE_STYLE = { background: '#FFFFFF', border: '1px solid #0F2C1F', borderRadius: '8px', minWidth: 60, width: 'auto', padding: '10px', textAlign: 'center', fontWeight: 600, fontSize: '14px', color: '#0F2C1F', boxShadow: '0 2px 4px rgba(0,0,0,0.05)' };
+
+// Back edges of the layered layout run in their own lane; every other edge is a smoothstep
+const routeEdge = (edge, lanes) => {
+  const laneX = lanes.get(edgeKey(edge.source, edge.target));
+  return { ...edge, type: laneX === undefined ? 'smoothstep' : 'back', data: { ...edge.data, laneX } };
+};
+
+const formatAttribute = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Node label with the patent's title under its id; the tooltip lists every attribute
+const NodeLabel = ({ id, attributes }) => (
+  <div title={[id, ...Object.entries(attributes).map(([key, value]) => `${key}: ${formatAttribute(value)}`)].join('\n')}>
+    <div>{id}</div>
+    {attributes.title !== undefined && (
+      <div className="max-w-[140px] truncate text-[10px] font-normal opacity-75">{formatAttribute(attributes.title)}</div>
+    )}
+  </div>
+);
+
+const nodeData = (id, model, extra) => {
+  const attributes = model && model.nodes[id];
+  return attributes ? { label: <NodeLabel id={id} attributes={attributes} />, attributes, ...extra } : { label: id, ...extra };
+};
+
+// Canvas nodes and edges for an adjacency list positioned by computeLayout; with a
+// readGraphModel result, nodes show their attributes and edges their types
+const createGraphElements = (adjList, { positions, backEdges }, model = null) => {
+  const lanes = new Map(backEdges.map(edge => [edgeKey(edge.source, edge.target), edge.laneX]));
+  const nodes = [
+    ...Object.keys(adjList).map(id => ({ id, data: nodeData(id, model), position: positions[id], style: NODE_STYLE })),
+    ...findExternalNodes(adjList).map(({ id }) => ({
+      id,
+      data: nodeData(id, model, { external: true }),
+      position: positions[id],
+      style: { ...NODE_STYLE, boxShadow: 'none', ...EXTERNAL_NODE_STYLE }
+    }))
+  ];
+  const links = model
+    ? model.edges
+    : Object.entries(adjList).flatMap(([source, targets]) => targets.map(target => ({ source, target: String(target), type: DEFAULT_EDGE_TYPE })));
+  const edges = links.map(({ source, target, type, attributes }) => {
+    const locked = Boolean(model) && (attributes[LOCKED_KEY] === true || model.nodes[source]?.[LOCKED_KEY] === true);
+    const edge = {
+      id: type === DEFAULT_EDGE_TYPE ? `e${source}-${target}` : `e${source}-${target}-${type}`,
+      source,
+      target,
+      data: { edgeType: type, locked },
+      markerEnd: { type: MarkerType.ArrowClosed, color: '#9CA3AF' },
+      animated: false,
+      style: { stroke: '#9CA3AF', strokeWidth: 1.5 }
+    };
+    return routeEdge({ ...edge, label: edgeTypeLabel(edge) }, lanes);
+  });
+  return { nodes, edges };
+};
+
+// Graph the analyses run on: the input without the edge types left out
+const analysisGraphOf = ({ graph, document: graphDocument }, excludedEdgeTypes) => (
+  graph && excludedEdgeTypes.length > 0 && isTypedGraph(graphDocument)
+    ? toAdjacencyList(graphDocument, { edgeTypes: { exclude: excludedEdgeTypes } })
+    : graph
+);
+
+// Bring the canvas in line with freshly created elements: nodes keep their place and
+// look, edges keep their look but take the new routing
+const mergeNodes = (current, fresh) => {
+  const existing = new Map(current.map(node => [node.id, node]));
+  return fresh.map(node => {
+    const previous = existing.get(node.id);
+    if (!previous) return node;
+    return previous.data.external === node.data.external ? { ...previous, data: node.data } : { ...previous, data: node.data, style: node.style };
+  });
+};
+
+const mergeEdges = (current, fresh) => {
+  const existing = new Map(current.map(edge => [edge.id, edge]));
+  return fresh.map(edge => {
+    const previous = existing.get(edge.id);
+    if (!previous) return edge;
+    // Locking or unlocking an edge in the input changes its label
+    return { ...previous, type: edge.type, data: edge.data, ...(previous.data?.locked !== edge.data.locked && { label: edge.label }) };
+  });
+};
+
+const BackEdge = ({ sourceX, sourceY, targetX, targetY, data, markerEnd, style, label, labelStyle }) => {
+  const [path, labelX, labelY] = routeBackEdge({ sourceX, sourceY, targetX, targetY, laneX: data?.laneX });
+  return <BaseEdge path={path} labelX={labelX} labelY={labelY} label={label} labelStyle={labelStyle} markerEnd={markerEnd} style={style} />;
+};
+
+const EDGE_TYPES = { back: BackEdge };
+
+// Node and edge styles for one step of a step-by-step run, used by the canvas and the frame export
+const styleStepNodes = (nodes, step, { visited, recursionStack, pathStack }) => nodes.map(node => {
+  let style = {
+    background: '#FFFFFF', border: '1px solid #0F2C1F', borderRadius: '8px',
+    minWidth: 60, width: 'auto',
+    padding: '10px', textAlign: 'center', fontWeight: 600, fontSize: '14px', color: '#0F2C1F',
+    transition: 'all 0.3s ease', boxShadow: '0 2px 4px rgba(0,0,0,0.05)',
+    ...(node.data.external && EXTERNAL_NODE_STYLE)
+  };
+
+  if (step.action === ACTION_TYPES.CYCLE_FOUND && pathStack.includes(node.id)) {
+    const cycleStartIndex = pathStack.indexOf(step.cycleNode);
+    const isInCycle = pathStack.indexOf(node.id) >= cycleStartIndex || node.id === step.cycleNode;
+    if (isInCycle) {
+      style = { ...style, background: '#FEF2F2', border: '2px solid #EF4444', color: '#B91C1C', boxShadow: '0 0 15px rgba(239, 68, 68, 0.2)' };
+    }
+  }
+  else if (node.id === step.node && step.action !== ACTION_TYPES.START && step.action !== ACTION_TYPES.COMPLETE) {
+    style = { ...style, background: '#F0FDF4', border: '2px solid #59A645', color: '#166534' };
+  }
+  else if (recursionStack.has(node.id)) {
+    style = { ...style, background: '#EFF6FF', border: '2px solid #3B82F6', color: '#1E40AF' };
+  }
+  else if (visited.has(node.id)) {
+    style = { ...style, opacity: 0.7, background: '#F9FAFB', border: '1px dashed #9CA3AF', color: '#6B7280' };
+  }
+  return { ...node, style };
+});
+
+const styleStepEdges = (edges, step, { pathStack }) => edges.map(edge => {
+  let style = { stroke: '#D1D5DB', strokeWidth: 1.5 };
+  let animated = false;
+  if (pathHasEdge(pathStack, edge.source, edge.target)) {
+    style = { stroke: '#3B82F6', strokeWidth: 2.5 };
+    animated = true;
+  }
+  if (step.action === ACTION_TYPES.EXPLORE_NEIGHBOR && step.node === edge.source && step.targetNeighbor === edge.target) {
+    style = { stroke: '#F59E0B', strokeWidth: 2.5 };
+    animated = true;
+  }
+  if (step.action === ACTION_TYPES.CYCLE_FOUND) {
+    const cycleNode = step.cycleNode;
+    const cycleStartIndex = pathStack.indexOf(cycleNode);
+    const cyclePath = [...pathStack.slice(cycleStartIndex), cycleNode];
+    for (let i = 0; i < cyclePath.length - 1; i++) {
+      if (cyclePath[i] === edge.source && cyclePath[i + 1] === edge.target) {
+        style = { stroke: '#EF4444', strokeWidth: 3 };
+        animated = true;
+        break;
+      }
+    }
   }
+  // Show skipped edge in blue with dashed line
+  if (step.action === ACTION_TYPES.SKIP_CYCLE && step.skippedEdge) {
+    if (edge.source === String(step.skippedEdge.source) && edge.target === String(step.skippedEdge.target)) {
+      style = { stroke: '#3B82F6', strokeWidth: 3, strokeDasharray: '5,5' };
+      animated = true;
+    }
+  }
+  return { ...edge, style, animated, markerEnd: { type: MarkerType.ArrowClosed, color: style.stroke } };
+});
+
+// Quiet time after an edit before the analysis re-runs
+const REANALYZE_DELAY_MS = 400;
+
+// Step sequences are exported up to this many frames
+const FRAME_EXPORT_LIMIT = 500;
+
+// Input problems shown under the JSON textarea
+const INPUT_ISSUE_LIMIT = 50;
+
+// The variable state panel lists at most this many entries per collection
+const STATE_DISPLAY_LIMIT = 50;
+
+const formatStateList = (items, separator) => {
+  const list = [...items];
+  return list.length > STATE_DISPLAY_LIMIT
+    ? `${list.slice(0, STATE_DISPLAY_LIMIT).join(separator)}${separator}… (+${list.length - STATE_DISPLAY_LIMIT})`
+    : list.join(separator);
 };
 
+// Saved workspaces share the use case selector with TEST_CASES, under this value prefix
+const WORKSPACE_PREFIX = 'workspace:';
+const workspaceStore = createWorkspaceStore();
+
 const App = () => {
   const [selectedCase, setSelectedCase] = useState('patlytics_edge');
-  const [jsonInput, setJsonInput] = useState(TEST_CASES['patlytics_edge'].data);
+  const {
+    value: jsonInput, set: setJsonInput, undo: undoInput, redo: redoInput, reset: resetInput, canUndo, canRedo
+  } = useUndoHistory(TEST_CASES['patlytics_edge'].data);
+  const [autoAnalyze, setAutoAnalyze] = useState(true); // Re-run the analysis after every edit
+  const [isCanvasLoaded, setIsCanvasLoaded] = useState(false); // Input edits are synced to the canvas once it shows a graph
+  const [renaming, setRenaming] = useState(null); // { id, value } while a node is being renamed
+  const [editError, setEditError] = useState(null);
+  const [excludedEdgeTypes, setExcludedEdgeTypes] = useState([]); // Edge types left out of the analyses
+  const [whatIfEdge, setWhatIfEdge] = useState({ source: '', target: '' });
+  const [whatIfResult, setWhatIfResult] = useState(null);
+  // Reachability query form and its last result
+  const [query, setQuery] = useState({ type: 'descendants', from: '', to: '', limit: '' });
+  const [queryResult, setQueryResult] = useState(null);
+  const [selectedPathIndex, setSelectedPathIndex] = useState(0);
+  // Graph metrics table, its sort order and the metric nodes are sized or colored by
+  const [metricsResult, setMetricsResult] = useState(null);
+  const [metricsSort, setMetricsSort] = useState({ key: 'inDegree', descending: true });
+  const [metricEncoding, setMetricEncoding] = useState({ key: '', mode: 'size' });
+  // Filing date check: citations of later-filed documents, removed first by the fix when preferred
+  const [temporalResult, setTemporalResult] = useState(null);
+  const [preferImpossibleCitations, setPreferImpossibleCitations] = useState(true);
+  const [strictMode, setStrictMode] = useState(false); // Undeclared targets are input errors
+  // Last CSV/TSV/DOT/GraphML import: source text and column mapping, kept to re-map columns
+  const [importState, setImportState] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
   const [nodes, setNodes] = useState([]);
   const [edges, setEdges] = useState([]);
   const [result, setResult] = useState(null);
   const [targetPatent, setTargetPatent] = useState('1');
 
+  // Conflict resolution: strategy for removeCycles and optional per-edge weights JSON
+  const [fixStrategy, setFixStrategy] = useState(FIX_STRATEGIES.DFS);
+  const [weightsInput, setWeightsInput] = useState('');
+  const [layout, setLayout] = useState(LAYOUTS.LAYERED);
+  const [lastFix, setLastFix] = useState(null); // Last applied removeCycles result with the graph it was applied to
+  const [fixHistory, setFixHistory] = useState([]); // Every fix applied since the graph was loaded: { strategy, removedEdges, cost, appliedAt }
+  const [workspaces, setWorkspaces] = useState([]); // Saved workspaces, by name
+  const [workspaceError, setWorkspaceError] = useState(null);
+  const [imageScale, setImageScale] = useState(2); // Output pixels per canvas pixel
+  const [frameExport, setFrameExport] = useState(null); // { done, total } while a step sequence renders
+
+  // Processing plan (topological order + parallel levels) for an acyclic graph
+  const [processingPlan, setProcessingPlan] = useState(null);
+
+  // Canvas view: 'graph' (plain), 'components' (colored by SCC) or 'condensed' (one node per SCC)
+  const [graphView, setGraphView] = useState('graph');
+  const [condensedNodes, setCondensedNodes] = useState([]);
+  const [condensedEdges, setCondensedEdges] = useState([]);
+  const [diffBaseInput, setDiffBaseInput] = useState(''); // Older graph version compared with the input
+  const [diffResult, setDiffResult] = useState(null); // diffGraphs result shown in the 'diff' view
+  const [diffNodes, setDiffNodes] = useState([]);
+  const [diffEdges, setDiffEdges] = useState([]);
+  const [sccSummary, setSccSummary] = useState(null);
+
+  // Detection mode: 'first' stops at the first loop, 'all' enumerates every loop
+  const [detectionMode, setDetectionMode] = useState('first');
+  const [maxCycles, setMaxCycles] = useState(DEFAULT_MAX_CYCLES);
+  const [selectedCycleIndex, setSelectedCycleIndex] = useState(-1);
+
   // Step-by-step mode state
-  const [steps, setSteps] = useState([]);
+  const [stepRecording, setStepRecording] = useState(null); // runDetectionWithSteps result
+  const [maxSteps, setMaxSteps] = useState(DEFAULT_MAX_STEPS);
   const [currentStepIndex, setCurrentStepIndex] = useState(-1);
   const [isStepMode, setIsStepMode] = useState(false);
   const [isAutoPlaying, setIsAutoPlaying] = useState(false);
   const [autoPlaySpeed, setAutoPlaySpeed] = useState(1000);
   const autoPlayRef = useRef(null);
+  const cancelFrameExportRef = useRef(false);
+
+  // Heavy analyses run in a worker so large graphs don't freeze the page
+  const { run, cancel, isRunning, progress } = useAnalysisWorker();
+
+  // Validation runs on the deferred input so typing stays responsive on large graphs
+  const deferredInput = useDeferredValue(jsonInput);
+  const inputValidation = useMemo(() => validateGraphInput(deferredInput, { strict: strictMode }), [deferredInput, strictMode]);
+  const canNormalize = inputValidation.issues.some(issue => issue.fixable)
+    && !inputValidation.issues.some(issue => issue.severity === 'error' && !issue.fixable);
+
+  // Start node choices: every declared key of the current input
+  const nodeOptions = useMemo(() => (inputValidation.graph ? Object.keys(inputValidation.graph) : []), [inputValidation]);
+  const externalNodes = useMemo(() => (inputValidation.graph ? findExternalNodes(inputValidation.graph) : []), [inputValidation]);
+  // Attributes and edge types of a typed input, with the number of edges of each type
+  const inputModel = useMemo(() => {
+    if (!inputValidation.document || !isTypedGraph(inputValidation.document)) return null;
+    const model = readGraphModel(inputValidation.document);
+    const typeCounts = {};
+    model.edges.forEach(edge => { typeCounts[edge.type] = (typeCounts[edge.type] || 0) + 1; });
+    return { ...model, typeCounts };
+  }, [inputValidation]);
+  const analysisGraph = useMemo(() => analysisGraphOf(inputValidation, excludedEdgeTypes), [inputValidation, excludedEdgeTypes]);
+  // Edges and nodes the input marks "locked": true, among the analysed edge types
+  const inputLocks = useMemo(() => (
+    inputValidation.document ? readLocks(inputValidation.document, { edgeTypes: { exclude: excludedEdgeTypes } }) : null
+  ), [inputValidation, excludedEdgeTypes]);
+  const hasFilingDates = useMemo(() => (
+    Boolean(inputModel) && Object.values(inputModel.nodes).some(attributes => attributes[DEFAULT_DATE_ATTRIBUTE] !== undefined)
+  ), [inputModel]);
 
-  // Use the cycle detection hook
-  const { runDetection, runDetectionWithSteps, removeCycles } = useCycleDetection();
+  // Parsed graph for the actions below, or null while the input has errors (listed under the textarea)
+  const readValidation = () => (deferredInput === jsonInput ? inputValidation : validateGraphInput(jsonInput, { strict: strictMode }));
+  const readGraphInput = () => readValidation().graph;
+  // The input as written, typed form included; edits go through it so attributes are kept
+  const readGraphDocument = () => readValidation().document;
+  const readAnalysisGraph = () => (deferredInput === jsonInput ? analysisGraph : analysisGraphOf(readValidation(), excludedEdgeTypes));
+
+  const toggleEdgeType = (type, included) => {
+    setExcludedEdgeTypes(current => (included ? current.filter(excluded => excluded !== type) : [...current, type]));
+  };
+
+  const normalizeInput = () => {
+    const normalized = normalizeGraphInput(jsonInput);
+    if (normalized) setJsonInput(normalized.text);
+  };
 
   // ReactFlow instance ref for programmatic control
   const reactFlowInstance = useRef(null);
+  // Positions of nodes the user dragged, by id; they survive re-layouts until the layout is changed
+  const manualPositionsRef = useRef({});
+  const deleteGroupRef = useRef(null); // Undo group of the canvas deletion in progress
+  const deleteCountRef = useRef(0);
+  // Compact JSON of the graph on the canvas, to skip syncs that change nothing
+  const syncedGraphRef = useRef(null);
+  // Set when the input was replaced wholesale and the next sync should lay out from scratch
+  const relayoutRef = useRef(false);
+  const analysisTimerRef = useRef(null);
+  const canvasRef = useRef(null);
+  // Incremental order of the last graph checked, reused while the graph stays the same
+  const incrementalRef = useRef({ graph: null, order: null, error: null });
+
+  const activeWorkspace = selectedCase.startsWith(WORKSPACE_PREFIX)
+    ? workspaces.find(workspace => WORKSPACE_PREFIX + workspace.id === selectedCase) || null
+    : null;
+  const caseName = activeWorkspace ? activeWorkspace.name : selectedCase;
+
+  const refreshWorkspaces = async () => {
+    try {
+      setWorkspaces(await workspaceStore.list());
+    } catch (error) {
+      if (!(error instanceof WorkspaceStoreError)) throw error;
+      setWorkspaceError(error.message);
+    }
+  };
+
+  useEffect(() => { refreshWorkspaces(); }, []);
+
+  // Run a workspace action; store failures are shown under the selector
+  const withWorkspaceStore = async (action) => {
+    setWorkspaceError(null);
+    try {
+      await action();
+    } catch (error) {
+      if (!(error instanceof WorkspaceStoreError)) throw error;
+      setWorkspaceError(error.message);
+    }
+    await refreshWorkspaces();
+  };
+
+  // Everything a workspace keeps; positions come from the canvas once it shows the graph
+  const workspaceFields = () => ({
+    input: jsonInput,
+    targetPatent,
+    layout,
+    positions: nodes.length > 0 ? Object.fromEntries(nodes.map(node => [node.id, node.position])) : manualPositionsRef.current,
+    analysis: result,
+    lastFix,
+    fixHistory
+  });
+
+  const saveWorkspace = (asNew) => withWorkspaceStore(async () => {
+    if (activeWorkspace && !asNew) {
+      await workspaceStore.save({ ...workspaceFields(), id: activeWorkspace.id, name: activeWorkspace.name, createdAt: activeWorkspace.createdAt });
+      return;
+    }
+    const suggested = activeWorkspace ? activeWorkspace.name : TEST_CASES[selectedCase]?.name || 'Untitled';
+    const name = prompt('Workspace name', uniqueWorkspaceName(suggested, workspaces.map(workspace => workspace.name)));
+    if (name === null) return;
+    const saved = await workspaceStore.save({ ...workspaceFields(), name: uniqueWorkspaceName(name, workspaces.map(workspace => workspace.name)) });
+    setSelectedCase(WORKSPACE_PREFIX + saved.id);
+  });
+
+  const renameWorkspace = () => withWorkspaceStore(async () => {
+    const name = prompt('Rename workspace', activeWorkspace.name);
+    if (name === null || name.trim() === activeWorkspace.name) return;
+    const others = workspaces.filter(workspace => workspace.id !== activeWorkspace.id).map(workspace => workspace.name);
+    await workspaceStore.rename(activeWorkspace.id, uniqueWorkspaceName(name, others));
+  });
+
+  const duplicateWorkspace = () => withWorkspaceStore(async () => {
+    const copy = await workspaceStore.duplicate(activeWorkspace.id, uniqueWorkspaceName(activeWorkspace.name, workspaces.map(workspace => workspace.name)));
+    setSelectedCase(WORKSPACE_PREFIX + copy.id);
+  });
+
+  const deleteWorkspace = () => withWorkspaceStore(async () => {
+    if (!confirm(`Delete workspace "${activeWorkspace.name}"? This cannot be undone.`)) return;
+    await workspaceStore.remove(activeWorkspace.id);
+    handleCaseChange(Object.keys(TEST_CASES)[0]);
+  });
+
+  // Restore a saved workspace: input, start node, layout, node positions, analysis and fixes
+  const openWorkspace = (id) => withWorkspaceStore(async () => {
+    const workspace = await workspaceStore.get(id);
+    setSelectedCase(WORKSPACE_PREFIX + workspace.id);
+    resetInput(workspace.input);
+    relayoutRef.current = true;
+    syncedGraphRef.current = null;
+    manualPositionsRef.current = { ...workspace.positions };
+    // The canvas only re-syncs when the input changes, so move nodes already on it too
+    setNodes(nds => nds.map(node => (workspace.positions[node.id] ? { ...node, position: workspace.positions[node.id] } : node)));
+    if (workspace.layout) setLayout(workspace.layout);
+    if (workspace.targetPatent !== null) setTargetPatent(workspace.targetPatent);
+    setImportState(null);
+    setImportError(null);
+    setLastFix(workspace.lastFix);
+    setFixHistory(workspace.fixHistory);
+    setResult(workspace.analysis);
+    setSelectedCycleIndex(workspace.analysis && workspace.analysis.cycles ? 0 : -1);
+    setProcessingPlan(null);
+    setIsStepMode(false);
+    setStepRecording(null);
+    setCurrentStepIndex(-1);
+  });
 
   const handleCaseChange = (caseId) => {
+    if (caseId.startsWith(WORKSPACE_PREFIX)) {
+      openWorkspace(caseId.slice(WORKSPACE_PREFIX.length));
+      return;
+    }
     setSelectedCase(caseId);
-    setJsonInput(TEST_CASES[caseId].data);
+    resetInput(TEST_CASES[caseId].data);
+    relayoutRef.current = true;
+    setImportState(null);
+    setImportError(null);
+    setLastFix(null);
+    setFixHistory([]);
+    manualPositionsRef.current = {};
     const firstKey = Object.keys(JSON.parse(TEST_CASES[caseId].data))[0];
     setTargetPatent(firstKey);
     setResult(null);
+    setSelectedCycleIndex(-1);
+    setProcessingPlan(null);
     setIsStepMode(false);
-    setSteps([]);
+    setStepRecording(null);
     setCurrentStepIndex(-1);
   };
 
-  const generateGraph = () => {
+  // Convert an edge list, DOT or GraphML source into the JSON input; JSON is taken as-is
+  const applyImport = (text, options = {}) => {
+    setImportError(null);
+    const format = options.format || detectFormat(text, options.fileName);
+    relayoutRef.current = true;
+    if (format === IMPORT_FORMATS.JSON) {
+      setJsonInput(text);
+      setImportState(null);
+      setLastFix(null);
+      manualPositionsRef.current = {};
+      return;
+    }
+
+    let imported;
     try {
-      const adjList = JSON.parse(jsonInput);
-      const newNodes = [];
-      const newEdges = [];
-
-      const keys = Object.keys(adjList);
-
-      const centerX = 300;
-      const centerY = 250;
-      const radius = 180;
-
-      keys.forEach((key, index) => {
-        const angle = (2 * Math.PI * index) / keys.length - Math.PI / 2;
-        newNodes.push({
-          id: key,
-          data: { label: key },
-          position: {
-            x: centerX + radius * Math.cos(angle),
-            y: centerY + radius * Math.sin(angle)
-          },
-          style: {
-            background: '#FFFFFF',
-            border: '1px solid #0F2C1F',
-            borderRadius: '8px',
-            minWidth: 60,
-            width: 'auto',
-            padding: '10px',
-            textAlign: 'center',
-            fontWeight: 600,
-            fontSize: '14px',
-            color: '#0F2C1F',
-            boxShadow: '0 2px 4px rgba(0,0,0,0.05)'
-          }
-        });
+      imported = importGraph(text, { ...options, format });
+    } catch (error) {
+      if (!(error instanceof ImportError)) throw error;
+      setImportError(`${format.toUpperCase()} import failed: ${error.message}`);
+      return;
+    }
 
-        if (adjList[key]) {
-          adjList[key].forEach(target => {
-            newEdges.push({
-              id: `e${key}-${target}`,
-              source: key,
-              target: String(target),
-              type: 'smoothstep',
-              markerEnd: { type: MarkerType.ArrowClosed, color: '#9CA3AF' },
-              animated: false,
-              style: { stroke: '#9CA3AF', strokeWidth: 1.5 }
-            });
-          });
+    const keys = Object.keys(imported.graph);
+    setJsonInput(JSON.stringify(imported.graph, null, 2));
+    if (keys.length > 0) setTargetPatent(keys[0]);
+    setImportState({ text, fileName: options.fileName, format, nodeCount: keys.length, edgeCount: imported.edgeCount, columns: imported.columns, mapping: imported.mapping });
+    setLastFix(null);
+    manualPositionsRef.current = {};
+    setResult(null);
+    setSelectedCycleIndex(-1);
+    setProcessingPlan(null);
+  };
+
+  // Pasting over the whole textarea auto-detects the format; partial pastes are plain edits
+  const handleInputPaste = (e) => {
+    const { selectionStart, selectionEnd, value } = e.target;
+    if (value.trim() !== '' && (selectionStart !== 0 || selectionEnd !== value.length)) return;
+    const text = e.clipboardData.getData('text');
+    if (detectFormat(text) === IMPORT_FORMATS.JSON) return;
+    e.preventDefault();
+    applyImport(text);
+  };
+
+  const handleFileDrop = async (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    if (isStepMode) return;
+    const file = e.dataTransfer.files[0];
+    if (file) {
+      applyImport(await file.text(), { fileName: file.name });
+    } else {
+      const text = e.dataTransfer.getData('text');
+      if (text) applyImport(text);
+    }
+  };
+
+  const remapImportColumns = (column, index) => {
+    const { text, fileName, format, mapping } = importState;
+    applyImport(text, { fileName, format, ...mapping, [column]: index });
+  };
+
+  // Hand-made change to the input; import details and the last fix no longer describe it
+  const commitInput = (next, options) => {
+    setJsonInput(next, options);
+    setImportState(null);
+    setLastFix(null);
+  };
+
+  const undoEdit = () => {
+    undoInput();
+    setImportState(null);
+    setLastFix(null);
+  };
+
+  const redoEdit = () => {
+    redoInput();
+    setImportState(null);
+    setLastFix(null);
+  };
+
+  // Apply a canvas edit to the current graph and write it back to the JSON input
+  const editGraph = (edit) => {
+    const graphData = readGraphDocument();
+    if (!graphData) return false;
+    try {
+      commitInput(JSON.stringify(edit(graphData), null, 2));
+    } catch (error) {
+      if (!(error instanceof GraphEditError)) throw error;
+      setEditError(error.message);
+      return false;
+    }
+    setEditError(null);
+    return true;
+  };
+
+  // Deletions arrive as separate node and edge callbacks within one key press, so they
+  // build on the pending input and share one undo step. React Flow makes both calls in
+  // the same task; the group lasts until that task ends, so every key press gets its own
+  const deleteGroup = () => {
+    if (deleteGroupRef.current === null) {
+      deleteGroupRef.current = `delete-${deleteCountRef.current++}`;
+      queueMicrotask(() => { deleteGroupRef.current = null; });
+    }
+    return deleteGroupRef.current;
+  };
+
+  const deleteFromGraph = (edit) => commitInput(text => {
+    const graphData = validateGraphInput(text).document;
+    return graphData ? JSON.stringify(edit(graphData), null, 2) : text;
+  }, { group: deleteGroup() });
+
+  const addCanvasNode = () => {
+    const graphData = readGraphInput();
+    if (!graphData) return;
+    const id = nextNodeId(graphData);
+    const bounds = canvasRef.current.getBoundingClientRect();
+    manualPositionsRef.current[id] = reactFlowInstance.current
+      ? reactFlowInstance.current.project({ x: bounds.width / 2 - 30, y: bounds.height / 2 - 20 })
+      : { x: 0, y: 0 };
+    editGraph(graph => addNode(graph, id));
+  };
+
+  const updateWhatIfEdge = (change) => {
+    setWhatIfEdge(current => ({ ...current, ...change }));
+    setWhatIfResult(null);
+  };
+
+  // Would the proposed citation close a loop? Answered from a topological order kept
+  // for the current graph, so repeated checks only search between the two endpoints
+  const checkWhatIf = () => {
+    const graphData = readAnalysisGraph();
+    const source = whatIfEdge.source.trim();
+    const target = whatIfEdge.target.trim();
+    if (!graphData || !source || !target) return;
+
+    if (incrementalRef.current.graph !== graphData) {
+      try {
+        incrementalRef.current = { graph: graphData, order: createIncrementalOrder(graphData), error: null };
+      } catch (error) {
+        if (!(error instanceof CycleError)) throw error;
+        incrementalRef.current = { graph: graphData, order: null, error };
+      }
+    }
+    const { order, error } = incrementalRef.current;
+    if (error) {
+      setWhatIfResult({ status: 'cyclic', input: jsonInput, path: error.path });
+      return;
+    }
+    const check = order.checkEdge(source, target);
+    setWhatIfResult({
+      status: check.createsCycle ? 'loop' : 'safe',
+      input: jsonInput,
+      source,
+      target,
+      path: check.path,
+      visited: check.visited,
+      total: order.order().length,
+      newNodes: [source, target].filter(id => !order.hasNode(id)),
+      exists: order.hasEdge(source, target)
+    });
+  };
+
+  // Filing dates of the input, or null when no node has one
+  const readDates = () => {
+    const graphDocument = readGraphDocument();
+    if (!graphDocument || !isTypedGraph(graphDocument)) return null;
+    const filing = readFilingDates(graphDocument);
+    return Object.keys(filing.dates).length > 0 ? filing : null;
+  };
+
+  // Citations of later-filed documents that lie on loops, the likeliest culprits first
+  const readPreferredRemovals = async (graphData) => {
+    const filing = preferImpossibleCitations && readDates();
+    if (!filing) return [];
+    const temporal = await run('checkTemporalConsistency', [graphData, filing.dates], { startNode: targetPatent, maxCycles });
+    return temporal.preferredRemovals;
+  };
+
+  const checkFilingDates = async () => {
+    const graphData = readAnalysisGraph();
+    const filing = readDates();
+    if (!graphData || !filing) return;
+
+    try {
+      const temporal = await run('checkTemporalConsistency', [graphData, filing.dates], { startNode: targetPatent, maxCycles });
+      setTemporalResult({ ...temporal, input: jsonInput, invalid: filing.invalid });
+      setGraphView('graph');
+      const impossible = new Map(temporal.violations.map(violation => [edgeKey(violation.source, violation.target), violation]));
+      setEdges(eds => eds.map(edge => {
+        const violation = impossible.get(edgeKey(edge.source, edge.target));
+        if (!violation) return { ...edge, animated: false, label: edgeTypeLabel(edge), labelStyle: undefined, style: { ...edge.style, stroke: '#9CA3AF', strokeWidth: 1.5, opacity: 0.4 } };
+        const color = violation.inCycle ? '#DC2626' : '#D97706';
+        return {
+          ...edge, animated: violation.inCycle,
+          style: { ...edge.style, stroke: color, strokeWidth: 3, opacity: 1 },
+          label: `+${violation.days}d`, labelStyle: { fill: color, fontWeight: 700 }
+        };
+      }));
+    } catch (error) { reportFailure(error, "Filing date check failed"); }
+  };
+
+  const updateQuery = (change) => setQuery(current => ({ ...current, ...change }));
+
+  // Color the nodes and edges a query returned; the rest of the canvas is dimmed
+  const highlightQuery = (origins, reachedIds, reachedEdges) => {
+    const reachedNodes = new Set(reachedIds);
+    const edgeSet = new Set(reachedEdges.map(edge => edgeKey(edge.source, edge.target)));
+    setNodes(nds => nds.map(node => {
+      const color = origins.includes(node.id) ? QUERY_COLORS.origin : reachedNodes.has(node.id) ? QUERY_COLORS.reached : null;
+      if (!color) return { ...node, style: { ...node.style, opacity: 0.3 } };
+      return { ...node, style: { ...node.style, border: `2px solid ${color}`, color, boxShadow: `0 0 10px ${color}33`, opacity: 1 } };
+    }));
+    setEdges(eds => eds.map(edge => {
+      if (edgeSet.has(edgeKey(edge.source, edge.target))) {
+        return { ...edge, animated: true, style: { stroke: QUERY_COLORS.reached, strokeWidth: 2, opacity: 1 }, markerEnd: { type: MarkerType.ArrowClosed, color: QUERY_COLORS.reached } };
+      }
+      return { ...edge, animated: false, style: { stroke: '#E5E7EB', opacity: 1 }, markerEnd: { type: MarkerType.ArrowClosed, color: '#E5E7EB' } };
+    }));
+  };
+
+  const pathEdges = (path) => path.slice(1).map((target, i) => ({ source: path[i], target }));
+
+  const selectQueryPath = (index, paths = queryResult.paths) => {
+    setSelectedPathIndex(index);
+    highlightQuery([paths[index][0], paths[index].at(-1)], paths[index], pathEdges(paths[index]));
+  };
+
+  // A closure row highlights everything its node reaches, over the edge types being analysed
+  const selectClosureNode = (id, closure = queryResult.closure, graphData = readAnalysisGraph()) => {
+    const reached = new Set(closure[id]);
+    const reachedEdges = [id, ...closure[id]].flatMap(source => (graphData[source] || [])
+      .map(String).filter(target => reached.has(target)).map(target => ({ source, target })));
+    setQueryResult(current => ({ ...current, selected: id }));
+    highlightQuery([id], closure[id], reachedEdges);
+  };
+
+  const runQuery = async () => {
+    const graphData = readAnalysisGraph();
+    const from = query.from.trim();
+    const to = query.to.trim();
+    const type = QUERY_TYPES[query.type];
+    const isPathQuery = type.method === 'findAllPaths' || type.method === 'findShortestPaths';
+    const isClosure = type.method === 'transitiveClosure';
+    if (!graphData || (!from && !isClosure) || (isPathQuery && !to)) return;
+
+    const limit = parseInt(query.limit, 10);
+    const options = type.limit && limit > 0 ? { [type.limit]: limit } : {};
+    const args = isClosure ? [graphData] : isPathQuery ? [graphData, from, to] : [graphData, from];
+    try {
+      const answer = await run(type.method, args, options);
+      // The closure is keyed by node id, so it is wrapped rather than spread
+      const found = isClosure ? { closure: answer } : answer;
+      if (found.error) {
+        alert(found.error);
+        return;
+      }
+      if (nodes.length === 0) generateGraph();
+      setGraphView('graph');
+      setQueryResult({ ...found, input: jsonInput, type: query.type, from, to });
+      if (isClosure) {
+        if (from && found.closure[from]) {
+          selectClosureNode(from, found.closure, graphData);
+        } else {
+          resetGraphStyles();
         }
-      });
+      } else if (!isPathQuery) {
+        highlightQuery([from], found.nodes.map(node => node.id), found.edges);
+      } else if (found.paths.length > 0) {
+        selectQueryPath(0, found.paths);
+      } else {
+        highlightQuery([from, to], [], []);
+      }
+    } catch (error) { reportFailure(error, "Query failed"); }
+  };
 
-      setNodes(newNodes);
-      setEdges(newEdges);
-      setResult(null);
-      setSteps([]);
-      setCurrentStepIndex(-1);
-      setIsStepMode(false);
-      setIsAutoPlaying(false);
-    } catch (e) {
-      alert("ERROR: Invalid JSON syntax");
+  const computeMetrics = async () => {
+    const graphData = readAnalysisGraph();
+    if (!graphData) return;
+
+    try {
+      const metrics = await run('computeGraphMetrics', [graphData, targetPatent], { maxCycles });
+      if (metrics.error) {
+        alert(metrics.error);
+        return;
+      }
+      if (nodes.length === 0) generateGraph();
+      setMetricsResult({ ...metrics, input: jsonInput });
+      if (metricEncoding.key) encodeMetric(metricEncoding, metrics.nodes);
+    } catch (error) { reportFailure(error, "Metrics failed"); }
+  };
+
+  const sortMetrics = (key) => {
+    setMetricsSort(current => ({ key, descending: current.key === key ? !current.descending : true }));
+  };
+
+  // Scale node width or fill with a metric, relative to its largest value
+  const encodeMetric = (encoding, metricNodes = metricsResult.nodes) => {
+    setMetricEncoding(encoding);
+    if (!encoding.key) {
+      resetGraphStyles();
+      return;
+    }
+    const values = new Map(metricNodes.map(node => [node.id, node[encoding.key] ?? 0]));
+    const max = Math.max(...values.values()) || 1;
+    setNodes(nds => nds.map(node => {
+      const share = (values.get(node.id) ?? 0) / max;
+      const style = { ...node.style, opacity: 1 };
+      if (encoding.mode === 'size') {
+        style.width = METRIC_SCALE.minWidth + share * (METRIC_SCALE.maxWidth - METRIC_SCALE.minWidth);
+        style.fontSize = `${12 + Math.round(share * 6)}px`;
+      } else {
+        const alpha = Math.round(share * 0xCC).toString(16).padStart(2, '0');
+        style.background = `${METRIC_SCALE.color}${alpha}`;
+        style.color = share > 0.5 ? '#FFFFFF' : '#0F2C1F';
+      }
+      return { ...node, style };
+    }));
+  };
+
+  const focusNode = (id) => {
+    if (reactFlowInstance.current) reactFlowInstance.current.fitView({ nodes: [{ id }], duration: 300, maxZoom: 1.5 });
+  };
+
+  const applyWhatIf = () => {
+    const { source, target } = whatIf;
+    if (editGraph(graph => addEdge(graph, source, target))) setWhatIfResult(null);
+  };
+
+  const onConnect = (connection) => editGraph(graph => addEdge(graph, connection.source, connection.target));
+
+  const onNodesDelete = (deleted) => {
+    deleteFromGraph(graph => deleted.reduce((next, node) => removeNode(next, node.id), graph));
+    if (deleted.some(node => node.id === targetPatent)) setTargetPatent(ALL_NODES);
+  };
+
+  const onEdgesDelete = (deleted) => {
+    deleteFromGraph(graph => deleted.reduce((next, edge) => removeEdge(next, edge.source, edge.target, edge.data?.edgeType), graph));
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    const { id, value } = renaming;
+    const position = nodes.find(node => node.id === id)?.position;
+    if (!editGraph(graph => renameNode(graph, id, value))) return;
+    const newId = value.trim();
+    if (position) manualPositionsRef.current[newId] = position;
+    if (targetPatent === id) setTargetPatent(newId);
+    setRenaming(null);
+  };
+
+  // Follow input changes on the canvas, then re-check the edited graph for loops
+  const syncCanvas = useEffectEvent(({ graph: adjList, document: graphDocument }) => {
+    const compact = JSON.stringify(graphDocument);
+    if (compact === syncedGraphRef.current) return;
+    syncedGraphRef.current = compact;
+
+    const fresh = layoutGraph(adjList, graphDocument);
+    if (relayoutRef.current) {
+      relayoutRef.current = false;
+      setNodes(fresh.nodes);
+      setEdges(fresh.edges);
+      setTimeout(() => reactFlowInstance.current && reactFlowInstance.current.fitView({ padding: 0.2, duration: 300 }), 100);
+    } else {
+      setNodes(nds => mergeNodes(nds, fresh.nodes));
+      setEdges(eds => mergeEdges(eds, fresh.edges));
+    }
+
+    clearTimeout(analysisTimerRef.current);
+    if (autoAnalyze && (targetPatent === ALL_NODES || Object.hasOwn(adjList, targetPatent))) {
+      analysisTimerRef.current = setTimeout(handleAnalyze, REANALYZE_DELAY_MS);
+    }
+  });
+
+  useEffect(() => {
+    if (isCanvasLoaded && !isStepMode && inputValidation.graph) syncCanvas(inputValidation);
+  }, [inputValidation, isCanvasLoaded, isStepMode]);
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) outside text fields; the textarea keeps its own undo
+  const onShortcut = useEffectEvent((e) => {
+    if (!(e.ctrlKey || e.metaKey) || isStepMode || e.target.closest('input, textarea, select')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoEdit();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      redoEdit();
     }
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => onShortcut(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Lay out with the chosen layout; nodes the user dragged stay where they were put
+  const layoutGraph = (adjList, graphDocument = null) => {
+    const computed = computeLayout(adjList, { layout });
+    const model = graphDocument && isTypedGraph(graphDocument) ? readGraphModel(graphDocument) : null;
+    return createGraphElements(adjList, { ...computed, positions: { ...computed.positions, ...manualPositionsRef.current } }, model);
+  };
+
+  // Re-position the canvas in place; styles and highlighting stay, manual drags are dropped
+  const changeLayout = (value) => {
+    setLayout(value);
+    manualPositionsRef.current = {};
+    const adjList = readGraphInput();
+    if (!adjList || nodes.length === 0) return;
+    const { positions, backEdges } = computeLayout(adjList, { layout: value });
+    const lanes = new Map(backEdges.map(edge => [edgeKey(edge.source, edge.target), edge.laneX]));
+    setNodes(nds => nds.map(node => (positions[node.id] ? { ...node, position: positions[node.id] } : node)));
+    setEdges(eds => eds.map(edge => routeEdge(edge, lanes)));
+    setTimeout(() => reactFlowInstance.current && reactFlowInstance.current.fitView({ padding: 0.2, duration: 300 }), 100);
+  };
+
+  const generateGraph = () => {
+    const { graph: adjList, document: graphDocument } = readValidation();
+    if (!adjList) return;
+
+    const { nodes: newNodes, edges: newEdges } = layoutGraph(adjList, graphDocument);
+    syncedGraphRef.current = JSON.stringify(graphDocument);
+    relayoutRef.current = false;
+    setIsCanvasLoaded(true);
+    setNodes(newNodes);
+    setEdges(newEdges);
+    setResult(null);
+    setSelectedCycleIndex(-1);
+    setGraphView('graph');
+    setSccSummary(null);
+    setProcessingPlan(null);
+    setStepRecording(null);
+    setCurrentStepIndex(-1);
+    setIsStepMode(false);
+    setIsAutoPlaying(false);
+    setTimeout(() => reactFlowInstance.current && reactFlowInstance.current.fitView({ padding: 0.2, duration: 300 }), 100);
   };
 
-  const handleAnalyze = () => {
+  // Worker runs reject with an AbortError when the user cancels; that is not a failure
+  const reportFailure = (error, message) => {
+    if (error.name === 'AbortError') return;
+    console.error(error);
+    alert(message);
+  };
+
+  const handleAnalyze = async () => {
+    const adjList = readAnalysisGraph();
+    if (!adjList) return;
+
     try {
-      const adjList = JSON.parse(jsonInput);
-      const analysis = runDetection(adjList, targetPatent);
+      setGraphView('graph');
+
+      if (detectionMode === 'all') {
+        await handleAnalyzeAll(adjList);
+        return;
+      }
+
+      const analysis = await run('runDetection', [adjList, targetPatent]);
 
       if (analysis.error) {
         alert(analysis.error);
         return;
       }
 
+      if (analysis.found && analysis.cycles) {
+        // Whole-graph mode: one loop per region that has any
+        setResult({
+          status: 'FAIL',
+          message: `Cycles detected in ${analysis.cycles.length} region(s).`,
+          cycles: analysis.cycles.map(c => c.loopPath),
+          cycleRegions: analysis.cycles.map(c => c.region)
+        });
+        setSelectedCycleIndex(0);
+        highlightGraph(analysis.loopPath);
+        setIsStepMode(false);
+        return;
+      }
+
+      setSelectedCycleIndex(-1);
       if (analysis.found) {
         setResult({
           status: 'FAIL',
@@ -181,28 +987,69 @@ const App = () => {
           status: 'PASS',
           message: 'All paths verified safe. No cycles found.'
         });
+        setProcessingPlan(await run('topologicalSort', [adjList]));
         resetGraphStyles();
       }
       setIsStepMode(false);
     } catch (error) {
-      console.error(error);
-      alert("Analysis failed");
+      reportFailure(error, "Analysis failed");
     }
   };
 
-  const handleStepByStep = () => {
+  // "All cycles" mode: list every elementary loop and highlight the first one
+  const handleAnalyzeAll = async (adjList) => {
+    const analysis = await run('findAllCycles', [adjList, targetPatent], { maxCycles });
+
+    if (analysis.error) {
+      alert(analysis.error);
+      return;
+    }
+
+    if (analysis.found) {
+      setResult({
+        status: 'FAIL',
+        message: analysis.truncated
+          ? `Showing the first ${analysis.cycles.length} cycles (limit reached).`
+          : `${analysis.cycles.length} distinct cycle(s) detected.`,
+        cycles: analysis.cycles,
+        cycleRegions: analysis.regions && analysis.cycles.map(cycle => analysis.regions[cycle[0]]),
+        truncated: analysis.truncated
+      });
+      setSelectedCycleIndex(0);
+      highlightGraph(analysis.cycles[0]);
+    } else {
+      setResult({
+        status: 'PASS',
+        message: 'All paths verified safe. No cycles found.'
+      });
+      setProcessingPlan(await run('topologicalSort', [adjList]));
+      setSelectedCycleIndex(-1);
+      resetGraphStyles();
+    }
+    setIsStepMode(false);
+  };
+
+  const selectCycle = (index) => {
+    setSelectedCycleIndex(index);
+    highlightGraph(result.cycles[index]);
+  };
+
+  const handleStepByStep = async () => {
+    const adjList = readAnalysisGraph();
+    if (!adjList) return;
+
     try {
-      const adjList = JSON.parse(jsonInput);
       if (nodes.length === 0) generateGraph();
+      setGraphView('graph');
 
-      const analysis = runDetectionWithSteps(adjList, targetPatent);
+      const analysis = await run('runDetectionWithSteps', [adjList, targetPatent], { maxSteps });
 
       if (analysis.error) {
         alert(analysis.error);
         return;
       }
 
-      setSteps(analysis.steps);
+      setStepRecording(analysis);
       setCurrentStepIndex(0);
       setIsStepMode(true);
       setResult(null);
@@ -231,64 +1078,182 @@ const App = () => {
         });
       }
     } catch (error) {
-      console.error(error);
-      alert("Step mode init failed");
+      reportFailure(error, "Step mode init failed");
     }
   };
 
-  const fixCycle = () => {
+  // Edge weights: { "source->target": cost }, empty input means every edge costs 1
+  const parseWeights = () => (weightsInput.trim() ? JSON.parse(weightsInput) : {});
+
+  // Locks marked in the input, for the edge types the fix works on
+  const readLocked = () => {
+    const graphDocument = readGraphDocument();
+    return graphDocument ? readLocks(graphDocument, { edgeTypes: { exclude: excludedEdgeTypes } }) : {};
+  };
+
+  const fixCycle = async () => {
+    const currentData = readAnalysisGraph();
+    const graphDocument = readGraphDocument();
+    if (!currentData) return;
+
     try {
-      const currentData = JSON.parse(jsonInput);
-      const { safeGraph, removedEdges } = removeCycles(currentData, targetPatent);
+      const preferred = await readPreferredRemovals(currentData);
+      const fix = await run('removeCycles', [currentData, targetPatent], { strategy: fixStrategy, weights: parseWeights(), locked: readLocked(), preferred });
+      const { safeGraph, removedEdges, cost, conflicts } = fix;
+
+      if (removedEdges.length === 0 && conflicts.length > 0) {
+        setResult({
+          status: 'FAIL',
+          message: 'Every remaining cycle is made of locked edges.',
+          conflicts
+        });
+        return;
+      }
 
       if (removedEdges.length > 0) {
-        const newJson = JSON.stringify(safeGraph, null, 2);
+        // Typed input keeps its attributes and the edges the analysis left out
+        const newDocument = isTypedGraph(graphDocument) ? removeGraphEdges(graphDocument, removedEdges, { edgeTypes: { exclude: excludedEdgeTypes } }) : safeGraph;
+        const newJson = JSON.stringify(newDocument, null, 2);
         setJsonInput(newJson);
+        // The fix lays out and verifies the new graph itself
+        syncedGraphRef.current = JSON.stringify(newDocument);
+        setLastFix({ ...fix, strategy: fixStrategy, originalGraph: currentData, originalInput: jsonInput });
+        setFixHistory(history => [...history, { strategy: fixStrategy, removedEdges, cost, appliedAt: new Date().toISOString() }]);
         setIsStepMode(false);
         setResult(null);
 
-        setTimeout(() => {
-          const adjList = JSON.parse(newJson);
-          // Re-generate basic visual nodes
-          const newNodes = []; // Simplified for brevity, same as generateGraph logic
-          const newEdges = [];
-          const keys = Object.keys(adjList);
-          const centerX = 400; const centerY = 200; const radius = 150;
-          keys.forEach((key, index) => {
-            const angle = (2 * Math.PI * index) / keys.length - Math.PI / 2;
-            newNodes.push({
-              id: key, data: { label: key },
-              position: { x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) },
-              style: { background: '#FFFFFF', border: '1px solid #0F2C1F', borderRadius: '8px', minWidth: 60, width: 'auto', padding: '10px', textAlign: 'center', fontWeight: 600, fontSize: '14px', color: '#0F2C1F', boxShadow: '0 2px 4px rgba(0,0,0,0.05)' }
-            });
-            if (adjList[key]) {
-              adjList[key].forEach(target => {
-                newEdges.push({
-                  id: `e${key}-${target}`, source: key, target: String(target), type: 'smoothstep',
-                  markerEnd: { type: MarkerType.ArrowClosed, color: '#9CA3AF' },
-                  animated: false, style: { stroke: '#9CA3AF', strokeWidth: 1.5 }
-                });
-              });
-            }
-          });
+        setTimeout(async () => {
+          const { nodes: newNodes, edges: newEdges } = layoutGraph(toAdjacencyList(newDocument), newDocument);
           setNodes(newNodes);
           setEdges(newEdges);
+          const adjList = analysisGraphOf({ graph: toAdjacencyList(newDocument), document: newDocument }, excludedEdgeTypes);
 
-          const analysis = runDetection(adjList, targetPatent);
-          if (!analysis.found) {
-            const removedDesc = removedEdges.map(e => `${e.source}→${e.target}`).join(', ');
+          let analysis;
+          try {
+            analysis = await run('runDetection', [adjList, targetPatent]);
+            setProcessingPlan(await run('topologicalSort', [adjList]));
+          } catch (error) {
+            reportFailure(error, "Fix verification failed");
+            return;
+          }
+          const removedDesc = removedEdges.map(e => `${e.source}→${e.target}`).join(', ');
+          if (conflicts.length > 0) {
+            setResult({
+              status: 'FAIL',
+              message: `Algorithm resolved ${removedEdges.length} conflict(s) at cost ${cost}: [${removedDesc}], but ${conflicts.length} locked cycle(s) remain.`,
+              conflicts
+            });
+          } else if (!analysis.found) {
             setResult({
               status: 'PASS',
-              message: `Algorithm resolved ${removedEdges.length} conflict(s): [${removedDesc}].`
+              message: `Algorithm resolved ${removedEdges.length} conflict(s) at cost ${cost}: [${removedDesc}].`
             });
           }
         }, 100);
       } else {
         alert("No cycles to remove.");
       }
-    } catch (e) {
-      console.error(e);
-      alert("Fix failed");
+    } catch (error) {
+      reportFailure(error, "Fix failed");
+    }
+  };
+
+  // File names follow the imported file or the selected test case
+  const exportFileName = (suffix, extension) => {
+    const base = importState?.fileName ? importState.fileName.replace(/\.[^.]+$/, '') : caseName;
+    return `${base}${suffix}.${extension}`;
+  };
+
+  const exportGraph = (format) => {
+    const graphData = readGraphInput();
+    if (!graphData) return;
+    // JSON keeps the typed form; CSV and DOT carry the plain edges
+    if (format === 'csv') downloadFile(exportFileName('', 'csv'), graphToCSV(graphData), 'text/csv');
+    else if (format === 'dot') downloadFile(exportFileName('', 'dot'), graphToDOT(graphData, { name: caseName }), 'text/vnd.graphviz');
+    else downloadFile(exportFileName('', 'json'), graphToJSON(readGraphDocument()), 'application/json');
+  };
+
+  const exportRemovedEdges = () => {
+    downloadFile(exportFileName('-removed-edges', 'diff'), removedEdgesDiff(lastFix.originalGraph, lastFix.safeGraph), 'text/x-diff');
+  };
+
+  // The report describes the graph before the last fix, so its cycles are the ones the fix removed
+  const exportReport = async (format) => {
+    const graphData = lastFix ? lastFix.originalGraph : readAnalysisGraph();
+    if (!graphData) return;
+
+    try {
+      const analysis = await run('findAllCycles', [graphData, targetPatent], { maxCycles });
+      if (analysis.error) {
+        alert(analysis.error);
+        return;
+      }
+      const report = buildAnalysisReport({
+        graph: graphData,
+        startNode: targetPatent === ALL_NODES ? null : targetPatent,
+        cycles: analysis.cycles,
+        truncated: analysis.truncated,
+        scc: await run('findStronglyConnectedComponents', [graphData]),
+        fix: lastFix
+      });
+      if (format === 'json') downloadFile(exportFileName('-report', 'json'), reportToJSON(report), 'application/json');
+      else downloadFile(exportFileName('-report', 'md'), reportToMarkdown(report), 'text/markdown');
+    } catch (error) {
+      reportFailure(error, "Report export failed");
+    }
+  };
+
+  const steps = useMemo(() => (stepRecording ? stepRecording.steps : []), [stepRecording]);
+  // Steps only store changes; the full state is rebuilt for the step on screen
+  const stepState = useMemo(
+    () => (isStepMode && stepRecording && currentStepIndex >= 0 ? restoreStepState(stepRecording, currentStepIndex) : null),
+    [isStepMode, stepRecording, currentStepIndex]
+  );
+
+  // Snapshot of the canvas as shown, including cycle, step and "TO DELETE" styling
+  const exportCanvasImage = async (format) => {
+    const image = renderGraphSVG(canvasNodes, canvasEdges, { scale: imageScale });
+    const name = exportFileName(isStepMode ? `-step-${currentStepIndex + 1}` : '', format);
+    if (format === 'svg') {
+      downloadFile(name, image.svg, 'image/svg+xml');
+      return;
+    }
+    try {
+      downloadFile(name, await canvasToPNG(await rasterizeSVG(image)));
+    } catch (error) {
+      reportFailure(error, "Image export failed");
+    }
+  };
+
+  // Every step of the current run as a PNG sequence in a ZIP or as an animated GIF
+  const exportStepFrames = async (format) => {
+    const total = Math.min(steps.length, FRAME_EXPORT_LIMIT);
+    const files = [];
+    let encoder = null;
+    cancelFrameExportRef.current = false;
+    setFrameExport({ done: 0, total });
+
+    try {
+      for (let index = 0; index < total && !cancelFrameExportRef.current; index++) {
+        const state = restoreStepState(stepRecording, index);
+        const image = renderGraphSVG(styleStepNodes(nodes, steps[index], state), styleStepEdges(edges, steps[index], state), { scale: imageScale });
+        const canvas = await rasterizeSVG(image);
+        if (format === 'gif') {
+          encoder ??= createGifEncoder(image.width, image.height, { delay: autoPlaySpeed });
+          encoder.addFrame(canvas.getContext('2d').getImageData(0, 0, image.width, image.height).data);
+        } else {
+          const png = await canvasToPNG(canvas);
+          files.push({ name: `step-${String(index + 1).padStart(String(total).length, '0')}.png`, data: new Uint8Array(await png.arrayBuffer()) });
+        }
+        setFrameExport({ done: index + 1, total });
+      }
+      if (cancelFrameExportRef.current) return;
+      if (format === 'gif') downloadFile(exportFileName('-steps', 'gif'), encoder.finish());
+      else downloadFile(exportFileName('-steps', 'zip'), new Blob([createZip(files)], { type: 'application/zip' }));
+    } catch (error) {
+      reportFailure(error, "Step export failed");
+    } finally {
+      setFrameExport(null);
     }
   };
 
@@ -307,84 +1272,33 @@ const App = () => {
   }, [isAutoPlaying, currentStepIndex, steps, autoPlaySpeed]);
 
   useEffect(() => {
-    if (!isStepMode || currentStepIndex < 0 || steps.length === 0) return;
+    if (!isStepMode || !stepState || steps.length === 0) return;
     const step = steps[currentStepIndex];
+    setNodes(nds => styleStepNodes(nds, step, stepState));
+    setEdges(eds => styleStepEdges(eds, step, stepState));
+  }, [currentStepIndex, isStepMode, steps, stepState]);
 
-    setNodes(nds => nds.map(node => {
-      let style = {
-        background: '#FFFFFF', border: '1px solid #0F2C1F', borderRadius: '8px',
-        minWidth: 60, width: 'auto',
-        padding: '10px', textAlign: 'center', fontWeight: 600, fontSize: '14px', color: '#0F2C1F',
-        transition: 'all 0.3s ease', boxShadow: '0 2px 4px rgba(0,0,0,0.05)'
-      };
-
-      if (step.action === ACTION_TYPES.CYCLE_FOUND && step.pathStack.includes(node.id)) {
-        const cycleStartIndex = step.pathStack.indexOf(step.cycleNode);
-        const isInCycle = step.pathStack.indexOf(node.id) >= cycleStartIndex || node.id === step.cycleNode;
-        if (isInCycle) {
-          style = { ...style, background: '#FEF2F2', border: '2px solid #EF4444', color: '#B91C1C', boxShadow: '0 0 15px rgba(239, 68, 68, 0.2)' };
-        }
-      }
-      else if (node.id === step.node && step.action !== ACTION_TYPES.START && step.action !== ACTION_TYPES.COMPLETE) {
-        style = { ...style, background: '#F0FDF4', border: '2px solid #59A645', color: '#166534' };
-      }
-      else if (step.recursionStack.has(node.id)) {
-        style = { ...style, background: '#EFF6FF', border: '2px solid #3B82F6', color: '#1E40AF' };
-      }
-      else if (step.visited.has(node.id)) {
-        style = { ...style, opacity: 0.7, background: '#F9FAFB', border: '1px dashed #9CA3AF', color: '#6B7280' };
-      }
-      return { ...node, style };
-    }));
-
-    setEdges(eds => eds.map(edge => {
-      let style = { stroke: '#D1D5DB', strokeWidth: 1.5 };
-      let animated = false;
-      const pathStack = step.pathStack;
-      for (let i = 0; i < pathStack.length - 1; i++) {
-        if (pathStack[i] === edge.source && pathStack[i + 1] === edge.target) {
-          style = { stroke: '#3B82F6', strokeWidth: 2.5 };
-          animated = true;
-          break;
-        }
-      }
-      if (step.action === ACTION_TYPES.EXPLORE_NEIGHBOR && step.node === edge.source && step.targetNeighbor === edge.target) {
-        style = { stroke: '#F59E0B', strokeWidth: 2.5 };
-        animated = true;
-      }
-      if (step.action === ACTION_TYPES.CYCLE_FOUND) {
-        const cycleNode = step.cycleNode;
-        const cycleStartIndex = step.pathStack.indexOf(cycleNode);
-        const cyclePath = [...step.pathStack.slice(cycleStartIndex), cycleNode];
-        for (let i = 0; i < cyclePath.length - 1; i++) {
-          if (cyclePath[i] === edge.source && cyclePath[i + 1] === edge.target) {
-            style = { stroke: '#EF4444', strokeWidth: 3 };
-            animated = true;
-            break;
-          }
-        }
-      }
-      // Show skipped edge in blue with dashed line
-      if (step.action === ACTION_TYPES.SKIP_CYCLE && step.skippedEdge) {
-        if (edge.source === String(step.skippedEdge.source) && edge.target === String(step.skippedEdge.target)) {
-          style = { stroke: '#3B82F6', strokeWidth: 3, strokeDasharray: '5,5' };
-          animated = true;
-        }
-      }
-      return { ...edge, style, animated, markerEnd: { type: MarkerType.ArrowClosed, color: style.stroke } };
-    }));
-  }, [currentStepIndex, isStepMode, steps]);
+  const previewFix = async () => {
+    const currentData = readAnalysisGraph();
+    if (!currentData) return;
 
-  const previewFix = () => {
     try {
-      const currentData = JSON.parse(jsonInput);
-      const { removedEdges } = removeCycles(currentData, targetPatent);
-      if (removedEdges.length > 0) {
+      const options = { weights: parseWeights(), locked: readLocked(), preferred: await readPreferredRemovals(currentData) };
+      const chosen = await run('removeCycles', [currentData, targetPatent], { ...options, strategy: fixStrategy });
+      const { removedEdges, conflicts } = chosen;
+      if (removedEdges.length > 0 || conflicts.length > 0) {
+        setGraphView('graph');
+        // Always compare against the default DFS resolution
+        const comparison = fixStrategy === FIX_STRATEGIES.DFS
+          ? [chosen]
+          : [chosen, await run('removeCycles', [currentData, targetPatent], { ...options, strategy: FIX_STRATEGIES.DFS })];
         setResult({
           status: 'FAIL',
-          message: `Preview Removal: ${removedEdges.length} edge(s) will be deleted.`,
+          message: `Preview Removal: ${removedEdges.length} edge(s) will be deleted (cost ${chosen.cost}).`,
           cycleEdge: result && result.cycleEdge,
           previewEdges: removedEdges,
+          previewComparison: comparison,
+          conflicts,
           hidden: false
         });
         setEdges(eds => eds.map(edge => {
@@ -402,46 +1316,226 @@ const App = () => {
       } else {
         alert("No conflicts to fix.");
       }
-    } catch (e) { console.error(e); alert("Preview failed"); }
+    } catch (error) { reportFailure(error, "Preview failed"); }
+  };
+
+  const resetGraphStyles = () => {
+    setNodes((nds) => nds.map(plainNode));
+    setEdges((eds) => eds.map(plainEdge));
+  };
+
+  // Only the given loop stays marked; whatever an earlier selection highlighted is cleared
+  const highlightGraph = (loopPath) => {
+    setNodes((nds) => highlightCycleNodes(nds, loopPath));
+    setEdges((eds) => highlightCycleEdges(eds, loopPath));
   };
 
-  const resetGraphStyles = () => {
-    setNodes((nds) => nds.map((node) => ({
-      ...node,
-      style: { background: '#FFFFFF', border: '1px solid #0F2C1F', borderRadius: '8px', width: 60, padding: '10px', textAlign: 'center', fontWeight: 600, fontSize: '14px', color: '#0F2C1F', boxShadow: '0 2px 4px rgba(0,0,0,0.05)', opacity: 1 }
-    })));
-    setEdges((eds) => eds.map((edge) => ({
-      ...edge, animated: false, label: '', labelStyle: undefined,
-      style: { stroke: '#9CA3AF', strokeWidth: 1.5, opacity: 1 },
-      markerEnd: { type: MarkerType.ArrowClosed, color: '#9CA3AF' }
-    })));
+  // Switch the canvas between the plain graph, SCC coloring, the condensed DAG and the last diff
+  const changeGraphView = async (view) => {
+    if (view === 'diff') {
+      setGraphView(view);
+      setTimeout(() => reactFlowInstance.current && reactFlowInstance.current.fitView({ padding: 0.2, duration: 300 }), 100);
+      return;
+    }
+    const graphData = readAnalysisGraph();
+    if (!graphData) return;
+    let scc;
+    try {
+      scc = await run('findStronglyConnectedComponents', [graphData]);
+    } catch (error) {
+      reportFailure(error, "Component analysis failed");
+      return;
+    }
+
+    setGraphView(view);
+    setSccSummary({
+      total: scc.components.length,
+      cyclic: scc.components.filter((_, index) => scc.cyclic[index])
+    });
+
+    if (view === 'graph') {
+      resetGraphStyles();
+    } else if (view === 'components') {
+      colorByComponent(scc);
+    } else {
+      buildCondensedGraph(scc);
+    }
   };
 
-  const highlightGraph = (loopPath) => {
+  const colorByComponent = (scc) => {
+    // Cyclic components get a palette color each, acyclic singletons stay neutral
+    const colorIndex = {};
+    scc.components.forEach((_, index) => {
+      if (scc.cyclic[index]) colorIndex[index] = Object.keys(colorIndex).length % COMPONENT_COLORS.length;
+    });
+
     setNodes((nds) => nds.map((node) => {
-      if (loopPath.includes(node.id)) {
-        return {
-          ...node,
-          style: { ...node.style, background: '#FEF2F2', border: '2px solid #EF4444', color: '#B91C1C', boxShadow: '0 0 10px rgba(239, 68, 68, 0.3)', opacity: 1 }
-        };
+      const component = scc.componentOf[node.id];
+      const palette = COMPONENT_COLORS[colorIndex[component]];
+      const style = { ...node.style, opacity: 1, boxShadow: '0 2px 4px rgba(0,0,0,0.05)' };
+      if (!palette) {
+        return { ...node, style: { ...style, background: '#FFFFFF', border: '1px solid #9CA3AF', color: '#6B7280', ...(node.data.external && EXTERNAL_NODE_STYLE) } };
       }
-      return { ...node, style: { ...node.style, opacity: 0.3 } };
+      return { ...node, style: { ...style, background: palette.background, border: `2px solid ${palette.border}`, color: palette.color } };
     }));
     setEdges((eds) => eds.map((edge) => {
-      let isInLoop = false;
-      for (let i = 0; i < loopPath.length - 1; i++) {
-        if (loopPath[i] === edge.source && loopPath[i + 1] === edge.target) isInLoop = true; break;
-      }
-      if (isInLoop) {
-        return { ...edge, animated: true, style: { stroke: '#EF4444', strokeWidth: 2 }, markerEnd: { type: MarkerType.ArrowClosed, color: '#EF4444' } };
-      }
-      return { ...edge, style: { stroke: '#E5E7EB' }, markerEnd: { type: MarkerType.ArrowClosed, color: '#E5E7EB' } };
+      const component = scc.componentOf[edge.source];
+      const palette = component === scc.componentOf[edge.target] && COMPONENT_COLORS[colorIndex[component]];
+      const stroke = palette ? palette.border : '#D1D5DB';
+      return {
+        ...edge, animated: false, label: edgeTypeLabel(edge), labelStyle: undefined,
+        style: { stroke, strokeWidth: palette ? 2 : 1.5, opacity: 1 },
+        markerEnd: { type: MarkerType.ArrowClosed, color: stroke }
+      };
     }));
   };
 
-  const exitStepMode = () => { setIsStepMode(false); setSteps([]); setCurrentStepIndex(-1); setIsAutoPlaying(false); generateGraph(); };
-  const onNodesChange = useCallback((changes) => setNodes((nds) => applyNodeChanges(changes, nds)), []);
+  const buildCondensedGraph = (scc) => {
+    // Place each super-node at the centroid of its members' current positions
+    const positions = Object.fromEntries(nodes.map(node => [node.id, node.position]));
+    let colorCounter = 0;
+
+    const superNodes = scc.components.map((component, index) => {
+      const placed = component.filter(id => positions[id]);
+      const angle = (2 * Math.PI * index) / scc.components.length - Math.PI / 2;
+      const position = placed.length > 0
+        ? {
+          x: placed.reduce((sum, id) => sum + positions[id].x, 0) / placed.length,
+          y: placed.reduce((sum, id) => sum + positions[id].y, 0) / placed.length
+        }
+        : { x: 300 + 180 * Math.cos(angle), y: 250 + 180 * Math.sin(angle) };
+      const palette = scc.cyclic[index] && COMPONENT_COLORS[colorCounter++ % COMPONENT_COLORS.length];
+
+      return {
+        id: `scc-${index}`,
+        data: { label: component.length > 1 ? `{ ${component.join(', ')} }` : component[0] },
+        position,
+        style: {
+          background: palette ? palette.background : '#FFFFFF',
+          border: palette ? `2px solid ${palette.border}` : '1px solid #0F2C1F',
+          borderRadius: '8px', minWidth: 60, width: 'auto', padding: '10px', textAlign: 'center',
+          fontWeight: 600, fontSize: '14px', color: palette ? palette.color : '#0F2C1F',
+          boxShadow: '0 2px 4px rgba(0,0,0,0.05)'
+        }
+      };
+    });
+
+    const superEdges = Object.entries(scc.condensed).flatMap(([source, targets]) => targets.map(target => ({
+      id: `escc-${source}-${target}`,
+      source: `scc-${source}`,
+      target: `scc-${target}`,
+      type: 'smoothstep',
+      markerEnd: { type: MarkerType.ArrowClosed, color: '#9CA3AF' },
+      style: { stroke: '#9CA3AF', strokeWidth: 1.5 }
+    })));
+
+    setCondensedNodes(superNodes);
+    setCondensedEdges(superEdges);
+    setTimeout(() => reactFlowInstance.current && reactFlowInstance.current.fitView({ padding: 0.2, duration: 300 }), 100);
+  };
+
+  // Compare an older graph version with the input and show both, merged and colored, on the canvas
+  const compareGraphs = async (baseText) => {
+    const after = readGraphInput();
+    const before = validateGraphInput(baseText, { strict: strictMode });
+    if (!after) return;
+    if (!before.graph) {
+      const error = before.issues.find(issue => issue.severity === 'error');
+      alert(`The graph to compare with is invalid (line ${error.line}): ${error.message}`);
+      return;
+    }
+
+    try {
+      const diff = await run('diffGraphs', [before.graph, after], { maxCycles });
+      const merged = mergeGraphs(before.graph, after);
+      const elements = createGraphElements(merged, computeLayout(merged, { layout }));
+      const nodeStatus = new Map(diff.nodes.map(node => [node.id, node.status]));
+      const edgeStatus = new Map(diff.edges.map(edge => [edgeKey(edge.source, edge.target), edge.status]));
+
+      setDiffNodes(elements.nodes.map((node) => {
+        const colors = DIFF_COLORS[nodeStatus.get(node.id)];
+        if (!colors) return { ...node, style: { ...node.style, opacity: 0.6 } };
+        return {
+          ...node,
+          style: {
+            ...node.style, background: colors.background, color: colors.color, fontStyle: 'normal',
+            border: `2px ${nodeStatus.get(node.id) === DIFF_STATUS.REMOVED ? 'dashed' : 'solid'} ${colors.border}`
+          }
+        };
+      }));
+      setDiffEdges(elements.edges.map((edge) => {
+        const status = edgeStatus.get(edgeKey(edge.source, edge.target));
+        const colors = DIFF_COLORS[status];
+        if (!colors) return { ...edge, style: { stroke: '#D1D5DB', strokeWidth: 1.5 }, markerEnd: { type: MarkerType.ArrowClosed, color: '#D1D5DB' } };
+        return {
+          ...edge,
+          style: { stroke: colors.border, strokeWidth: 2.5, ...(status === DIFF_STATUS.REMOVED && { strokeDasharray: '6 4' }) },
+          markerEnd: { type: MarkerType.ArrowClosed, color: colors.border }
+        };
+      }));
+      setDiffResult(diff);
+      setGraphView('diff');
+      setTimeout(() => reactFlowInstance.current && reactFlowInstance.current.fitView({ padding: 0.2, duration: 300 }), 100);
+    } catch (error) {
+      reportFailure(error, "Comparison failed");
+    }
+  };
+
+  const compareWithOriginal = () => {
+    const baseText = lastFix.originalInput;
+    setDiffBaseInput(baseText);
+    compareGraphs(baseText);
+  };
+
+  // Optional layout: one column per dependency level, dependencies on the left
+  const applyLevelLayout = () => {
+    const positions = {};
+    processingPlan.levels.forEach((level, column) => {
+      level.forEach((id, row) => {
+        positions[id] = { x: 100 + column * 180, y: 80 + row * 90 };
+      });
+    });
+    manualPositionsRef.current = {};
+    setNodes((nds) => nds.map((node) => positions[node.id] ? { ...node, position: positions[node.id] } : node));
+    setEdges((eds) => eds.map((edge) => routeEdge(edge, new Map())));
+    setTimeout(() => reactFlowInstance.current && reactFlowInstance.current.fitView({ padding: 0.2, duration: 300 }), 100);
+  };
+
+  const exitStepMode = () => { setIsStepMode(false); setStepRecording(null); setCurrentStepIndex(-1); setIsAutoPlaying(false); generateGraph(); };
+  const onNodesChange = useCallback((changes) => {
+    changes.forEach(change => {
+      if (change.type === 'position' && change.dragging && change.position) manualPositionsRef.current[change.id] = change.position;
+    });
+    setNodes((nds) => applyNodeChanges(changes, nds));
+  }, []);
   const onEdgesChange = useCallback((changes) => setEdges((eds) => applyEdgeChanges(changes, eds)), []);
+  const onCondensedNodesChange = useCallback((changes) => setCondensedNodes((nds) => applyNodeChanges(changes, nds)), []);
+  const onCondensedEdgesChange = useCallback((changes) => setCondensedEdges((eds) => applyEdgeChanges(changes, eds)), []);
+  const onDiffNodesChange = useCallback((changes) => setDiffNodes((nds) => applyNodeChanges(changes, nds)), []);
+  const onDiffEdgesChange = useCallback((changes) => setDiffEdges((eds) => applyEdgeChanges(changes, eds)), []);
+  const isCondensed = graphView === 'condensed';
+  const isDiff = graphView === 'diff';
+  // The condensed and diff views draw their own elements instead of the graph's
+  const canvasNodes = isCondensed ? condensedNodes : isDiff ? diffNodes : nodes;
+  const canvasEdges = isCondensed ? condensedEdges : isDiff ? diffEdges : edges;
+  // A what-if answer only holds for the input it was checked against
+  const whatIf = whatIfResult && whatIfResult.input === jsonInput ? whatIfResult : null;
+  const temporal = temporalResult && temporalResult.input === jsonInput ? temporalResult : null;
+  const queryAnswer = queryResult && queryResult.input === jsonInput ? queryResult : null;
+  // Nodes that reach the most come first
+  const closureRows = queryAnswer && queryAnswer.closure
+    ? Object.entries(queryAnswer.closure).map(([id, reached]) => ({ id, reached })).toSorted((a, b) => b.reached.length - a.reached.length)
+    : [];
+  const metrics = metricsResult && metricsResult.input === jsonInput ? metricsResult : null;
+  const metricRows = metrics
+    ? metrics.nodes.toSorted((a, b) => {
+      const order = metricsSort.key === 'id'
+        ? compareNodeIds(a.id, b.id)
+        : (a[metricsSort.key] ?? -Infinity) - (b[metricsSort.key] ?? -Infinity) || compareNodeIds(a.id, b.id);
+      return metricsSort.descending ? -order : order;
+    })
+    : [];
+  const canEdit = isCanvasLoaded && !isStepMode && !isCondensed && !isDiff && inputValidation.graph !== null;
 
   const currentStep = isStepMode && currentStepIndex >= 0 ? steps[currentStepIndex] : null;
 
@@ -467,7 +1561,12 @@ const App = () => {
         {/* Left Panel: Controls */}
         <div className="w-[400px] flex flex-col gap-6 shrink-0 overflow-y-auto">
 
-          <div className="bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] p-5">
+          <div
+            className={`bg-[var(--card-white)] rounded-xl shadow-sm border p-5 ${isDraggingFile ? 'border-[var(--green-accent)] ring-2 ring-[var(--green-accent)]/20' : 'border-[var(--card-border)]'}`}
+            onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+            onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsDraggingFile(false)}
+            onDrop={handleFileDrop}
+          >
             <h2 className="text-lg font-serif mb-4 flex items-center gap-2">
               <span className="w-1 h-6 bg-[var(--green-accent)] rounded-full"></span>
               Test Configuration
@@ -482,38 +1581,206 @@ const App = () => {
                   disabled={isStepMode}
                   className="w-full p-2.5 bg-white border border-[var(--card-border)] rounded-md text-sm outline-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
                 >
-                  {Object.entries(TEST_CASES).map(([id, testCase]) => (
-                    <option key={id} value={id}>{testCase.name}</option>
-                  ))}
+                  <optgroup label="Built-in cases">
+                    {Object.entries(TEST_CASES).map(([id, testCase]) => (
+                      <option key={id} value={id}>{testCase.name}</option>
+                    ))}
+                  </optgroup>
+                  {workspaces.length > 0 && (
+                    <optgroup label="Saved workspaces">
+                      {workspaces.map(workspace => (
+                        <option key={workspace.id} value={WORKSPACE_PREFIX + workspace.id}>{workspace.name}</option>
+                      ))}
+                    </optgroup>
+                  )}
                 </select>
-                <p className="text-xs text-[var(--text-muted)] mt-1.5">{TEST_CASES[selectedCase].description}</p>
+                <p className="text-xs text-[var(--text-muted)] mt-1.5">
+                  {activeWorkspace
+                    ? `Saved workspace · last saved ${new Date(activeWorkspace.updatedAt).toLocaleString()}${activeWorkspace.fixHistory.length > 0 ? ` · ${activeWorkspace.fixHistory.length} fix${activeWorkspace.fixHistory.length === 1 ? '' : 'es'} applied` : ''}`
+                    : TEST_CASES[selectedCase]?.description}
+                </p>
+                <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs">
+                  <button onClick={() => saveWorkspace(false)} disabled={isStepMode} className="text-[var(--green-accent)] hover:underline disabled:opacity-40 disabled:no-underline">
+                    {activeWorkspace ? 'Save' : 'Save as workspace…'}
+                  </button>
+                  {activeWorkspace && (
+                    <>
+                      <button onClick={() => saveWorkspace(true)} disabled={isStepMode} className="text-[var(--green-accent)] hover:underline disabled:opacity-40 disabled:no-underline">Save as…</button>
+                      <button onClick={renameWorkspace} disabled={isStepMode} className="text-[var(--green-accent)] hover:underline disabled:opacity-40 disabled:no-underline">Rename</button>
+                      <button onClick={duplicateWorkspace} disabled={isStepMode} className="text-[var(--green-accent)] hover:underline disabled:opacity-40 disabled:no-underline">Duplicate</button>
+                      <button onClick={deleteWorkspace} disabled={isStepMode} className="text-red-600 hover:underline disabled:opacity-40 disabled:no-underline">Delete</button>
+                    </>
+                  )}
+                </div>
+                {workspaceError && <p className="text-xs text-red-600 mt-1">{workspaceError}</p>}
               </div>
 
               <div>
-                <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Graph Data (JSON)</label>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider">Graph Data (JSON)</label>
+                  <label className={`text-xs text-[var(--green-accent)] ${isStepMode ? 'opacity-40' : 'cursor-pointer hover:underline'}`}>
+                    Import file…
+                    <input
+                      type="file"
+                      accept=".json,.csv,.tsv,.tab,.dot,.gv,.graphml,.xml"
+                      className="hidden"
+                      disabled={isStepMode}
+                      onChange={async (e) => {
+                        const file = e.target.files[0];
+                        e.target.value = '';
+                        if (file) applyImport(await file.text(), { fileName: file.name });
+                      }}
+                    />
+                  </label>
+                </div>
                 <textarea
-                  className="w-full h-32 p-3 rounded-md border border-[var(--card-border)] text-sm font-mono resize-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                  className={`w-full h-32 p-3 rounded-md border text-sm font-mono resize-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20 ${inputValidation.graph ? 'border-[var(--card-border)]' : 'border-red-300'}`}
                   value={jsonInput}
-                  onChange={(e) => setJsonInput(e.target.value)}
+                  onChange={(e) => commitInput(e.target.value, { group: 'typing' })}
+                  onPaste={handleInputPaste}
+                  placeholder="Paste or drop JSON, a CSV/TSV edge list, DOT or GraphML"
                   spellCheck="false"
                   disabled={isStepMode}
                 />
+                {importError && <p className="mt-2 text-xs text-red-600">{importError}</p>}
+                {importState && (
+                  <div className="mt-2 p-2 rounded-md border border-gray-200 bg-gray-50 text-xs text-[var(--text-muted)]">
+                    <div>
+                      Imported {importState.nodeCount} node(s) and {importState.edgeCount} edge(s) from {importState.format.toUpperCase()}
+                      {importState.fileName && <> ({importState.fileName})</>}
+                    </div>
+                    {importState.columns && (
+                      <div className="flex gap-2 mt-2">
+                        {['source', 'target'].map(column => (
+                          <label key={column} className="flex-1">
+                            <span className="block mb-1 capitalize">{column} column</span>
+                            <select
+                              value={importState.mapping[column]}
+                              onChange={(e) => remapImportColumns(column, Number(e.target.value))}
+                              disabled={isStepMode}
+                              className="w-full p-1.5 bg-white border border-[var(--card-border)] rounded-md"
+                            >
+                              {importState.columns.map((name, index) => (
+                                <option key={index} value={index}>{name || `Column ${index + 1}`}</option>
+                              ))}
+                            </select>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+                {inputValidation.issues.length > 0 && (
+                  <div className="mt-2 p-2 rounded-md border border-gray-200 bg-gray-50 text-xs">
+                    <ul className="space-y-1 max-h-32 overflow-y-auto font-mono">
+                      {inputValidation.issues.slice(0, INPUT_ISSUE_LIMIT).map((issue, index) => (
+                        <li key={index} className={issue.severity === 'error' ? 'text-red-600' : 'text-amber-700'}>
+                          <span className="font-semibold">Line {issue.line}, col {issue.column}:</span> {issue.message}
+                        </li>
+                      ))}
+                      {inputValidation.issues.length > INPUT_ISSUE_LIMIT && (
+                        <li className="text-[var(--text-muted)]">… and {inputValidation.issues.length - INPUT_ISSUE_LIMIT} more</li>
+                      )}
+                    </ul>
+                    {canNormalize && (
+                      <button onClick={normalizeInput} disabled={isStepMode} className="secondary text-xs px-3 py-1 mt-2">
+                        Normalize (ids to strings, remove duplicates and blank ids)
+                      </button>
+                    )}
+                  </div>
+                )}
+                {externalNodes.length > 0 && !strictMode && (
+                  <div className="mt-2 p-2 rounded-md border border-amber-200 bg-amber-50 text-xs text-amber-800">
+                    <div className="font-semibold mb-1">⚠ {externalNodes.length} external / missing node(s)</div>
+                    <ul className="space-y-0.5 max-h-24 overflow-y-auto font-mono">
+                      {externalNodes.slice(0, INPUT_ISSUE_LIMIT).map(({ id, referencedBy }) => (
+                        <li key={id}>"{id}" ← referenced by {referencedBy.map(source => `"${source}"`).join(', ')}</li>
+                      ))}
+                      {externalNodes.length > INPUT_ISSUE_LIMIT && (
+                        <li className="text-[var(--text-muted)]">… and {externalNodes.length - INPUT_ISSUE_LIMIT} more</li>
+                      )}
+                    </ul>
+                    <div className="mt-1 text-amber-700">Referenced but not declared; drawn dashed and treated as leaves.</div>
+                  </div>
+                )}
+                <label className="mt-2 flex items-center gap-2 text-xs text-[var(--text-muted)]">
+                  <input
+                    type="checkbox"
+                    checked={strictMode}
+                    onChange={(e) => setStrictMode(e.target.checked)}
+                    disabled={isStepMode}
+                  />
+                  Strict mode: undeclared targets are errors
+                </label>
+                {inputModel && (
+                  <div className="mt-2 text-xs text-[var(--text-muted)]">
+                    <div className="mb-1">Edge types analysed:</div>
+                    <div className="flex flex-wrap gap-x-3 gap-y-1">
+                      {inputModel.edgeTypes.map(type => (
+                        <label key={type} className="flex items-center gap-1.5">
+                          <input
+                            type="checkbox"
+                            checked={!excludedEdgeTypes.includes(type)}
+                            onChange={(e) => toggleEdgeType(type, e.target.checked)}
+                            disabled={isStepMode}
+                          />
+                          {type} ({inputModel.typeCounts[type]})
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
 
               <div>
                 <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Start Node</label>
-                <input
-                  type="text"
+                <select
                   value={targetPatent}
                   onChange={(e) => setTargetPatent(e.target.value)}
                   disabled={isStepMode}
-                  className="w-full p-2.5 rounded-md border border-[var(--card-border)] text-sm focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
-                />
+                  className="w-full p-2.5 bg-white border border-[var(--card-border)] rounded-md text-sm outline-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                >
+                  <option value={ALL_NODES}>All nodes</option>
+                  {targetPatent !== ALL_NODES && !nodeOptions.includes(targetPatent) && (
+                    <option value={targetPatent}>{targetPatent}</option>
+                  )}
+                  {nodeOptions.map(id => (
+                    <option key={id} value={id}>{id}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="flex gap-3">
+                <div className="flex-1">
+                  <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Detection Mode</label>
+                  <select
+                    value={detectionMode}
+                    onChange={(e) => setDetectionMode(e.target.value)}
+                    disabled={isStepMode}
+                    className="w-full p-2.5 bg-white border border-[var(--card-border)] rounded-md text-sm outline-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                  >
+                    <option value="first">First cycle</option>
+                    <option value="all">All cycles</option>
+                  </select>
+                </div>
+                {detectionMode === 'all' && (
+                  <div className="w-28">
+                    <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Max Cycles</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={maxCycles}
+                      onChange={(e) => setMaxCycles(Math.max(1, parseInt(e.target.value) || 1))}
+                      disabled={isStepMode}
+                      className="w-full p-2.5 rounded-md border border-[var(--card-border)] text-sm focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                    />
+                  </div>
+                )}
               </div>
 
               <div className="flex gap-3 pt-2">
                 <button onClick={generateGraph} disabled={isStepMode} className="flex-1 secondary bg-white border border-[var(--card-border)] text-[var(--text-dark)] hover:border-[var(--green-accent)] hover:text-[var(--green-accent)]">Load Graph</button>
-                <button onClick={handleAnalyze} disabled={isStepMode} className="flex-1">Detailed Analysis</button>
+                <button onClick={handleAnalyze} disabled={isStepMode || isRunning} className="flex-1">Detailed Analysis</button>
               </div>
             </div>
           </div>
@@ -525,6 +1792,7 @@ const App = () => {
             </h2>
             <button
               onClick={isStepMode ? exitStepMode : handleStepByStep}
+              disabled={isRunning}
               className={`w-full py-3 font-medium transition-all ${isStepMode
                 ? 'bg-red-50 text-red-600 border border-red-200 hover:bg-red-100'
                 : 'bg-[var(--green-dark)] text-white hover:bg-black shadow-md'
@@ -532,6 +1800,491 @@ const App = () => {
             >
               {isStepMode ? 'Exit Debug Mode' : 'Start Step-by-Step Visualization'}
             </button>
+
+            {isRunning && (
+              <div className="mt-4 p-3 rounded-lg bg-gray-50 border border-gray-200">
+                <div className="flex items-center justify-between text-xs text-[var(--text-muted)] mb-2">
+                  <span>
+                    {progress
+                      ? `Analyzing… ${progress.visited.toLocaleString()} / ${progress.total.toLocaleString()} nodes`
+                      : 'Analyzing…'}
+                  </span>
+                  <button onClick={cancel} className="secondary text-xs px-3 py-1">Cancel</button>
+                </div>
+                <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-[var(--green-accent)] transition-all"
+                    style={{ width: progress && progress.total ? `${Math.min(100, (progress.visited / progress.total) * 100)}%` : '0%' }}
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="mt-4 space-y-3">
+              <div>
+                <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Step Limit</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={maxSteps}
+                  onChange={(e) => setMaxSteps(Math.max(1, parseInt(e.target.value) || 1))}
+                  disabled={isStepMode}
+                  className="w-full p-2.5 rounded-md border border-[var(--card-border)] text-sm focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Fix Strategy</label>
+                <select
+                  value={fixStrategy}
+                  onChange={(e) => setFixStrategy(e.target.value)}
+                  disabled={isStepMode}
+                  className="w-full p-2.5 bg-white border border-[var(--card-border)] rounded-md text-sm outline-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                >
+                  <option value={FIX_STRATEGIES.DFS}>DFS back-edges</option>
+                  <option value={FIX_STRATEGIES.MINIMUM}>Minimum cut (feedback arc set)</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Edge Weights (JSON, optional)</label>
+                <textarea
+                  className="w-full h-16 p-3 rounded-md border border-[var(--card-border)] text-sm font-mono resize-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                  value={weightsInput}
+                  onChange={(e) => setWeightsInput(e.target.value)}
+                  placeholder='{ "1->2": 10 }'
+                  spellCheck="false"
+                  disabled={isStepMode}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Locked Edges / Nodes</label>
+                {inputLocks && (inputLocks.edges.length > 0 || inputLocks.nodes.length > 0) ? (
+                  <div className="font-mono text-xs bg-[var(--bg-cream)] rounded p-2 space-y-0.5">
+                    {inputLocks.nodes.map(node => <div key={`node-${node}`}>🔒 {node} (node)</div>)}
+                    {inputLocks.edges.map(edge => <div key={edge}>🔒 {edge.replace('->', ' → ')}</div>)}
+                  </div>
+                ) : (
+                  <p className="text-xs text-[var(--text-muted)]">Nothing is locked.</p>
+                )}
+                <p className="text-xs text-[var(--text-muted)] mt-1.5">
+                  Mark them in the input: <code>{'{ "target": "2", "locked": true }'}</code> locks an edge,
+                  {' '}<code>{'"locked": true'}</code> on a node object all of its outgoing edges. Locked edges are never removed.
+                </p>
+              </div>
+              <div className="flex gap-3">
+                <button onClick={previewFix} disabled={isStepMode || isRunning || nodes.length === 0} className="flex-1 secondary bg-white border border-[var(--card-border)] text-[var(--text-dark)] hover:border-[var(--green-accent)] hover:text-[var(--green-accent)]">Preview Fix</button>
+                <button onClick={fixCycle} disabled={isStepMode || isRunning} className="flex-1">Apply Fix</button>
+              </div>
+            </div>
+
+            <div className="mt-4">
+              <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Layout</label>
+              <select
+                value={layout}
+                onChange={(e) => changeLayout(e.target.value)}
+                disabled={isStepMode}
+                className="w-full p-2.5 bg-white border border-[var(--card-border)] rounded-md text-sm outline-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+              >
+                <option value={LAYOUTS.LAYERED}>Layered (citing above cited)</option>
+                <option value={LAYOUTS.FORCE}>Force-directed</option>
+                <option value={LAYOUTS.CIRCLE}>Circle</option>
+              </select>
+              <p className="text-xs text-[var(--text-muted)] mt-1.5">
+                {layout === LAYOUTS.FORCE && nodes.length > FORCE_LAYOUT_LIMIT
+                  ? `Graphs over ${FORCE_LAYOUT_LIMIT} nodes use the layered layout.`
+                  : 'Dragged nodes keep their place until the layout is changed.'}
+              </p>
+            </div>
+
+            <div className="mt-4">
+              <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Graph View</label>
+              <select
+                value={graphView}
+                onChange={(e) => changeGraphView(e.target.value)}
+                disabled={isStepMode || isRunning || nodes.length === 0}
+                className="w-full p-2.5 bg-white border border-[var(--card-border)] rounded-md text-sm outline-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+              >
+                <option value="graph">Graph</option>
+                <option value="components">Color by component (SCC)</option>
+                <option value="condensed">Condensed DAG</option>
+                {diffResult && <option value="diff">Diff</option>}
+              </select>
+              <button onClick={computeMetrics} disabled={isStepMode || isRunning || !inputValidation.graph} className="w-full mt-2 secondary text-xs px-3 py-1.5">
+                {metrics ? 'Refresh Metrics' : 'Show Metrics'}
+              </button>
+              {graphView !== 'graph' && !isDiff && sccSummary && (
+                <div className="mt-2 text-xs text-[var(--text-muted)]">
+                  <p>{sccSummary.total} component(s), {sccSummary.cyclic.length} with a loop.</p>
+                  {sccSummary.cyclic.length > 0 && (
+                    <div className="mt-1 font-mono bg-[var(--bg-cream)] rounded p-2 space-y-0.5">
+                      {sccSummary.cyclic.map((component, index) => (
+                        <div key={index}>{`{ ${component.join(', ')} }`}</div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] p-5">
+            <h2 className="text-lg font-serif mb-4 flex items-center gap-2">
+              <span className="w-1 h-6 bg-[var(--green-dark)] rounded-full"></span>
+              What If
+            </h2>
+            <form onSubmit={(e) => { e.preventDefault(); checkWhatIf(); }} className="space-y-3">
+              <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider">Add Citation</label>
+              <div className="flex items-center gap-2">
+                <input
+                  value={whatIfEdge.source}
+                  onChange={(e) => updateWhatIfEdge({ source: e.target.value })}
+                  placeholder="Source"
+                  className="flex-1 min-w-0 p-2 rounded-md border border-[var(--card-border)] text-sm font-mono focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                />
+                <span className="text-[var(--text-muted)]">→</span>
+                <input
+                  value={whatIfEdge.target}
+                  onChange={(e) => updateWhatIfEdge({ target: e.target.value })}
+                  placeholder="Target"
+                  className="flex-1 min-w-0 p-2 rounded-md border border-[var(--card-border)] text-sm font-mono focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={isStepMode || !inputValidation.graph || !whatIfEdge.source.trim() || !whatIfEdge.target.trim()}
+                className="w-full secondary text-xs px-3 py-1.5"
+              >
+                Check Edge
+              </button>
+            </form>
+            {whatIf && whatIf.status === 'cyclic' && (
+              <p className="mt-3 text-xs text-amber-700">
+                The graph already contains a loop ({whatIf.path.join(' → ')}). Fix it first; the check needs a loop-free graph.
+              </p>
+            )}
+            {whatIf && whatIf.status === 'loop' && (
+              <div className="mt-3 p-3 rounded-lg bg-red-50 border border-red-200 text-xs text-red-800">
+                <div className="font-semibold mb-1">Adding {whatIf.source} → {whatIf.target} creates a loop</div>
+                <div className="font-mono break-all">{whatIf.path.join(' → ')}</div>
+              </div>
+            )}
+            {whatIf && whatIf.status === 'safe' && (
+              <div className="mt-3 p-3 rounded-lg bg-green-50 border border-green-200 text-xs text-green-800 space-y-2">
+                <div>
+                  {whatIf.exists
+                    ? `${whatIf.source} → ${whatIf.target} is already in the graph.`
+                    : `Adding ${whatIf.source} → ${whatIf.target} keeps the graph loop-free.`}
+                  {whatIf.newNodes.length > 0 && ` New node(s): ${whatIf.newNodes.join(', ')}.`}
+                </div>
+                <div className="text-[var(--text-muted)]">
+                  Checked {whatIf.visited.toLocaleString()} of {whatIf.total.toLocaleString()} nodes.
+                </div>
+                {!whatIf.exists && (
+                  <button onClick={applyWhatIf} disabled={isStepMode} className="w-full text-xs px-3 py-1.5">Add Edge</button>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] p-5">
+            <h2 className="text-lg font-serif mb-4 flex items-center gap-2">
+              <span className="w-1 h-6 bg-[var(--green-dark)] rounded-full"></span>
+              Queries
+            </h2>
+            <form onSubmit={(e) => { e.preventDefault(); runQuery(); }} className="space-y-3">
+              <select
+                value={query.type}
+                onChange={(e) => updateQuery({ type: e.target.value, limit: '' })}
+                className="w-full p-2.5 bg-white border border-[var(--card-border)] rounded-md text-sm outline-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+              >
+                {Object.entries(QUERY_TYPES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+              <div className="flex items-center gap-2">
+                <input
+                  value={query.from}
+                  onChange={(e) => updateQuery({ from: e.target.value })}
+                  placeholder={query.type === 'paths' || query.type === 'shortest' ? 'From' : query.type === 'closure' ? 'Node (optional)' : 'Node'}
+                  className="flex-1 min-w-0 p-2 rounded-md border border-[var(--card-border)] text-sm font-mono focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                />
+                {(query.type === 'paths' || query.type === 'shortest') && (
+                  <>
+                    <span className="text-[var(--text-muted)]">→</span>
+                    <input
+                      value={query.to}
+                      onChange={(e) => updateQuery({ to: e.target.value })}
+                      placeholder="To"
+                      className="flex-1 min-w-0 p-2 rounded-md border border-[var(--card-border)] text-sm font-mono focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                    />
+                  </>
+                )}
+              </div>
+              {QUERY_TYPES[query.type].limit && (
+                <div className="flex items-center gap-2">
+                  <label className="text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider whitespace-nowrap">{QUERY_TYPES[query.type].limitLabel}</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={query.limit}
+                    onChange={(e) => updateQuery({ limit: e.target.value })}
+                    placeholder={QUERY_TYPES[query.type].placeholder}
+                    className="flex-1 min-w-0 p-2 rounded-md border border-[var(--card-border)] text-sm focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                  />
+                </div>
+              )}
+              <button type="submit" disabled={isStepMode || isRunning || !inputValidation.graph || (query.type !== 'closure' && !query.from.trim())} className="w-full secondary text-xs px-3 py-1.5">
+                Run Query
+              </button>
+            </form>
+            {queryAnswer && queryAnswer.nodes && (
+              <div className="mt-3 p-3 rounded-lg bg-blue-50 border border-blue-200 text-xs text-blue-900">
+                <div className="font-semibold mb-1">
+                  {queryAnswer.type === 'descendants'
+                    ? `${queryAnswer.from} depends on ${queryAnswer.nodes.length} node(s)`
+                    : `${queryAnswer.nodes.length} node(s) are affected if ${queryAnswer.from} is invalidated`}
+                </div>
+                <div className="font-mono space-y-0.5 max-h-40 overflow-auto">
+                  {queryAnswer.nodes.slice(0, DIFF_LIST_LIMIT).map(({ id, depth }) => (
+                    <div key={id}>{id} <span className="opacity-60">({depth} hop{depth === 1 ? '' : 's'})</span></div>
+                  ))}
+                  {queryAnswer.nodes.length > DIFF_LIST_LIMIT && <div className="opacity-60">… {queryAnswer.nodes.length - DIFF_LIST_LIMIT} more</div>}
+                </div>
+              </div>
+            )}
+            {queryAnswer && queryAnswer.paths && (
+              <div className="mt-3 p-3 rounded-lg bg-blue-50 border border-blue-200 text-xs text-blue-900">
+                <div className="font-semibold mb-1">
+                  {queryAnswer.paths.length === 0
+                    ? `No path from ${queryAnswer.from} to ${queryAnswer.to}`
+                    : `${queryAnswer.paths.length}${queryAnswer.truncated ? '+' : ''} path(s) from ${queryAnswer.from} to ${queryAnswer.to}`}
+                </div>
+                <div className="font-mono space-y-0.5 max-h-40 overflow-auto">
+                  {queryAnswer.paths.slice(0, DIFF_LIST_LIMIT).map((path, index) => (
+                    <div
+                      key={index}
+                      onClick={() => selectQueryPath(index)}
+                      className={`px-2 py-0.5 rounded cursor-pointer break-all ${index === selectedPathIndex ? 'bg-blue-100 font-bold' : 'hover:bg-blue-100/60'}`}
+                    >
+                      {path.join(' → ')}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            {queryAnswer && queryAnswer.closure && (
+              <div className="mt-3 p-3 rounded-lg bg-blue-50 border border-blue-200 text-xs text-blue-900">
+                <div className="font-semibold mb-1">
+                  {queryAnswer.selected
+                    ? `${queryAnswer.selected} reaches ${queryAnswer.closure[queryAnswer.selected].length} node(s)`
+                    : `Reachability of ${closureRows.length} node(s); pick one to highlight what it reaches`}
+                </div>
+                <div className="font-mono space-y-0.5 max-h-40 overflow-auto">
+                  {closureRows.slice(0, DIFF_LIST_LIMIT).map(({ id, reached }) => (
+                    <div
+                      key={id}
+                      onClick={() => selectClosureNode(id)}
+                      className={`px-2 py-0.5 rounded cursor-pointer break-all ${id === queryAnswer.selected ? 'bg-blue-100 font-bold' : 'hover:bg-blue-100/60'}`}
+                    >
+                      {id} <span className="opacity-60">→ {reached.length === 0 ? 'nothing' : reached.join(', ')}</span>
+                    </div>
+                  ))}
+                  {closureRows.length > DIFF_LIST_LIMIT && <div className="opacity-60">… {closureRows.length - DIFF_LIST_LIMIT} more</div>}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] p-5">
+            <h2 className="text-lg font-serif mb-4 flex items-center gap-2">
+              <span className="w-1 h-6 bg-[var(--green-dark)] rounded-full"></span>
+              Filing Dates
+            </h2>
+            {hasFilingDates ? (
+              <div className="space-y-3">
+                <button onClick={checkFilingDates} disabled={isStepMode || isRunning} className="w-full secondary text-xs px-3 py-1.5">
+                  Check Citation Dates
+                </button>
+                <label className="flex items-center gap-2 text-xs text-[var(--text-muted)]">
+                  <input
+                    type="checkbox"
+                    checked={preferImpossibleCitations}
+                    onChange={(e) => setPreferImpossibleCitations(e.target.checked)}
+                    disabled={isStepMode}
+                  />
+                  Fixes remove citations of later-filed documents first
+                </label>
+              </div>
+            ) : (
+              <p className="text-xs text-[var(--text-muted)]">
+                Give nodes a <code>"{DEFAULT_DATE_ATTRIBUTE}"</code> date, e.g. {'{ "US1": { "filed": "2015-03-01", "edges": ["US2"] } }'}, to flag citations of documents filed later.
+              </p>
+            )}
+            {temporal && (
+              <div className="mt-3 space-y-2 text-xs">
+                {temporal.consistent ? (
+                  <div className="p-3 rounded-lg bg-green-50 border border-green-200 text-green-800">
+                    Every dated citation points to an earlier filing.
+                  </div>
+                ) : (
+                  <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-red-800">
+                    <div className="font-semibold mb-1">{temporal.violations.length} citation(s) of a later-filed document</div>
+                    <div className="font-mono space-y-0.5 max-h-40 overflow-auto">
+                      {temporal.violations.slice(0, DIFF_LIST_LIMIT).map(({ source, target, days, inCycle }) => (
+                        <div key={edgeKey(source, target)}>
+                          {source} → {target} <span className="opacity-75">+{days}d{inCycle && ', on a loop'}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {temporal.cycles.some(cycle => cycle.impossibleEdges.length > 0) && (
+                  <div className="p-3 rounded-lg bg-[var(--bg-cream)] text-[var(--text-dark)]">
+                    <div className="font-semibold mb-1">Impossible citations per loop, likeliest culprit first</div>
+                    <div className="font-mono space-y-1 max-h-40 overflow-auto">
+                      {temporal.cycles.filter(cycle => cycle.impossibleEdges.length > 0).slice(0, DIFF_LIST_LIMIT).map(({ path, impossibleEdges }, index) => (
+                        <div key={index}>
+                          <div className="break-all">{path.join(' → ')}</div>
+                          <div className="text-red-700">{impossibleEdges.map(({ source, target }) => `${source}→${target}`).join(', ')}</div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {(temporal.undatedNodes.length > 0 || temporal.invalid.length > 0) && (
+                  <p className="text-[var(--text-muted)]">
+                    {temporal.undatedNodes.length} node(s) without a usable filing date were not checked
+                    {temporal.invalid.length > 0 && ` (not a date: ${temporal.invalid.map(({ id }) => id).join(', ')})`}.
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] p-5">
+            <h2 className="text-lg font-serif mb-4 flex items-center gap-2">
+              <span className="w-1 h-6 bg-[var(--green-dark)] rounded-full"></span>
+              Compare Versions
+            </h2>
+            <div className="space-y-3">
+              <button onClick={compareWithOriginal} disabled={!lastFix || isStepMode || isRunning} className="w-full secondary text-xs px-3 py-1.5">Original vs. Fixed</button>
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider">Before (JSON)</label>
+                  <button onClick={() => setDiffBaseInput(jsonInput)} className="secondary text-xs px-2 py-0.5">Copy Input</button>
+                </div>
+                <textarea
+                  className="w-full h-24 p-3 rounded-md border border-[var(--card-border)] text-sm font-mono resize-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                  value={diffBaseInput}
+                  onChange={(e) => setDiffBaseInput(e.target.value)}
+                  placeholder="Paste an older version of the graph"
+                  spellCheck="false"
+                />
+              </div>
+              <button
+                onClick={() => compareGraphs(diffBaseInput)}
+                disabled={!diffBaseInput.trim() || !inputValidation.graph || isStepMode || isRunning}
+                className="w-full secondary text-xs px-3 py-1.5"
+              >
+                Compare with Current Input
+              </button>
+            </div>
+            {isDiff && diffResult && (
+              <div className="mt-4 space-y-3 text-xs">
+                <div className="flex flex-wrap gap-x-3 gap-y-1">
+                  <span className="text-green-700">+{diffResult.addedNodes.length} node(s)</span>
+                  <span className="text-red-700">−{diffResult.removedNodes.length} node(s)</span>
+                  <span className="text-green-700">+{diffResult.addedEdges.length} edge(s)</span>
+                  <span className="text-red-700">−{diffResult.removedEdges.length} edge(s)</span>
+                </div>
+                <p className="text-[var(--text-muted)]">
+                  {diffResult.introducedCycles.length} loop(s) introduced, {diffResult.eliminatedCycles.length} eliminated
+                  {diffResult.truncated && ` (more loops run through the changes; only the first ${maxCycles} are listed)`}.
+                </p>
+                {diffResult.changes.length > 0 && (
+                  <ul className="font-mono bg-[var(--bg-cream)] rounded p-2 space-y-1.5 max-h-64 overflow-y-auto">
+                    {diffResult.changes.slice(0, DIFF_LIST_LIMIT).map(change => (
+                      <li key={`${change.status}:${edgeKey(change.source, change.target)}`}>
+                        <div className={change.status === DIFF_STATUS.ADDED ? 'text-green-700' : 'text-red-700'}>
+                          {change.status === DIFF_STATUS.ADDED ? '+' : '−'} {change.source} → {change.target}
+                        </div>
+                        {change.cycles.length > 0 ? change.cycles.map(path => (
+                          <div key={path.join('→')} className="pl-3 text-[var(--text-muted)]">
+                            {change.status === DIFF_STATUS.ADDED ? 'introduces' : 'eliminates'} {path.join(' → ')}
+                          </div>
+                        )) : (
+                          <div className="pl-3 text-[var(--text-muted)]">no loop affected</div>
+                        )}
+                      </li>
+                    ))}
+                    {diffResult.changes.length > DIFF_LIST_LIMIT && (
+                      <li className="text-[var(--text-muted)]">…and {diffResult.changes.length - DIFF_LIST_LIMIT} more</li>
+                    )}
+                  </ul>
+                )}
+                <button onClick={() => changeGraphView('graph')} className="w-full secondary text-xs px-3 py-1.5">Close Diff</button>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] p-5">
+            <h2 className="text-lg font-serif mb-4 flex items-center gap-2">
+              <span className="w-1 h-6 bg-[var(--green-dark)] rounded-full"></span>
+              Export
+            </h2>
+            <div className="space-y-3">
+              <div>
+                <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Graph</label>
+                <div className="flex gap-2">
+                  <button onClick={() => exportGraph('json')} disabled={!inputValidation.graph} className="flex-1 secondary text-xs px-3 py-1.5">JSON</button>
+                  <button onClick={() => exportGraph('csv')} disabled={!inputValidation.graph} className="flex-1 secondary text-xs px-3 py-1.5">CSV</button>
+                  <button onClick={() => exportGraph('dot')} disabled={!inputValidation.graph} className="flex-1 secondary text-xs px-3 py-1.5">DOT</button>
+                </div>
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Analysis Report</label>
+                <div className="flex gap-2">
+                  <button onClick={() => exportReport('md')} disabled={isRunning || (!lastFix && !inputValidation.graph)} className="flex-1 secondary text-xs px-3 py-1.5">Markdown</button>
+                  <button onClick={() => exportReport('json')} disabled={isRunning || (!lastFix && !inputValidation.graph)} className="flex-1 secondary text-xs px-3 py-1.5">JSON</button>
+                </div>
+              </div>
+              <button onClick={exportRemovedEdges} disabled={!lastFix} className="w-full secondary text-xs px-3 py-1.5">Removed Edges (diff)</button>
+              <div>
+                <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Canvas Image</label>
+                <div className="flex gap-2">
+                  <select
+                    value={imageScale}
+                    onChange={(e) => setImageScale(Number(e.target.value))}
+                    className="flex-1 p-1.5 bg-white border border-[var(--card-border)] rounded-md text-xs outline-none focus:border-[var(--green-accent)] focus:ring-1 ring-[var(--green-accent)]/20"
+                  >
+                    {[1, 2, 3, 4].map(scale => <option key={scale} value={scale}>{scale}× resolution</option>)}
+                  </select>
+                  <button onClick={() => exportCanvasImage('svg')} disabled={nodes.length === 0 || frameExport !== null} className="flex-1 secondary text-xs px-3 py-1.5">SVG</button>
+                  <button onClick={() => exportCanvasImage('png')} disabled={nodes.length === 0 || frameExport !== null} className="flex-1 secondary text-xs px-3 py-1.5">PNG</button>
+                </div>
+              </div>
+              {isStepMode && (
+                <div>
+                  <label className="block text-xs font-semibold text-[var(--text-muted)] uppercase tracking-wider mb-2">Step Sequence</label>
+                  {frameExport ? (
+                    <div className="flex items-center justify-between text-xs text-[var(--text-muted)]">
+                      <span>Rendering frame {frameExport.done} / {frameExport.total}…</span>
+                      <button onClick={() => { cancelFrameExportRef.current = true; }} className="secondary text-xs px-3 py-1">Cancel</button>
+                    </div>
+                  ) : (
+                    <div className="flex gap-2">
+                      <button onClick={() => exportStepFrames('zip')} className="flex-1 secondary text-xs px-3 py-1.5">PNG Sequence (.zip)</button>
+                      <button onClick={() => exportStepFrames('gif')} className="flex-1 secondary text-xs px-3 py-1.5">Animated GIF</button>
+                    </div>
+                  )}
+                  {steps.length > FRAME_EXPORT_LIMIT && (
+                    <p className="text-xs text-[var(--text-muted)] mt-1.5">Only the first {FRAME_EXPORT_LIMIT} of {steps.length} steps are exported.</p>
+                  )}
+                </div>
+              )}
+              <p className="text-xs text-[var(--text-muted)]">
+                {lastFix
+                  ? `Report and diff cover the last fix: ${lastFix.removedEdges.length} edge(s) removed.`
+                  : 'Apply a fix to export the removed edges.'}
+              </p>
+            </div>
           </div>
 
           {/* Result Box */}
@@ -550,48 +2303,173 @@ const App = () => {
                 <p className="text-sm opacity-90">{result.message}</p>
                 {result.status === 'HANDLED' && result.skippedEdges && (
                   <div className="mt-2 text-xs font-mono bg-white/50 rounded p-2">
-                    Skipped edges: {result.skippedEdges.map(e => `${e.source}→${e.target}`).join(', ')}
+                    Skipped edges: {result.skippedEdges.map(e => `${e.source}→${e.target}${e.region !== undefined ? ` (R${e.region + 1})` : ''}`).join(', ')}
+                  </div>
+                )}
+                {result.previewComparison && (
+                  <div className="mt-2 space-y-1.5">
+                    {result.previewComparison.map((resolution) => (
+                      <div key={resolution.strategy} className="text-xs font-mono bg-white/50 rounded p-2">
+                        <div className="font-bold">
+                          {resolution.strategy === FIX_STRATEGIES.MINIMUM ? 'Minimum cut' : 'DFS back-edges'}
+                          {resolution.strategy === fixStrategy && ' (chosen)'}
+                          {' '}· {resolution.removedEdges.length} edge(s) · cost {resolution.cost}
+                          {resolution.exact === false && ' · heuristic'}
+                        </div>
+                        <div>{resolution.removedEdges.map(e => `${e.source}→${e.target}`).join(', ') || '—'}</div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {result.conflicts && result.conflicts.length > 0 && (
+                  <div className="mt-2 text-xs bg-white/50 rounded p-2 space-y-1">
+                    <div className="font-bold">🔒 Unresolvable (locked) cycles:</div>
+                    {result.conflicts.map((conflict, index) => (
+                      <div key={index} onClick={() => highlightGraph(conflict.loopPath)} className="cursor-pointer hover:underline">
+                        {conflict.explanation}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {result.cycles && result.cycles.length > 0 && (
+                  <div className="mt-2 max-h-48 overflow-y-auto text-xs font-mono bg-white/50 rounded p-1 space-y-0.5">
+                    {result.cycles.map((cycle, index) => (
+                      <div
+                        key={index}
+                        onClick={() => selectCycle(index)}
+                        className={`px-2 py-1 rounded cursor-pointer ${index === selectedCycleIndex ? 'bg-red-100 font-bold' : 'hover:bg-red-100/60'}`}
+                      >
+                        <span className="opacity-50 mr-2">{String(index + 1).padStart(2, '0')}.</span>
+                        {result.cycleRegions && (
+                          <span className="mr-2 px-1 rounded bg-red-200/60">R{result.cycleRegions[index] + 1}</span>
+                        )}
+                        {cycle.join(' → ')}
+                      </div>
+                    ))}
                   </div>
                 )}
               </div>
             </div>
           )}
 
+          {/* Processing Plan */}
+          {processingPlan && (
+            <div className="bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] p-5">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-serif flex items-center gap-2">
+                  <span className="w-1 h-6 bg-blue-500 rounded-full"></span>
+                  Processing Plan
+                </h2>
+                <button onClick={applyLevelLayout} disabled={isStepMode || nodes.length === 0} className="secondary text-xs px-3 py-1.5">Level Layout</button>
+              </div>
+              {!processingPlan.acyclic && (
+                <p className="text-xs text-red-700 mb-2">Not orderable (cycle): {processingPlan.remaining.join(', ')}</p>
+              )}
+              <div className="space-y-2 text-xs font-mono">
+                {processingPlan.levels.map((level, index) => (
+                  <div key={index} className="flex items-start gap-2">
+                    <span className="shrink-0 px-1.5 py-0.5 rounded bg-blue-50 text-blue-700 font-semibold">L{index}</span>
+                    <span className="text-[var(--text-dark)]">{level.join(', ')}</span>
+                  </div>
+                ))}
+              </div>
+              <ol className="mt-3 pt-3 border-t border-[var(--card-border)] text-xs font-mono space-y-0.5">
+                {processingPlan.order.map((id, index) => (
+                  <li key={id}>
+                    <span className="text-gray-400 mr-2">{String(index + 1).padStart(2, '0')}.</span>
+                    {id}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
 
         </div>
 
         {/* Right Panel: Graph & Steps */}
         <div className="flex-1 flex flex-col min-w-0 bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] overflow-hidden relative">
 
-          <div className="absolute top-4 right-4 z-10 flex gap-4 pointer-events-none">
-            <div className="flex items-center gap-2 bg-white/90 backdrop-blur px-3 py-1.5 rounded-full border border-[var(--card-border)] shadow-sm">
-              <div className="w-2.5 h-2.5 rounded-full bg-[var(--green-accent)]"></div>
-              <span className="text-xs font-medium text-[var(--text-muted)]">Current</span>
-            </div>
-            <div className="flex items-center gap-2 bg-white/90 backdrop-blur px-3 py-1.5 rounded-full border border-[var(--card-border)] shadow-sm">
-              <div className="w-2.5 h-2.5 rounded-full bg-blue-500"></div>
-              <span className="text-xs font-medium text-[var(--text-muted)]">In Stack</span>
+          {isDiff ? (
+            <div className="absolute top-4 right-4 z-10 flex gap-4 pointer-events-none">
+              {[
+                ['Added', DIFF_COLORS[DIFF_STATUS.ADDED].border],
+                ['Removed', DIFF_COLORS[DIFF_STATUS.REMOVED].border],
+                ['Unchanged', '#D1D5DB']
+              ].map(([label, color]) => (
+                <div key={label} className="flex items-center gap-2 bg-white/90 backdrop-blur px-3 py-1.5 rounded-full border border-[var(--card-border)] shadow-sm">
+                  <div className="w-2.5 h-2.5 rounded-full" style={{ background: color }}></div>
+                  <span className="text-xs font-medium text-[var(--text-muted)]">{label}</span>
+                </div>
+              ))}
             </div>
-            <div className="flex items-center gap-2 bg-white/90 backdrop-blur px-3 py-1.5 rounded-full border border-[var(--card-border)] shadow-sm">
-              <div className="w-2.5 h-2.5 rounded-full bg-red-500"></div>
-              <span className="text-xs font-medium text-[var(--text-muted)]">Cycle</span>
+          ) : (
+            <div className="absolute top-4 right-4 z-10 flex gap-4 pointer-events-none">
+              <div className="flex items-center gap-2 bg-white/90 backdrop-blur px-3 py-1.5 rounded-full border border-[var(--card-border)] shadow-sm">
+                <div className="w-2.5 h-2.5 rounded-full bg-[var(--green-accent)]"></div>
+                <span className="text-xs font-medium text-[var(--text-muted)]">Current</span>
+              </div>
+              <div className="flex items-center gap-2 bg-white/90 backdrop-blur px-3 py-1.5 rounded-full border border-[var(--card-border)] shadow-sm">
+                <div className="w-2.5 h-2.5 rounded-full bg-blue-500"></div>
+                <span className="text-xs font-medium text-[var(--text-muted)]">In Stack</span>
+              </div>
+              <div className="flex items-center gap-2 bg-white/90 backdrop-blur px-3 py-1.5 rounded-full border border-[var(--card-border)] shadow-sm">
+                <div className="w-2.5 h-2.5 rounded-full bg-red-500"></div>
+                <span className="text-xs font-medium text-[var(--text-muted)]">Cycle</span>
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Graph Area */}
-          <div className="flex-1 bg-[var(--card-white)]">
+          <div ref={canvasRef} className="flex-1 bg-[var(--card-white)]">
             <ReactFlow
-              nodes={nodes}
-              edges={edges}
-              onNodesChange={onNodesChange}
-              onEdgesChange={onEdgesChange}
+              nodes={canvasNodes}
+              edges={canvasEdges}
+              onNodesChange={isCondensed ? onCondensedNodesChange : isDiff ? onDiffNodesChange : onNodesChange}
+              onEdgesChange={isCondensed ? onCondensedEdgesChange : isDiff ? onDiffEdgesChange : onEdgesChange}
               onInit={(instance) => { reactFlowInstance.current = instance; }}
+              onConnect={canEdit ? onConnect : undefined}
+              onNodesDelete={canEdit ? onNodesDelete : undefined}
+              onEdgesDelete={canEdit ? onEdgesDelete : undefined}
+              onNodeDoubleClick={canEdit ? (_, node) => setRenaming({ id: node.id, value: node.id }) : undefined}
+              nodesConnectable={canEdit}
+              deleteKeyCode={canEdit ? ['Backspace', 'Delete'] : null}
+              zoomOnDoubleClick={false}
+              edgeTypes={EDGE_TYPES}
               fitView
               attributionPosition="bottom-left"
             >
               <Background gap={20} size={1} color="#E5E7EB" />
               <Controls showInteractive={false} />
+              {canEdit && (
+                <Panel position="top-left" className="bg-white/90 backdrop-blur rounded-lg border border-[var(--card-border)] shadow-sm p-2 space-y-2 max-w-xs">
+                  <div className="flex items-center gap-2">
+                    <button onClick={addCanvasNode} className="secondary text-xs px-3 py-1">+ Node</button>
+                    <button onClick={undoEdit} disabled={!canUndo} title="Undo (Ctrl+Z)" className="secondary text-xs px-3 py-1">Undo</button>
+                    <button onClick={redoEdit} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" className="secondary text-xs px-3 py-1">Redo</button>
+                    <label className="flex items-center gap-1.5 text-xs text-[var(--text-muted)] cursor-pointer">
+                      <input type="checkbox" checked={autoAnalyze} onChange={(e) => setAutoAnalyze(e.target.checked)} className="accent-[var(--green-dark)]" />
+                      Re-analyze
+                    </label>
+                  </div>
+                  {renaming ? (
+                    <form onSubmit={submitRename} className="flex items-center gap-2">
+                      <input
+                        autoFocus
+                        value={renaming.value}
+                        onChange={(e) => setRenaming({ ...renaming, value: e.target.value })}
+                        onKeyDown={(e) => e.key === 'Escape' && setRenaming(null)}
+                        className="flex-1 min-w-0 p-1 rounded border border-[var(--card-border)] text-xs font-mono"
+                      />
+                      <button type="submit" className="text-xs px-3 py-1">Rename</button>
+                    </form>
+                  ) : (
+                    <p className="text-[11px] text-[var(--text-muted)]">Drag from a node's bottom handle to another node to add a citation. Double-click a node to rename it; select and press Delete to remove.</p>
+                  )}
+                  {editError && <p className="text-xs text-red-600">{editError}</p>}
+                </Panel>
+              )}
             </ReactFlow>
+
           </div>
 
 
@@ -602,7 +2480,7 @@ const App = () => {
               <div className="flex items-center justify-between mb-3">
                 <div className="flex items-center gap-3">
                   <span className="text-sm font-bold text-[var(--green-dark)] font-serif">
-                    Step {currentStepIndex + 1} of {steps.length}
+                    Step {currentStepIndex + 1} of {steps.length}{stepRecording && stepRecording.truncated && ' (truncated)'}
                   </span>
                   <div className="h-1.5 w-32 bg-gray-100 rounded-full overflow-hidden">
                     <div className="h-full bg-[var(--green-accent)] transition-all duration-300" style={{ width: `${((currentStepIndex + 1) / steps.length) * 100}%` }}></div>
@@ -645,6 +2523,74 @@ const App = () => {
             </div>
           )}
         </div>
+        {/* Metrics Panel - sortable per-node statistics next to the canvas */}
+        {!isStepMode && metrics && (
+          <div className="bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] p-4 flex flex-col w-[360px]">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-serif font-semibold flex items-center gap-2">
+                <span className="w-1 h-4 bg-blue-500 rounded-full"></span>
+                Metrics
+              </h3>
+              <button onClick={() => { setMetricsResult(null); if (metricEncoding.key) encodeMetric({ ...metricEncoding, key: '' }); }} className="secondary text-xs px-2 py-0.5">Close</button>
+            </div>
+            <div className="flex items-center gap-2 mb-2 text-xs">
+              <select
+                value={metricEncoding.mode}
+                onChange={(e) => encodeMetric({ ...metricEncoding, mode: e.target.value })}
+                disabled={isDiff || isCondensed}
+                className="p-1.5 bg-white border border-[var(--card-border)] rounded-md outline-none"
+              >
+                <option value="size">Size</option>
+                <option value="color">Color</option>
+              </select>
+              <span className="text-[var(--text-muted)]">nodes by</span>
+              <select
+                value={metricEncoding.key}
+                onChange={(e) => encodeMetric({ ...metricEncoding, key: e.target.value })}
+                disabled={isDiff || isCondensed}
+                className="flex-1 min-w-0 p-1.5 bg-white border border-[var(--card-border)] rounded-md outline-none"
+              >
+                <option value="">Nothing</option>
+                {METRIC_COLUMNS.map(column => <option key={column.key} value={column.key}>{column.label}</option>)}
+              </select>
+            </div>
+            {(metrics.truncated || metrics.nodes.length > BETWEENNESS_LIMIT) && (
+              <p className="mb-2 text-[11px] text-amber-700">
+                {metrics.truncated && `Loop counts stop at ${maxCycles} loops. `}
+                {metrics.nodes.length > BETWEENNESS_LIMIT && `Betweenness is skipped above ${BETWEENNESS_LIMIT} nodes.`}
+              </p>
+            )}
+            <div className="flex-1 overflow-auto border rounded">
+              <table className="w-full text-xs font-mono">
+                <thead className="sticky top-0 bg-gray-50">
+                  <tr>
+                    {[{ key: 'id', label: 'Node', title: 'Node id' }, ...METRIC_COLUMNS].map(column => (
+                      <th
+                        key={column.key}
+                        title={column.title}
+                        onClick={() => sortMetrics(column.key)}
+                        className="px-2 py-1.5 text-left font-semibold text-[var(--text-muted)] cursor-pointer select-none whitespace-nowrap hover:text-[var(--text-dark)]"
+                      >
+                        {column.label}{metricsSort.key === column.key && (metricsSort.descending ? ' ▼' : ' ▲')}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {metricRows.map(row => (
+                    <tr key={row.id} onClick={() => focusNode(row.id)} className="border-t cursor-pointer hover:bg-blue-50">
+                      <td className="px-2 py-1 font-semibold break-all">{row.id}</td>
+                      {METRIC_COLUMNS.map(column => (
+                        <td key={column.key} className="px-2 py-1 text-right">{formatMetric(column, row[column.key])}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Traversal Log Panel - Shows during/after step mode */}
         {isStepMode && steps.length > 0 && (
           <div className="bg-[var(--card-white)] rounded-xl shadow-sm border border-[var(--card-border)] p-4 flex flex-col w-[300px]">
@@ -676,21 +2622,21 @@ const App = () => {
             )}
 
             {/* Variable State Display */}
-            {currentStepIndex >= 0 && steps[currentStepIndex] && (
+            {stepState && steps[currentStepIndex] && (
               <div className="mb-3 p-2 bg-gray-100 rounded text-xs font-mono border">
                 <div className="font-bold text-gray-700 mb-2">📊 Variable State @ Step {currentStepIndex + 1}:</div>
                 <div className="space-y-1">
                   <div className="flex items-start gap-2">
                     <span className="text-purple-600 font-semibold w-28 shrink-0">pathStack:</span>
-                    <span className="text-gray-700">[{steps[currentStepIndex].pathStack.join(' → ')}]</span>
+                    <span className="text-gray-700">[{formatStateList(stepState.pathStack, ' → ')}]</span>
                   </div>
                   <div className="flex items-start gap-2">
                     <span className="text-blue-600 font-semibold w-28 shrink-0">recursionStack:</span>
-                    <span className="text-gray-700">{`{${[...steps[currentStepIndex].recursionStack].join(', ')}}`}</span>
+                    <span className="text-gray-700">{`{${formatStateList(stepState.recursionStack, ', ')}}`}</span>
                   </div>
                   <div className="flex items-start gap-2">
                     <span className="text-green-600 font-semibold w-28 shrink-0">visited:</span>
-                    <span className="text-gray-700">{`{${[...steps[currentStepIndex].visited].join(', ')}}`}</span>
+                    <span className="text-gray-700">{`{${formatStateList(stepState.visited, ', ')}}`}</span>
                   </div>
                   {steps[currentStepIndex].node && (
                     <div className="flex items-start gap-2">
@@ -715,7 +2661,9 @@ const App = () => {
                         ? 'bg-blue-50 text-blue-700'
                         : step.action === ACTION_TYPES.COMPLETE
                           ? 'bg-green-50 text-green-700'
-                          : 'hover:bg-gray-100'
+                          : step.action === ACTION_TYPES.TRUNCATED
+                            ? 'bg-amber-50 text-amber-700'
+                            : 'hover:bg-gray-100'
                     }`}
                   onClick={() => goToStep(index)}
                 >
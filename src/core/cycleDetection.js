@@ -0,0 +1,1413 @@
+/**
+ * Cycle Detection Core
+ *
+ * Framework-free algorithms for detecting and resolving cycles in directed graphs.
+ * Shared by the useCycleDetection hook, the analysis worker and the CLI.
+ */
+
+// Step action types for debugging/visualization
+export const ACTION_TYPES = {
+    START: 'START',
+    ENTER_NODE: 'ENTER_NODE',
+    CHECK_IN_STACK: 'CHECK_IN_STACK',
+    CYCLE_FOUND: 'CYCLE_FOUND',
+    SKIP_CYCLE: 'SKIP_CYCLE',
+    CHECK_VISITED: 'CHECK_VISITED',
+    SKIP_VISITED: 'SKIP_VISITED',
+    ADD_TO_STACK: 'ADD_TO_STACK',
+    EXPLORE_NEIGHBOR: 'EXPLORE_NEIGHBOR',
+    BACKTRACK: 'BACKTRACK',
+    MARK_SAFE: 'MARK_SAFE',
+    COMPLETE: 'COMPLETE',
+    TRUNCATED: 'TRUNCATED'
+};
+
+// Upper bound on the number of loops findAllCycles reports by default.
+// Dense graphs can hold exponentially many elementary cycles.
+export const DEFAULT_MAX_CYCLES = 1000;
+
+// Pass as startNode to analyse the whole graph instead of a single entry point
+export const ALL_NODES = '__all__';
+
+// Long traversals report progress once per this many processed nodes
+const PROGRESS_INTERVAL = 500;
+
+// Default step budget for runDetectionWithSteps; recording stops with a TRUNCATED step
+export const DEFAULT_MAX_STEPS = 10000;
+
+// runDetectionWithSteps stores a state snapshot once per this many steps,
+// every other step only records what changed
+const SNAPSHOT_INTERVAL = 500;
+
+// Explanations list at most this many stack / visited entries
+const STATE_PREVIEW_LIMIT = 20;
+
+/**
+ * Short comma separated listing of a collection for step explanations
+ * @param {Iterable} items - Set or array
+ * @param {number} size - Number of items in the collection
+ * @returns {string} - e.g. "1,2,3" or "1,2,…+98"
+ */
+const previewList = (items, size) => {
+    const shown = [];
+    for (const item of items) {
+        if (shown.length === STATE_PREVIEW_LIMIT) break;
+        shown.push(item);
+    }
+    return size > shown.length ? `${shown.join(',')},…+${size - shown.length}` : shown.join(',');
+};
+
+/**
+ * Rebuild the traversal state at one step of a runDetectionWithSteps recording
+ * @param {Object} recording - { steps, snapshots, visitedOrder } as returned by runDetectionWithSteps
+ * @param {number} index - Step index
+ * @returns {Object} - { visited: Set, recursionStack: Set, pathStack: string[] }
+ */
+export const restoreStepState = ({ steps, snapshots, visitedOrder }, index) => {
+    // Start from the closest snapshot at or before the step, then replay the changes
+    let snapshot = null;
+    for (let low = 0, high = snapshots.length - 1; low <= high;) {
+        const middle = (low + high) >> 1;
+        if (snapshots[middle].step <= index) {
+            snapshot = snapshots[middle];
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    let top = snapshot ? snapshot.top : -1;
+    let visitedCount = snapshot ? snapshot.visitedCount : 0;
+    for (let i = snapshot ? snapshot.step + 1 : 0; i <= index && i < steps.length; i++) {
+        const { change } = steps[i];
+        if (!change) continue;
+        if (change.type === 'push') {
+            top = i;
+        } else {
+            top = steps[top].change.below;
+            visitedCount++;
+        }
+    }
+
+    // Push steps link to the push below them, so the path is read off that chain
+    const pathStack = [];
+    for (let i = top; i >= 0; i = steps[i].change.below) {
+        pathStack.push(steps[i].change.node);
+    }
+    pathStack.reverse();
+
+    return {
+        visited: new Set(visitedOrder.slice(0, visitedCount)),
+        recursionStack: new Set(pathStack),
+        pathStack
+    };
+};
+
+/**
+ * Throttled progress reporting for the traversals below
+ * @param {Function} [onProgress] - (visited, total) => void
+ * @param {number} total - Number of nodes the traversal may process
+ * @returns {Function} - Call once per processed node
+ */
+const createProgress = (onProgress, total) => {
+    let visited = 0;
+    return () => {
+        visited++;
+        if (onProgress && visited % PROGRESS_INTERVAL === 0) {
+            onProgress(Math.min(visited, total), total);
+        }
+    };
+};
+
+/**
+ * Every node id in the graph: declared keys first, then targets that are only referenced
+ * @param {Object} graphData - Adjacency list
+ * @returns {string[]}
+ */
+const collectNodes = (graphData) => {
+    const nodes = new Set(Object.keys(graphData));
+    for (const key of Object.keys(graphData)) {
+        for (const neighbor of graphData[key] || []) {
+            nodes.add(String(neighbor));
+        }
+    }
+    return [...nodes];
+};
+
+/**
+ * Referenced but undeclared ("external") nodes: targets that have no key of their own.
+ * The algorithms treat them as leaves.
+ * @param {Object} graphData - Adjacency list
+ * @returns {Array} - [{ id, referencedBy: string[] }] in node id order
+ */
+export const findExternalNodes = (graphData) => {
+    const referencedBy = new Map();
+    for (const key of Object.keys(graphData)) {
+        for (const neighbor of graphData[key] || []) {
+            const target = String(neighbor);
+            if (Object.hasOwn(graphData, target)) continue;
+            if (!referencedBy.has(target)) referencedBy.set(target, new Set());
+            referencedBy.get(target).add(key);
+        }
+    }
+    return [...referencedBy.keys()].sort(compareNodeIds).map(id => ({ id, referencedBy: [...referencedBy.get(id)] }));
+};
+
+/**
+ * DFS entry points for whole-graph mode: nodes nothing points to come first,
+ * followed by every other node so that rootless loops are still reached
+ * @param {Object} graphData - Adjacency list
+ * @returns {string[]}
+ */
+const collectRoots = (graphData) => {
+    const nodes = collectNodes(graphData);
+    const hasIncoming = new Set();
+    for (const key of Object.keys(graphData)) {
+        for (const neighbor of graphData[key] || []) {
+            hasIncoming.add(String(neighbor));
+        }
+    }
+    return [
+        ...nodes.filter(node => !hasIncoming.has(node)),
+        ...nodes.filter(node => hasIncoming.has(node))
+    ];
+};
+
+/**
+ * Label each node with its connected region (edge direction ignored)
+ * @param {Object} graphData - Adjacency list
+ * @returns {Map} - node -> regionIndex, regions numbered from 0 in node order
+ */
+const computeRegions = (graphData) => {
+    const undirected = new Map(collectNodes(graphData).map(node => [node, []]));
+    for (const key of Object.keys(graphData)) {
+        for (const neighbor of graphData[key] || []) {
+            undirected.get(key).push(String(neighbor));
+            undirected.get(String(neighbor)).push(key);
+        }
+    }
+
+    const regions = new Map();
+    let regionCount = 0;
+    for (const node of undirected.keys()) {
+        if (regions.has(node)) continue;
+        const queue = [node];
+        regions.set(node, regionCount);
+        while (queue.length > 0) {
+            for (const next of undirected.get(queue.pop())) {
+                if (!regions.has(next)) {
+                    regions.set(next, regionCount);
+                    queue.push(next);
+                }
+            }
+        }
+        regionCount++;
+    }
+    return regions;
+};
+
+// Strongly connected components up to this many nodes get an exact minimum feedback
+// arc set; larger ones fall back to the Eades–Lin–Smyth heuristic.
+export const EXACT_FAS_LIMIT = 16;
+
+// Resolution strategies for removeCycles
+export const FIX_STRATEGIES = {
+    DFS: 'dfs',         // drop whatever back-edges the DFS meets
+    MINIMUM: 'minimum'  // drop the cheapest set of edges that breaks every cycle
+};
+
+/**
+ * Key used for per-edge options such as weights, e.g. "1->2"
+ * @param {string} source
+ * @param {string} target
+ * @returns {string}
+ */
+export const edgeKey = (source, target) => `${source}->${target}`;
+
+/**
+ * Whether a path such as a loopPath walks along the edge source -> target
+ * @param {string[]} path - Node ids in walking order
+ * @param {string} source
+ * @param {string} target
+ * @returns {boolean}
+ */
+export const pathHasEdge = (path, source, target) => {
+    for (let i = 0; i < path.length - 1; i++) {
+        if (path[i] === source && path[i + 1] === target) return true;
+    }
+    return false;
+};
+
+/**
+ * Edges that point backwards in a linear ordering of the given nodes
+ * @param {string[]} members - Nodes being ordered
+ * @param {Map} adjacency - node -> unique neighbor ids
+ * @param {Map} position - node -> index in the ordering
+ * @returns {Array} - [{ source, target }]
+ */
+const backwardEdges = (members, adjacency, position) => {
+    const edges = [];
+    for (const node of members) {
+        for (const target of adjacency.get(node)) {
+            if (position.has(target) && position.get(target) < position.get(node)) {
+                edges.push({ source: node, target });
+            }
+        }
+    }
+    return edges;
+};
+
+/**
+ * Exact minimum-weight feedback arc set of one strongly connected component.
+ * Dynamic programming over node subsets: for every subset, the cheapest way to
+ * order it as a prefix, where each edge pointing back into the prefix is paid for.
+ * Edges weighing Infinity are never removed, provided they do not form a loop themselves.
+ * @param {string[]} members - Component nodes (at most EXACT_FAS_LIMIT)
+ * @param {Map} adjacency - node -> unique neighbor ids
+ * @param {Function} weightOf - (source, target) => cost of removing the edge
+ * @returns {Array} - Edges to remove [{ source, target }]
+ */
+const exactFeedbackArcs = (members, adjacency, weightOf) => {
+    const bitOf = new Map(members.map((node, index) => [node, index]));
+    const outEdges = members.map(node => adjacency.get(node)
+        .filter(target => bitOf.has(target) && target !== node)
+        .map(target => [bitOf.get(target), weightOf(node, target)]));
+
+    const size = 1 << members.length;
+    const best = new Float64Array(size).fill(Infinity);
+    const lastPlaced = new Int8Array(size).fill(-1);
+    best[0] = 0;
+
+    for (let mask = 0; mask < size; mask++) {
+        if (best[mask] === Infinity) continue;
+        for (let v = 0; v < members.length; v++) {
+            if (mask & (1 << v)) continue;
+            // Placing v after the prefix turns its edges into the prefix backwards
+            let cost = best[mask];
+            for (const [target, weight] of outEdges[v]) {
+                if (mask & (1 << target)) cost += weight;
+            }
+            const next = mask | (1 << v);
+            if (cost < best[next]) {
+                best[next] = cost;
+                lastPlaced[next] = v;
+            }
+        }
+    }
+
+    // Walk the choices back from the full set to recover the ordering
+    const position = new Map();
+    let mask = size - 1;
+    for (let index = members.length - 1; index >= 0; index--) {
+        const v = lastPlaced[mask];
+        position.set(members[v], index);
+        mask &= ~(1 << v);
+    }
+    return backwardEdges(members, adjacency, position);
+};
+
+/**
+ * Heuristic feedback arc set (Eades–Lin–Smyth, weighted): peel sinks to the back and
+ * sources to the front, otherwise move the node with the largest out-minus-in weight
+ * to the front. Removed edges that no longer close a loop are restored afterwards.
+ * Edges weighing Infinity are never removed, provided they do not form a loop themselves.
+ * @param {string[]} members - Component nodes
+ * @param {Map} adjacency - node -> unique neighbor ids
+ * @param {Function} weightOf - (source, target) => cost of removing the edge
+ * @returns {Array} - Edges to remove [{ source, target }]
+ */
+const heuristicFeedbackArcs = (members, adjacency, weightOf) => {
+    const remaining = new Set(members);
+    const outgoing = new Map(members.map(node => [node, new Map()]));
+    const incoming = new Map(members.map(node => [node, new Map()]));
+    for (const node of members) {
+        for (const target of adjacency.get(node)) {
+            if (!remaining.has(target) || target === node) continue;
+            outgoing.get(node).set(target, weightOf(node, target));
+            incoming.get(target).set(node, weightOf(node, target));
+        }
+    }
+
+    const detach = (node) => {
+        remaining.delete(node);
+        for (const target of outgoing.get(node).keys()) incoming.get(target).delete(node);
+        for (const source of incoming.get(node).keys()) outgoing.get(source).delete(node);
+    };
+    const totalWeight = (edges) => [...edges.values()].reduce((sum, weight) => sum + weight, 0);
+
+    const head = [];
+    const tail = [];
+    while (remaining.size > 0) {
+        let peeled = true;
+        while (peeled) {
+            peeled = false;
+            for (const node of remaining) {
+                if (outgoing.get(node).size === 0) {
+                    tail.push(node);
+                    detach(node);
+                    peeled = true;
+                } else if (incoming.get(node).size === 0) {
+                    head.push(node);
+                    detach(node);
+                    peeled = true;
+                }
+            }
+        }
+        if (remaining.size === 0) break;
+
+        let pick = null;
+        let bestDelta = -Infinity;
+        for (const node of remaining) {
+            // Moving a node with a locked (infinite) incoming edge to the front would cut it
+            if ([...incoming.get(node).values()].includes(Infinity)) continue;
+            const delta = totalWeight(outgoing.get(node)) - totalWeight(incoming.get(node));
+            if (delta > bestDelta) {
+                bestDelta = delta;
+                pick = node;
+            }
+        }
+        head.push(pick);
+        detach(pick);
+    }
+
+    const order = [...head, ...tail.reverse()];
+    const position = new Map(order.map((node, index) => [node, index]));
+    const removed = backwardEdges(members, adjacency, position);
+
+    // Restore the most expensive removals first when they no longer close a loop
+    const kept = new Map(members.map(node => [node, new Set(adjacency.get(node).filter(target => position.has(target)))]));
+    removed.forEach(({ source, target }) => kept.get(source).delete(target));
+    const reaches = (from, to) => {
+        const seen = new Set([from]);
+        const queue = [from];
+        while (queue.length > 0) {
+            const node = queue.pop();
+            if (node === to) return true;
+            for (const next of kept.get(node)) {
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+        return false;
+    };
+
+    const byWeight = [...removed].sort((a, b) => weightOf(b.source, b.target) - weightOf(a.source, a.target));
+    const restored = new Set();
+    for (const edge of byWeight) {
+        if (!reaches(edge.target, edge.source)) {
+            kept.get(edge.source).add(edge.target);
+            restored.add(edge);
+        }
+    }
+    return removed.filter(edge => !restored.has(edge));
+};
+
+/**
+ * Natural ordering for node ids, so "2" sorts before "10"
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const nodeIdCollator = new Intl.Collator(undefined, { numeric: true });
+export const compareNodeIds = (a, b) => nodeIdCollator.compare(a, b);
+
+/**
+ * Binary min-heap
+ * @param {Function} compare - Ordering of the items, node ids by default
+ * @returns {Object} - { push(item), pop(), size() }
+ */
+const createHeap = (compare = compareNodeIds) => {
+    const heap = [];
+    const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+
+    return {
+        size: () => heap.length,
+        push: (node) => {
+            heap.push(node);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (compare(heap[parent], heap[i]) <= 0) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop: () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && compare(heap[left], heap[smallest]) < 0) smallest = left;
+                    if (right < heap.length && compare(heap[right], heap[smallest]) < 0) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+};
+
+/**
+ * Build the lock predicate for removeCycles
+ * @param {Object} locked - { edges: ["source->target"], nodes: ["node"] }; a locked node
+ *   protects all of its outgoing edges
+ * @returns {Function} - (source, target) => boolean
+ */
+const createLockCheck = ({ edges = [], nodes = [] } = {}) => {
+    const lockedEdges = new Set(edges);
+    const lockedNodes = new Set(nodes.map(String));
+    return (source, target) => lockedNodes.has(source) || lockedEdges.has(edgeKey(source, target));
+};
+
+/**
+ * Find a walk from one node to another that uses at least one unlocked edge.
+ * Breadth-first search over (node, has-unlocked-edge) states.
+ * @param {Object} graphData - Adjacency list
+ * @param {string} from
+ * @param {string} to
+ * @param {Function} isLocked - (source, target) => boolean
+ * @returns {Array|null} - The walk's edges [{ source, target }], or null
+ */
+const findUnlockedWalk = (graphData, from, to, isLocked) => {
+    const stateKey = (node, free) => `${free ? 1 : 0}|${node}`;
+    const parent = new Map([[stateKey(from, false), null]]);
+    const queue = [[from, false]];
+
+    for (let i = 0; i < queue.length; i++) {
+        const [node, free] = queue[i];
+        for (const neighbor of graphData[node] || []) {
+            const next = String(neighbor);
+            const nextFree = free || !isLocked(node, next);
+            const key = stateKey(next, nextFree);
+            if (parent.has(key)) continue;
+            parent.set(key, { node, free, edge: { source: node, target: next } });
+
+            if (next === to && nextFree) {
+                const walk = [];
+                for (let step = parent.get(key); step; step = parent.get(stateKey(step.node, step.free))) {
+                    walk.push(step.edge);
+                }
+                return walk.reverse();
+            }
+            queue.push([next, nextFree]);
+        }
+    }
+    return null;
+};
+
+/**
+ * Fast cycle detection (no step recording)
+ * @param {Object} graphData - Adjacency list { "node": ["neighbors"] }
+ * @param {string} startNode - Starting node for DFS, or ALL_NODES for the whole graph
+ * @param {Object} [options] - { onProgress: (visited, total) => void }
+ * @returns {Object} - { found: boolean, loopPath?: string[], error?: string }
+ *   In whole-graph mode also { cycles: [{ loopPath, region }], regions }, one loop per region.
+ */
+export const runDetection = (graphData, startNode, { onProgress } = {}) => {
+    const tick = createProgress(onProgress, collectNodes(graphData).length);
+    const visited = new Set();
+    const recursionStack = new Set();
+    const pathStack = [];
+
+    // Iterative DFS: one frame per node on the path, holding the next neighbor to try,
+    // so deep dependency chains cannot overflow the call stack
+    const dfs = (root) => {
+        const frames = [];
+
+        const enter = (currentNode) => {
+            // 1. Cycle detection: node already in current path
+            if (recursionStack.has(currentNode)) {
+                return { found: true, culprit: currentNode };
+            }
+
+            // 2. Already visited and verified safe
+            if (visited.has(currentNode)) {
+                return { found: false };
+            }
+
+            // 3. Add to current path
+            recursionStack.add(currentNode);
+            pathStack.push(currentNode);
+            frames.push({ node: currentNode, neighbors: graphData[currentNode] || [], index: 0 });
+            return { found: false };
+        };
+
+        const first = enter(root);
+        if (first.found) return first;
+
+        while (frames.length > 0) {
+            const frame = frames[frames.length - 1];
+
+            // 4. Explore neighbors
+            if (frame.index < frame.neighbors.length) {
+                const neighborStr = String(frame.neighbors[frame.index++]);
+                const result = enter(neighborStr);
+                if (result.found) {
+                    return result;
+                }
+                continue;
+            }
+
+            // 5. Backtrack: remove from path, mark as safe
+            frames.pop();
+            recursionStack.delete(frame.node);
+            pathStack.pop();
+            visited.add(frame.node);
+            tick();
+        }
+
+        return { found: false };
+    };
+
+    // Extract the actual cycle path from the current DFS path
+    const extractLoop = (culprit) => {
+        const loopStartIndex = pathStack.indexOf(culprit);
+        const actualLoop = pathStack.slice(loopStartIndex);
+        actualLoop.push(culprit);
+        return actualLoop;
+    };
+
+    // Whole-graph mode: restart from every unvisited root, report one loop per region
+    if (startNode === ALL_NODES) {
+        const regions = computeRegions(graphData);
+        const cycles = [];
+        const reportedRegions = new Set();
+
+        for (const root of collectRoots(graphData)) {
+            if (visited.has(root) || reportedRegions.has(regions.get(root))) continue;
+
+            const result = dfs(root);
+            if (result.found) {
+                cycles.push({ loopPath: extractLoop(result.culprit), region: regions.get(root) });
+                reportedRegions.add(regions.get(root));
+                // Abandon the interrupted path before moving on to the next root
+                recursionStack.clear();
+                pathStack.length = 0;
+            }
+        }
+
+        if (cycles.length > 0) {
+            return { found: true, loopPath: cycles[0].loopPath, cycles, regions: Object.fromEntries(regions) };
+        }
+        return { found: false, regions: Object.fromEntries(regions) };
+    }
+
+    // Validate start node
+    if (!Object.hasOwn(graphData, startNode)) {
+        return { found: false, error: `Node "${startNode}" not found in graph` };
+    }
+
+    const result = dfs(startNode);
+
+    if (result.found) {
+        const actualLoop = extractLoop(result.culprit);
+
+        return {
+            found: true,
+            path: pathStack,
+            loopPath: actualLoop
+        };
+    }
+
+    return { found: false };
+};
+
+/**
+ * Enumerate every elementary cycle reachable from the start node (Johnson's algorithm).
+ * Each cycle is returned as a closed path, e.g. ["2", "3", "2"], starting from
+ * the node that was discovered first.
+ * @param {Object} graphData - Adjacency list
+ * @param {string} startNode - Starting node for the search, or ALL_NODES for the whole graph
+ * @param {Object} [options] - { maxCycles: stop after this many cycles, onProgress: (visited, total) => void }
+ * @returns {Object} - { found: boolean, cycles: string[][], truncated: boolean, regions?, error?: string }
+ */
+export const findAllCycles = (graphData, startNode, { maxCycles = DEFAULT_MAX_CYCLES, onProgress } = {}) => {
+    const wholeGraph = startNode === ALL_NODES;
+
+    // Validate start node
+    if (!wholeGraph && !Object.hasOwn(graphData, startNode)) {
+        return { found: false, cycles: [], truncated: false, error: `Node "${startNode}" not found in graph` };
+    }
+
+    // Collect reachable nodes in discovery order, de-duplicating neighbors
+    const order = wholeGraph ? collectNodes(graphData) : [startNode];
+    const indexOf = new Map(order.map((node, index) => [node, index]));
+    const adjacency = new Map();
+    for (let i = 0; i < order.length; i++) {
+        const node = order[i];
+        const neighbors = [...new Set((graphData[node] || []).map(String))];
+        adjacency.set(node, neighbors);
+        for (const neighbor of neighbors) {
+            if (!indexOf.has(neighbor)) {
+                indexOf.set(neighbor, order.length);
+                order.push(neighbor);
+            }
+        }
+    }
+
+    const cycles = [];
+    let truncated = false;
+    const tick = createProgress(onProgress, order.length);
+
+    // Johnson: repeatedly take the lowest-index node s of a strongly connected component,
+    // find the circuits through s inside that component, then drop s and split the rest
+    // into components again. Components are kept in a heap by their lowest index.
+    const pending = createHeap((a, b) => a.start - b.start);
+    const queueComponents = (nodes) => {
+        const inside = new Set(nodes);
+        const subgraph = {};
+        nodes.forEach(node => { subgraph[node] = adjacency.get(node).filter(target => inside.has(target)); });
+        const { components, cyclic } = findStronglyConnectedComponents(subgraph);
+        components.forEach((members, index) => {
+            if (!cyclic[index]) return;
+            const start = members.reduce((lowest, node) => Math.min(lowest, indexOf.get(node)), Infinity);
+            pending.push({ members, start });
+        });
+    };
+    queueComponents(order);
+
+    while (pending.size() > 0 && !truncated) {
+        const { members, start } = pending.pop();
+        const root = order[start];
+        tick();
+        const component = new Set(members);
+        const inSearch = (neighbor) => component.has(neighbor);
+        const blocked = new Set();
+        const blockMap = new Map();
+        const stack = [];
+        const frames = [];
+
+        const unblock = (first) => {
+            const queue = [first];
+            while (queue.length > 0) {
+                const node = queue.pop();
+                blocked.delete(node);
+                const dependents = blockMap.get(node);
+                if (!dependents) continue;
+                blockMap.delete(node);
+                for (const dependent of dependents) {
+                    if (blocked.has(dependent)) queue.push(dependent);
+                }
+            }
+        };
+
+        // Explicit-stack version of Johnson's recursive CIRCUIT procedure
+        const enter = (node) => {
+            stack.push(node);
+            blocked.add(node);
+            frames.push({ node, index: 0, closed: false });
+        };
+
+        enter(root);
+        while (frames.length > 0) {
+            const frame = frames[frames.length - 1];
+            const neighbors = adjacency.get(frame.node);
+
+            if (!truncated && frame.index < neighbors.length) {
+                const neighbor = neighbors[frame.index++];
+                if (!inSearch(neighbor)) continue;
+
+                if (neighbor === root) {
+                    // Loop closed back at the root
+                    cycles.push([...stack, root]);
+                    frame.closed = true;
+                    if (cycles.length >= maxCycles) truncated = true;
+                } else if (!blocked.has(neighbor)) {
+                    enter(neighbor);
+                }
+                continue;
+            }
+
+            frames.pop();
+            if (frame.closed) {
+                unblock(frame.node);
+            } else {
+                // Stay blocked until one of the neighbors gets unblocked
+                for (const neighbor of neighbors) {
+                    if (!inSearch(neighbor)) continue;
+                    if (!blockMap.has(neighbor)) blockMap.set(neighbor, new Set());
+                    blockMap.get(neighbor).add(frame.node);
+                }
+            }
+            stack.pop();
+
+            // Report back to the caller frame
+            if (frames.length > 0 && frame.closed) {
+                frames[frames.length - 1].closed = true;
+            }
+        }
+
+        queueComponents(members.filter(node => node !== root));
+    }
+
+    if (wholeGraph) {
+        return { found: cycles.length > 0, cycles, truncated, regions: Object.fromEntries(computeRegions(graphData)) };
+    }
+    return { found: cycles.length > 0, cycles, truncated };
+};
+
+/**
+ * Strongly connected components (Tarjan's algorithm) and the condensed DAG between them.
+ * Always covers the whole graph. Components are listed in topological order, so every
+ * edge of the condensed DAG points from a lower to a higher component index.
+ * @param {Object} graphData - Adjacency list
+ * @returns {Object} - { components: string[][], componentOf: { "node": index },
+ *   condensed: { index: number[] }, cyclic: boolean[] }
+ */
+export const findStronglyConnectedComponents = (graphData) => {
+    const indexOf = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const found = [];
+    let counter = 0;
+
+    // Explicit-stack Tarjan: a frame per open node, lowLink propagated on return
+    const strongConnect = (root) => {
+        const frames = [];
+
+        const open = (node) => {
+            indexOf.set(node, counter);
+            lowLink.set(node, counter);
+            counter++;
+            stack.push(node);
+            onStack.add(node);
+            frames.push({ node, neighbors: graphData[node] || [], index: 0 });
+        };
+
+        open(root);
+        while (frames.length > 0) {
+            const frame = frames[frames.length - 1];
+            const { node } = frame;
+
+            if (frame.index < frame.neighbors.length) {
+                const next = String(frame.neighbors[frame.index++]);
+                if (!indexOf.has(next)) {
+                    open(next);
+                } else if (onStack.has(next)) {
+                    lowLink.set(node, Math.min(lowLink.get(node), indexOf.get(next)));
+                }
+                continue;
+            }
+
+            frames.pop();
+
+            // Root of a component: pop every member off the stack
+            if (lowLink.get(node) === indexOf.get(node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== node);
+                found.push(component.reverse());
+            }
+
+            if (frames.length > 0) {
+                const parent = frames[frames.length - 1].node;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(node)));
+            }
+        }
+    };
+
+    for (const node of collectNodes(graphData)) {
+        if (!indexOf.has(node)) strongConnect(node);
+    }
+
+    // Tarjan emits components in reverse topological order
+    const components = found.reverse();
+    const componentOf = {};
+    components.forEach((component, index) => {
+        component.forEach(node => { componentOf[node] = index; });
+    });
+
+    const condensed = {};
+    const cyclic = components.map(component => component.length > 1);
+    components.forEach((component, index) => {
+        const targets = new Set();
+        for (const node of component) {
+            for (const neighbor of graphData[node] || []) {
+                const target = componentOf[String(neighbor)];
+                if (target === index) {
+                    cyclic[index] = true; // covers self-loops on single nodes
+                } else {
+                    targets.add(target);
+                }
+            }
+        }
+        condensed[index] = [...targets];
+    });
+
+    return { components, componentOf, condensed, cyclic };
+};
+
+/**
+ * Processing order (Kahn's algorithm). A node comes after every node it points to,
+ * so dependencies are handled first; ties are broken by natural id order.
+ * Levels group nodes whose dependencies are all in earlier levels and can run in parallel.
+ * @param {Object} graphData - Adjacency list, normally the safeGraph from removeCycles
+ * @param {Object} [options] - { onProgress: (visited, total) => void }
+ * @returns {Object} - { acyclic: boolean, order: string[], levels: string[][], remaining: string[] }
+ *   remaining lists the nodes that could not be ordered because they sit on or behind a cycle
+ */
+export const topologicalSort = (graphData, { onProgress } = {}) => {
+    const nodes = collectNodes(graphData);
+    const tick = createProgress(onProgress, nodes.length);
+    const pending = new Map();      // node -> number of unprocessed dependencies
+    const dependents = new Map(nodes.map(node => [node, []]));
+    for (const node of nodes) {
+        const targets = [...new Set((graphData[node] || []).map(String))];
+        pending.set(node, targets.length);
+        targets.forEach(target => dependents.get(target).push(node));
+    }
+
+    const ready = createHeap();
+    const levelOf = new Map();
+    nodes.forEach(node => {
+        if (pending.get(node) === 0) {
+            ready.push(node);
+            levelOf.set(node, 0);
+        }
+    });
+
+    const order = [];
+    const levels = [];
+    while (ready.size() > 0) {
+        const node = ready.pop();
+        order.push(node);
+        tick();
+        const level = levelOf.get(node);
+        (levels[level] = levels[level] || []).push(node);
+
+        for (const dependent of dependents.get(node)) {
+            levelOf.set(dependent, Math.max(levelOf.get(dependent) || 0, level + 1));
+            pending.set(dependent, pending.get(dependent) - 1);
+            if (pending.get(dependent) === 0) ready.push(dependent);
+        }
+    }
+
+    const remaining = nodes.filter(node => pending.get(node) > 0).sort(compareNodeIds);
+    return {
+        acyclic: remaining.length === 0,
+        order,
+        levels: levels.map(level => level.sort(compareNodeIds)),
+        remaining
+    };
+};
+
+/**
+ * Cycle detection with step-by-step recording for visualization.
+ * Steps only record what changed (`change`: push onto / pop off the path);
+ * use restoreStepState to rebuild visited / recursionStack / pathStack at any step.
+ * @param {Object} graphData - Adjacency list
+ * @param {string} startNode - Starting node for DFS, or ALL_NODES for the whole graph
+ * @param {Object} [options] - { maxSteps: step budget (default DEFAULT_MAX_STEPS), onProgress: (visited, total) => void }
+ * @returns {Object} - { found, steps[], snapshots[], visitedOrder[], truncated, skippedEdges?, error?, regions? }
+ */
+export const runDetectionWithSteps = (graphData, startNode, { maxSteps = DEFAULT_MAX_STEPS, onProgress } = {}) => {
+    const tick = createProgress(onProgress, collectNodes(graphData).length);
+    const visited = new Set();
+    const recursionStack = new Set();
+    const pathStack = [];
+    const stepsLog = [];
+    const snapshots = []; // { step, top, visitedCount }
+    const visitedOrder = []; // Nodes in the order they were marked safe
+    const skippedEdges = []; // Track all skipped back-edges
+    const wholeGraph = startNode === ALL_NODES;
+    const regions = wholeGraph ? computeRegions(graphData) : null;
+    let currentRegion = null; // Region of the current root in whole-graph mode
+    let pendingChange = null; // State change made since the last recorded step
+    let top = -1; // Step that pushed the node currently on top of the path
+    let truncated = false;
+
+    // Helper to capture current state; past the budget a single TRUNCATED step is logged
+    const captureState = (action, node, explanation, explanationZh, extra = {}) => {
+        if (truncated) return;
+        if (stepsLog.length >= maxSteps) {
+            truncated = true;
+            action = ACTION_TYPES.TRUNCATED;
+            explanation = `[…] TRUNCATED: step budget of ${maxSteps} reached, later steps are not recorded`;
+            explanationZh = `已達步驟上限 ${maxSteps}，之後的步驟不再記錄`;
+            extra = {};
+        }
+
+        const step = { action, node, explanation, explanationZh, ...extra };
+        if (pendingChange) {
+            if (pendingChange.type === 'push') {
+                step.change = { ...pendingChange, below: top };
+                top = stepsLog.length;
+            } else {
+                step.change = pendingChange;
+                top = stepsLog[top].change.below;
+                visitedOrder.push(pendingChange.node);
+            }
+            pendingChange = null;
+        }
+        if (stepsLog.length % SNAPSHOT_INTERVAL === 0) {
+            snapshots.push({ step: stepsLog.length, top, visitedCount: visitedOrder.length });
+        }
+        stepsLog.push(step);
+    };
+
+    const recording = () => ({ steps: stepsLog, snapshots, visitedOrder, truncated });
+
+    // Explicit stack of entered nodes, each with the index of the next neighbor to explore
+    const frames = [];
+
+    // Log a visit to one node; nodes that get pushed onto the path also get a frame
+    const enter = (currentNode) => {
+        captureState(
+            ACTION_TYPES.ENTER_NODE,
+            currentNode,
+            `> push node[${currentNode}]`,
+            `進入節點 ${currentNode}`
+        );
+
+        captureState(
+            ACTION_TYPES.CHECK_IN_STACK,
+            currentNode,
+            `> check stack.contains(${currentNode}) => [${previewList(recursionStack, recursionStack.size)}]`,
+            `檢查堆疊是否包含 ${currentNode}`
+        );
+
+        if (recursionStack.has(currentNode)) {
+            captureState(
+                ACTION_TYPES.CYCLE_FOUND,
+                currentNode,
+                `[!] CYCLE DETECTED @ node[${currentNode}] | path: ${pathStack.join('->')}->${currentNode}`,
+                `偵測到循環：節點 ${currentNode}`,
+                { isCycle: true, cycleNode: currentNode }
+            );
+            // Record the back-edge that causes cycle
+            const sourceNode = pathStack[pathStack.length - 1];
+            const backEdge = wholeGraph
+                ? { source: sourceNode, target: currentNode, region: currentRegion }
+                : { source: sourceNode, target: currentNode };
+            skippedEdges.push(backEdge);
+
+            captureState(
+                ACTION_TYPES.SKIP_CYCLE,
+                currentNode,
+                `[✓] SKIP edge[${sourceNode}]->[${currentNode}] -- avoiding infinite loop`,
+                `跳過邊 ${sourceNode}->${currentNode}，避免無限迴圈`,
+                { skippedEdge: backEdge }
+            );
+
+            // Return found but continue - don't propagate up immediately
+            return { found: true, cycleEdge: backEdge, skipped: true };
+        }
+
+        captureState(
+            ACTION_TYPES.CHECK_VISITED,
+            currentNode,
+            `> check visited.has(${currentNode}) => {${previewList(visited, visited.size)}}`,
+            `檢查是否已訪問 ${currentNode}`
+        );
+
+        if (visited.has(currentNode)) {
+            captureState(
+                ACTION_TYPES.SKIP_VISITED,
+                currentNode,
+                `> skip node[${currentNode}] -- already verified`,
+                `跳過節點 ${currentNode}，已驗證安全`
+            );
+            return { found: false };
+        }
+
+        recursionStack.add(currentNode);
+        pathStack.push(currentNode);
+        pendingChange = { type: 'push', node: currentNode };
+
+        captureState(
+            ACTION_TYPES.ADD_TO_STACK,
+            currentNode,
+            `> stack.push(${currentNode}) => [${previewList(recursionStack, recursionStack.size)}]`,
+            `將 ${currentNode} 加入堆疊`
+        );
+
+        frames.push({ node: currentNode, neighbors: graphData[currentNode] || [], index: 0 });
+        return { found: false };
+    };
+
+    // Iterative DFS: produces the same step sequence as the recursive traversal
+    // without growing the call stack on deep chains
+    const dfs = (root) => {
+        enter(root);
+
+        while (frames.length > 0) {
+            const frame = frames[frames.length - 1];
+            const currentNode = frame.node;
+
+            if (frame.index < frame.neighbors.length) {
+                const neighborStr = String(frame.neighbors[frame.index++]);
+
+                captureState(
+                    ACTION_TYPES.EXPLORE_NEIGHBOR,
+                    currentNode,
+                    `> traverse edge[${currentNode}]->[${neighborStr}]`,
+                    `遍歷邊 ${currentNode} -> ${neighborStr}`,
+                    { targetNeighbor: neighborStr }
+                );
+
+                // Don't stop on cycle - just record and continue to next neighbor
+                // The cycle is already logged and edge is marked as skipped
+                enter(neighborStr);
+                continue;
+            }
+
+            captureState(
+                ACTION_TYPES.BACKTRACK,
+                currentNode,
+                `> stack.pop() -- backtrack from node[${currentNode}]`,
+                `回溯，從堆疊移除 ${currentNode}`
+            );
+
+            frames.pop();
+            recursionStack.delete(currentNode);
+            pathStack.pop();
+            visited.add(currentNode);
+            pendingChange = { type: 'pop', node: currentNode };
+            tick();
+
+            captureState(
+                ACTION_TYPES.MARK_SAFE,
+                currentNode,
+                `> visited.add(${currentNode}) -- node verified safe`,
+                `節點 ${currentNode} 標記為安全`
+            );
+        }
+    };
+
+    if (wholeGraph) {
+        // Restart from every unvisited root, one START step per traversal
+        for (const root of collectRoots(graphData)) {
+            if (visited.has(root)) continue;
+            currentRegion = regions.get(root);
+            captureState(
+                ACTION_TYPES.START,
+                root,
+                `> init dfs --start="${root}" --region=${currentRegion + 1}`,
+                `初始化深度優先搜尋，起點="${root}"，區域 ${currentRegion + 1}`
+            );
+            dfs(root);
+        }
+    } else {
+        captureState(
+            ACTION_TYPES.START,
+            startNode,
+            `> init dfs --start="${startNode}"`,
+            `初始化深度優先搜尋，起點="${startNode}"`
+        );
+
+        // Validate start node
+        if (!Object.hasOwn(graphData, startNode)) {
+            return { found: false, error: `Node "${startNode}" not found in graph`, ...recording() };
+        }
+
+        dfs(startNode);
+    }
+
+    if (skippedEdges.length > 0) {
+        // Cycles were found but handled by skipping
+        captureState(
+            ACTION_TYPES.COMPLETE,
+            startNode,
+            `[✓] COMPLETE: traversal finished. ${skippedEdges.length} cycle(s) detected and skipped.`,
+            `完成：遍歷結束。偵測到 ${skippedEdges.length} 個循環並成功跳過。`
+        );
+
+        return {
+            found: true,
+            handled: true, // Indicates cycles were found but handled
+            skippedEdges: skippedEdges,
+            ...recording(),
+            ...(wholeGraph && { regions: Object.fromEntries(regions) })
+        };
+    }
+
+    captureState(
+        ACTION_TYPES.COMPLETE,
+        startNode,
+        `> exit 0 -- no cycles detected, all paths verified`,
+        `檢測完成，無循環，所有路徑安全`
+    );
+
+    return wholeGraph ? { found: false, ...recording(), regions: Object.fromEntries(regions) } : { found: false, ...recording() };
+};
+
+/**
+ * Loops made only of locked edges: these cannot be resolved automatically.
+ * @param {Object} graphData - Adjacency list
+ * @param {Set} scope - Nodes under analysis
+ * @param {Function} isLocked - (source, target) => boolean
+ * @param {Object} locked - The lock options, used to explain each conflict
+ * @returns {Array} - [{ members: string[], loopPath: string[], explanation: string }]
+ */
+const findLockedConflicts = (graphData, scope, isLocked, { nodes = [] } = {}) => {
+    const lockedGraph = {};
+    for (const node of scope) {
+        lockedGraph[node] = (graphData[node] || []).map(String).filter(target => isLocked(node, target));
+    }
+
+    const lockedNodes = new Set(nodes.map(String));
+    const { components, cyclic } = findStronglyConnectedComponents(lockedGraph);
+    return components.filter((_, index) => cyclic[index]).map(members => {
+        // Search the component on its own so the reported loop stays inside it
+        const inside = new Set(members);
+        const componentGraph = {};
+        members.forEach(node => { componentGraph[node] = lockedGraph[node].filter(target => inside.has(target)); });
+        const { loopPath } = runDetection(componentGraph, members[0]);
+
+        const reasons = loopPath.slice(0, -1).map((source, i) => lockedNodes.has(source)
+            ? `node ${source} is locked`
+            : `edge ${edgeKey(source, loopPath[i + 1])} is locked`);
+        return {
+            members,
+            loopPath,
+            explanation: `Loop ${loopPath.join(' → ')} cannot be resolved: ${[...new Set(reasons)].join(', ')}.`
+        };
+    });
+};
+
+/**
+ * Minimum feedback arc set resolution: per strongly connected component, remove the
+ * cheapest set of unlocked edges that leaves it acyclic. Groups of nodes tied together
+ * by locked loops are contracted first, so those loops are kept and reported instead.
+ * @param {Object} graphData - The potentially cyclic graph
+ * @param {Set} scope - Nodes under analysis
+ * @param {Function} weightOf - (source, target) => cost of removing the edge
+ * @param {Function} isLocked - (source, target) => boolean
+ * @param {Function} tick - Progress callback, once per node of a resolved component
+ * @returns {Object} - { removedEdges, exact }
+ */
+const findMinimumFeedbackArcs = (graphData, scope, weightOf, isLocked, tick) => {
+    const neighborsOf = (node) => [...new Set((graphData[node] || []).map(String))];
+    const removedEdges = [];
+    let exact = true;
+
+    // A component reachable from the start lies in scope entirely
+    const { components, cyclic } = findStronglyConnectedComponents(graphData);
+    components.forEach((members, index) => {
+        if (!cyclic[index] || !scope.has(members[0])) return;
+        members.forEach(() => tick());
+
+        // Contract the locked loops inside this component into groups
+        const inside = new Set(members);
+        const lockedGraph = {};
+        members.forEach(node => {
+            lockedGraph[node] = neighborsOf(node).filter(target => inside.has(target) && isLocked(node, target));
+        });
+        const groupOf = findStronglyConnectedComponents(lockedGraph).componentOf;
+
+        const groups = [...new Set(members.map(node => String(groupOf[node])))];
+        const groupAdjacency = new Map(groups.map(group => [group, new Set()]));
+        const groupWeights = new Map();
+        const crossingEdges = new Map();
+
+        for (const source of members) {
+            for (const target of neighborsOf(source)) {
+                if (!inside.has(target)) continue;
+                const from = String(groupOf[source]);
+                const to = String(groupOf[target]);
+
+                if (from === to) {
+                    // Inside one group every unlocked edge closes a loop with the locked ones
+                    if (!isLocked(source, target)) removedEdges.push({ source, target });
+                    continue;
+                }
+
+                const key = edgeKey(from, to);
+                const weight = isLocked(source, target) ? Infinity : weightOf(source, target);
+                groupAdjacency.get(from).add(to);
+                groupWeights.set(key, (groupWeights.get(key) || 0) + weight);
+                if (!crossingEdges.has(key)) crossingEdges.set(key, []);
+                crossingEdges.get(key).push({ source, target });
+            }
+        }
+        if (groups.length === 1) return;
+
+        const adjacency = new Map([...groupAdjacency].map(([group, targets]) => [group, [...targets]]));
+        const groupWeight = (from, to) => groupWeights.get(edgeKey(from, to));
+        let cut;
+        if (groups.length <= EXACT_FAS_LIMIT) {
+            cut = exactFeedbackArcs(groups, adjacency, groupWeight);
+        } else {
+            exact = false;
+            cut = heuristicFeedbackArcs(groups, adjacency, groupWeight);
+        }
+
+        // Expand each cut between groups back to the original edges
+        cut.forEach(({ source, target }) => {
+            removedEdges.push(...crossingEdges.get(edgeKey(source, target)));
+        });
+    });
+
+    return { removedEdges, exact };
+};
+
+/**
+ * Algorithm to automatically resolve conflicts by removing back-edges.
+ * Returns a new, safe DAG (Directed Acyclic Graph). Locked edges are never removed:
+ * loops made only of locked edges are kept and reported as conflicts.
+ * @param {Object} graphData - The potentially cyclic graph
+ * @param {string} startNode - Starting node for traversal, or ALL_NODES for the whole graph
+ * @param {Object} [options] - { strategy: FIX_STRATEGIES value (default DFS),
+ *   weights: { "source->target": cost } for edges that are expensive to cut (default 1),
+ *   locked: { edges: ["source->target"], nodes: ["node"] } edges that must stay,
+ *   preferred: ["source->target"] edges to remove first, in order, each while it still lies on a loop;
+ *     the strategy then resolves whatever loops are left,
+ *   onProgress: (visited, total) => void }
+ * @returns {Object} - { safeGraph: Object, removedEdges: Array, cost: number, strategy,
+ *   conflicts: [{ members, loopPath, explanation }], resolved: boolean, exact?, regions? }
+ *   In whole-graph mode each removed edge also carries its region; edges taken from
+ *   preferred are marked preferred: true.
+ */
+export const removeCycles = (graphData, startNode, { strategy = FIX_STRATEGIES.DFS, weights = {}, locked = {}, preferred = [], onProgress } = {}) => {
+    const regions = startNode === ALL_NODES ? computeRegions(graphData) : null;
+    const isLocked = createLockCheck(locked);
+    const weightOf = (source, target) => {
+        const weight = weights[edgeKey(source, target)];
+        return typeof weight === 'number' ? weight : 1;
+    };
+
+    // Deep copy graph to avoid mutating original
+    const safeGraph = JSON.parse(JSON.stringify(graphData));
+    const removedEdges = [];
+
+    const removeEdge = (source, target, extra) => {
+        safeGraph[source] = safeGraph[source].filter(neighbor => String(neighbor) !== target);
+        removedEdges.push(regions
+            ? { source, target, region: regions.get(source), ...extra }
+            : { source, target, ...extra });
+    };
+
+    // Nodes in scope: everything, or what the start node can reach
+    let scope = new Set(collectNodes(graphData));
+    if (!regions) {
+        scope = new Set(Object.hasOwn(graphData, startNode) ? [startNode] : []);
+        for (const node of scope) {
+            for (const neighbor of graphData[node] || []) scope.add(String(neighbor));
+        }
+    }
+    const tick = createProgress(onProgress, scope.size);
+
+    // Preferred edges go first, but only while they still close a loop: once an earlier
+    // one has broken every loop through an edge, that edge is kept
+    const isUnlocked = () => false;
+    for (const key of preferred) {
+        const separator = key.indexOf('->');
+        const source = key.slice(0, separator);
+        const target = key.slice(separator + 2);
+        if (separator < 0 || !scope.has(source) || isLocked(source, target)) continue;
+        if (!(safeGraph[source] || []).some(neighbor => String(neighbor) === target)) continue;
+        if (findUnlockedWalk(safeGraph, target, source, isUnlocked)) removeEdge(source, target, { preferred: true });
+    }
+
+    let exact;
+    if (strategy === FIX_STRATEGIES.MINIMUM) {
+        const minimum = findMinimumFeedbackArcs(safeGraph, scope, weightOf, isLocked, tick);
+        minimum.removedEdges.forEach(({ source, target }) => removeEdge(source, target));
+        exact = minimum.exact;
+    } else {
+        const visited = new Set();
+        const recursionStack = new Set();
+        const pathStack = [];
+        const lockedBackEdges = [];
+
+        // Iterative DFS; each frame walks its neighbor list from the back
+        const dfs = (root) => {
+            const frames = [];
+
+            const enter = (currentNode) => {
+                recursionStack.add(currentNode);
+                pathStack.push(currentNode);
+
+                // Get neighbors from the safe (mutable) graph
+                const neighbors = safeGraph[currentNode] || [];
+
+                // Iterate backwards to allow safe removal during iteration
+                frames.push({ node: currentNode, neighbors, index: neighbors.length - 1 });
+            };
+
+            enter(root);
+            while (frames.length > 0) {
+                const frame = frames[frames.length - 1];
+                const currentNode = frame.node;
+
+                if (frame.index >= 0) {
+                    const i = frame.index--;
+                    const neighbor = String(frame.neighbors[i]);
+
+                    // CONFLICT RESOLUTION ALGORITHM:
+                    // 1. If neighbor is in recursion stack => BACK EDGE (Cycle) => REMOVE IT
+                    if (recursionStack.has(neighbor)) {
+                        if (isLocked(currentNode, neighbor)) {
+                            // Protected: break this loop elsewhere once the DFS is done
+                            lockedBackEdges.push({ source: currentNode, target: neighbor });
+                            continue;
+                        }
+                        // Remove the conflict
+                        frame.neighbors.splice(i, 1);
+                        removedEdges.push(regions
+                            ? { source: currentNode, target: neighbor, region: regions.get(currentNode) }
+                            : { source: currentNode, target: neighbor });
+                        continue;
+                    }
+
+                    // 2. If visited, it's a cross edge or forward edge (Safe) => SKIP
+                    if (!visited.has(neighbor)) {
+                        enter(neighbor);
+                    }
+                    continue;
+                }
+
+                frames.pop();
+                recursionStack.delete(currentNode);
+                pathStack.pop();
+                visited.add(currentNode);
+                tick();
+            }
+        };
+
+        if (regions) {
+            for (const root of collectRoots(graphData)) {
+                if (!visited.has(root)) dfs(root);
+            }
+        } else if (safeGraph[startNode]) {
+            dfs(startNode);
+        }
+
+        // 3. Every loop left runs through a locked back-edge: cut the unlocked edge
+        //    closest to it, until only loops made of locked edges remain
+        for (const { source, target } of lockedBackEdges) {
+            let walk = findUnlockedWalk(safeGraph, target, source, isLocked);
+            while (walk) {
+                const edge = walk.filter(step => !isLocked(step.source, step.target)).pop();
+                removeEdge(edge.source, edge.target);
+                walk = findUnlockedWalk(safeGraph, target, source, isLocked);
+            }
+        }
+    }
+
+    const conflicts = findLockedConflicts(graphData, scope, isLocked, locked);
+    return {
+        safeGraph,
+        removedEdges,
+        cost: removedEdges.reduce((sum, edge) => sum + weightOf(edge.source, edge.target), 0),
+        strategy,
+        conflicts,
+        resolved: conflicts.length === 0,
+        ...(exact !== undefined && { exact }),
+        ...(regions && { regions: Object.fromEntries(regions) })
+    };
+};
@@ -0,0 +1,563 @@
+import { describe, expect, it } from 'vitest';
+import fc from 'fast-check';
+import { TEST_CASES } from '../testCases';
+import {
+    ACTION_TYPES,
+    ALL_NODES,
+    EXACT_FAS_LIMIT,
+    FIX_STRATEGIES,
+    edgeKey,
+    findAllCycles,
+    findExternalNodes,
+    findStronglyConnectedComponents,
+    pathHasEdge,
+    removeCycles,
+    restoreStepState,
+    runDetection,
+    runDetectionWithSteps,
+    topologicalSort
+} from './cycleDetection';
+
+const parseCase = (id) => {
+    const graphData = JSON.parse(TEST_CASES[id].data);
+    return { graphData, startNode: Object.keys(graphData)[0] };
+};
+
+const edgeKeys = (graphData) => new Set(
+    Object.entries(graphData).flatMap(([source, targets]) => targets.map(target => edgeKey(source, String(target))))
+);
+
+// One line per step: action, node, the rebuilt path and the explanation
+const describeSteps = (recording) => recording.steps.map((step, index) => {
+    const { pathStack } = restoreStepState(recording, index);
+    return `${step.action} ${step.node} [${pathStack.join(',')}] ${step.explanation}`;
+});
+
+// Adjacency lists over nodes "0".."n-1"; targets may repeat, loop back or point past the last node
+const graphArbitrary = fc.integer({ min: 1, max: 10 }).chain(size => fc.array(
+    fc.array(fc.integer({ min: 0, max: size }), { maxLength: 4 }),
+    { minLength: size, maxLength: size }
+).map(lists => Object.fromEntries(lists.map((targets, node) => [String(node), targets.map(String)]))));
+
+const EXPECTED = {
+    patlytics_edge: { found: true, loopPath: ['2', '3', '2'] },
+    self_loop: { found: true, loopPath: ['1', '1'] },
+    no_cycle: { found: false },
+    long_cycle: { found: true, loopPath: ['1', '2', '3', '4', '1'] },
+    complex: { found: true, loopPath: ['B', 'D', 'C', 'F', 'B'] }
+};
+
+describe('test cases', () => {
+    it('has an expectation for every case', () => {
+        expect(Object.keys(EXPECTED).sort()).toEqual(Object.keys(TEST_CASES).sort());
+    });
+
+    describe.each(Object.keys(TEST_CASES))('%s', (id) => {
+        const { graphData, startNode } = parseCase(id);
+
+        it('runDetection finds the expected loop', () => {
+            const analysis = runDetection(graphData, startNode);
+            expect(analysis.found).toBe(EXPECTED[id].found);
+            if (analysis.found) expect(analysis.loopPath).toEqual(EXPECTED[id].loopPath);
+        });
+
+        it('runDetectionWithSteps agrees with runDetection', () => {
+            const recording = runDetectionWithSteps(graphData, startNode);
+            expect(recording.found).toBe(EXPECTED[id].found);
+            expect(recording.truncated).toBe(false);
+            expect(recording.steps[0].action).toBe(ACTION_TYPES.START);
+            expect(recording.steps.at(-1).action).toBe(ACTION_TYPES.COMPLETE);
+            expect(recording.steps.some(step => step.action === ACTION_TYPES.CYCLE_FOUND)).toBe(EXPECTED[id].found);
+        });
+
+        it('records the same step sequence', () => {
+            expect(describeSteps(runDetectionWithSteps(graphData, startNode))).toMatchSnapshot();
+        });
+
+        it.each(Object.values(FIX_STRATEGIES))('removeCycles (%s) leaves an acyclic graph', (strategy) => {
+            const { safeGraph, removedEdges, resolved } = removeCycles(graphData, startNode, { strategy });
+            expect(resolved).toBe(true);
+            expect(runDetection(safeGraph, ALL_NODES).found).toBe(false);
+            expect(removedEdges.length > 0).toBe(EXPECTED[id].found);
+        });
+    });
+});
+
+describe('runDetectionWithSteps', () => {
+    it('rebuilds the state of every step from diffs and snapshots', () => {
+        const { graphData, startNode } = parseCase('complex');
+        const recording = runDetectionWithSteps(graphData, startNode);
+        recording.steps.forEach((step, index) => {
+            const { visited, recursionStack, pathStack } = restoreStepState(recording, index);
+            expect([...recursionStack]).toEqual(pathStack);
+            pathStack.forEach(node => expect(visited.has(node)).toBe(false));
+            if (step.action === ACTION_TYPES.ADD_TO_STACK) expect(pathStack.at(-1)).toBe(step.node);
+            if (step.action === ACTION_TYPES.MARK_SAFE) expect(visited.has(step.node)).toBe(true);
+        });
+    });
+
+    it('stops at the step budget with a TRUNCATED marker', () => {
+        const { graphData, startNode } = parseCase('complex');
+        const full = runDetectionWithSteps(graphData, startNode);
+        const recording = runDetectionWithSteps(graphData, startNode, { maxSteps: 10 });
+
+        expect(recording.truncated).toBe(true);
+        expect(recording.steps).toHaveLength(11);
+        expect(recording.steps.at(-1).action).toBe(ACTION_TYPES.TRUNCATED);
+        expect(recording.steps.slice(0, 10)).toEqual(full.steps.slice(0, 10));
+        expect(recording.found).toBe(full.found);
+    });
+
+    it('stores changes per step and a snapshot every 500 steps', () => {
+        const graphData = Object.fromEntries(Array.from({ length: 400 }, (_, i) => [String(i), [String(i + 1), String(Math.floor(i / 2))]]));
+        const recording = runDetectionWithSteps(graphData, '0', { maxSteps: Infinity });
+        expect(recording.steps.length).toBeGreaterThan(2000);
+        recording.steps.forEach(step => {
+            expect(step).not.toHaveProperty('visited');
+            expect(step).not.toHaveProperty('pathStack');
+        });
+        expect(recording.snapshots.map(snapshot => snapshot.step)).toEqual(
+            Array.from({ length: recording.snapshots.length }, (_, i) => i * 500)
+        );
+        // Replaying every change from the start gives the same states as starting from the snapshots
+        const replayed = { ...recording, snapshots: [] };
+        [0, 499, 500, 501, 1234, recording.steps.length - 1].forEach(index => {
+            expect(restoreStepState(recording, index)).toEqual(restoreStepState(replayed, index));
+        });
+    });
+
+    it('keeps a deep traversal within the step budget', () => {
+        const chain = Object.fromEntries(Array.from({ length: 100000 }, (_, i) => [String(i), [String((i + 1) % 100000)]]));
+        const recording = runDetectionWithSteps(chain, '0', { maxSteps: 1000 });
+        expect(recording.truncated).toBe(true);
+        expect(recording.steps).toHaveLength(1001);
+        expect(recording.found).toBe(true);
+    });
+
+    it('emits one START step per root in whole-graph mode', () => {
+        const recording = runDetectionWithSteps({ 1: ['2'], 2: [], 3: ['3'] }, ALL_NODES);
+        expect(recording.steps.filter(step => step.action === ACTION_TYPES.START).map(step => step.node)).toEqual(['1', '3']);
+        expect(recording.skippedEdges).toEqual([{ source: '3', target: '3', region: 1 }]);
+    });
+});
+
+describe('whole-graph mode', () => {
+    it('reports one loop per connected region', () => {
+        const graphData = { 1: ['2'], 2: ['1', '3'], 3: ['2'], 4: ['5'], 5: ['4'], 6: ['7'] };
+        const analysis = runDetection(graphData, ALL_NODES);
+        expect(analysis.found).toBe(true);
+        expect(analysis.cycles).toEqual([
+            { loopPath: ['1', '2', '1'], region: 0 },
+            { loopPath: ['4', '5', '4'], region: 1 }
+        ]);
+        expect(analysis.regions).toEqual({ 1: 0, 2: 0, 3: 0, 4: 1, 5: 1, 6: 2, 7: 2 });
+    });
+
+    it('finds loops no root leads to', () => {
+        expect(runDetection({ a: ['b'], b: ['a'] }, ALL_NODES).loopPath).toEqual(['a', 'b', 'a']);
+        expect(runDetection({ a: ['b'], b: [] }, ALL_NODES)).toEqual({ found: false, regions: { a: 0, b: 0 } });
+    });
+
+    it('keeps ids that name Object.prototype members in their own regions', () => {
+        const graphData = JSON.parse('{"constructor":["toString"],"toString":["constructor"],"__proto__":[],"hasOwnProperty":["valueOf"]}');
+        const { cycles, regions } = runDetection(graphData, ALL_NODES);
+        expect(cycles).toEqual([{ loopPath: ['constructor', 'toString', 'constructor'], region: 0 }]);
+        expect(Object.entries(regions)).toEqual([['constructor', 0], ['toString', 0], ['__proto__', 1], ['hasOwnProperty', 2], ['valueOf', 2]]);
+        const { removedEdges } = removeCycles({ valueOf: ['toString'], toString: ['valueOf'] }, ALL_NODES);
+        expect(removedEdges).toEqual([{ source: 'toString', target: 'valueOf', region: 0 }]);
+    });
+});
+
+describe('start node', () => {
+    const graphData = { 1: ['2'], 2: ['1'] };
+
+    it.each(['constructor', 'toString', 'hasOwnProperty'])('rejects "%s", which only Object.prototype has', (startNode) => {
+        const error = `Node "${startNode}" not found in graph`;
+        expect(runDetection(graphData, startNode)).toEqual({ found: false, error });
+        expect(findAllCycles(graphData, startNode)).toEqual({ found: false, cycles: [], truncated: false, error });
+        expect(runDetectionWithSteps(graphData, startNode).error).toBe(error);
+        expect(removeCycles(graphData, startNode)).toMatchObject({ safeGraph: graphData, removedEdges: [] });
+    });
+
+    it('accepts "constructor" when the graph declares it', () => {
+        const declared = JSON.parse('{"constructor":["toString"],"toString":["constructor"]}');
+        expect(runDetection(declared, 'constructor').loopPath).toEqual(['constructor', 'toString', 'constructor']);
+        expect(findAllCycles(declared, 'constructor').cycles).toEqual([['constructor', 'toString', 'constructor']]);
+    });
+});
+
+describe('findStronglyConnectedComponents', () => {
+    it('groups loops into components listed in topological order', () => {
+        const { components, componentOf, condensed, cyclic } = findStronglyConnectedComponents({
+            1: ['2'], 2: ['3'], 3: ['2', '4'], 4: ['4', '5']
+        });
+        expect(components).toEqual([['1'], ['2', '3'], ['4'], ['5']]);
+        expect(componentOf).toEqual({ 1: 0, 2: 1, 3: 1, 4: 2, 5: 3 });
+        expect(condensed).toEqual({ 0: [1], 1: [2], 2: [3], 3: [] });
+        // A self-loop makes a single node cyclic
+        expect(cyclic).toEqual([false, true, true, false]);
+    });
+
+    it('condenses every graph into a DAG', () => {
+        fc.assert(fc.property(graphArbitrary, (graphData) => {
+            const { components, componentOf, condensed, cyclic } = findStronglyConnectedComponents(graphData);
+            expect(components.flat().sort()).toEqual([...new Set(Object.keys(componentOf))].sort());
+            Object.entries(condensed).forEach(([from, targets]) => targets.forEach(to => expect(to).toBeGreaterThan(Number(from))));
+            expect(cyclic.some(Boolean)).toBe(runDetection(graphData, ALL_NODES).found);
+        }));
+    });
+});
+
+describe('findAllCycles', () => {
+    const closedPaths = (cycles) => cycles.map(path => path.join(',')).sort();
+
+    it('finds all 20 circuits of the complete 4-node digraph', () => {
+        const nodes = ['1', '2', '3', '4'];
+        const graphData = Object.fromEntries(nodes.map(node => [node, nodes.filter(other => other !== node)]));
+        const { found, cycles, truncated } = findAllCycles(graphData, ALL_NODES);
+        expect(found).toBe(true);
+        expect(truncated).toBe(false);
+        // 6 two-node + 8 three-node + 6 four-node circuits
+        expect(cycles).toHaveLength(20);
+        expect(new Set(cycles.map(path => path.join(','))).size).toBe(20);
+    });
+
+    it('stops at maxCycles and reports the enumeration as truncated', () => {
+        const nodes = ['1', '2', '3', '4'];
+        const graphData = Object.fromEntries(nodes.map(node => [node, nodes.filter(other => other !== node)]));
+        const { cycles, truncated } = findAllCycles(graphData, ALL_NODES, { maxCycles: 5 });
+        expect(cycles).toHaveLength(5);
+        expect(truncated).toBe(true);
+        expect(findAllCycles(graphData, ALL_NODES, { maxCycles: 20 }).truncated).toBe(true);
+        expect(findAllCycles(graphData, ALL_NODES, { maxCycles: 21 }).truncated).toBe(false);
+    });
+
+    it('reports a self-loop as a one-node circuit', () => {
+        expect(findAllCycles({ 1: ['1', '2'], 2: [] }, '1').cycles).toEqual([['1', '1']]);
+    });
+
+    it('counts duplicate edges once', () => {
+        expect(findAllCycles({ a: ['b', 'b'], b: ['a', 'a'] }, ALL_NODES).cycles).toEqual([['a', 'b', 'a']]);
+    });
+
+    it('reports each of two disjoint loops once', () => {
+        const graphData = { 1: ['2'], 2: ['1'], 3: ['4'], 4: ['3', '4'] };
+        expect(closedPaths(findAllCycles(graphData, ALL_NODES).cycles)).toEqual(['1,2,1', '3,4,3', '4,4']);
+        expect(findAllCycles(graphData, '1').cycles).toEqual([['1', '2', '1']]);
+    });
+
+    it('reports an unknown start node', () => {
+        expect(findAllCycles({ 1: [] }, '2')).toEqual({ found: false, cycles: [], truncated: false, error: 'Node "2" not found in graph' });
+    });
+
+    it('only reports distinct closed paths over input edges', () => {
+        fc.assert(fc.property(graphArbitrary, (graphData) => {
+            const input = edgeKeys(graphData);
+            const { found, cycles } = findAllCycles(graphData, ALL_NODES, { maxCycles: Infinity });
+            expect(found).toBe(runDetection(graphData, ALL_NODES).found);
+            cycles.forEach(path => {
+                expect(path.at(-1)).toBe(path[0]);
+                expect(new Set(path.slice(0, -1)).size).toBe(path.length - 1);
+                path.slice(0, -1).forEach((source, i) => expect(input.has(edgeKey(source, path[i + 1]))).toBe(true));
+            });
+            // A rotation of a circuit is the same circuit
+            const canonical = cycles.map(path => {
+                const ring = path.slice(0, -1);
+                return ring.map((_, i) => [...ring.slice(i), ...ring.slice(0, i)].join(',')).sort()[0];
+            });
+            expect(new Set(canonical).size).toBe(cycles.length);
+        }));
+    });
+});
+
+describe('removeCycles properties', () => {
+    const strategies = fc.constantFrom(...Object.values(FIX_STRATEGIES));
+
+    it('always returns an acyclic graph', () => {
+        fc.assert(fc.property(graphArbitrary, strategies, (graphData, strategy) => {
+            const { safeGraph } = removeCycles(graphData, ALL_NODES, { strategy });
+            expect(runDetection(safeGraph, ALL_NODES).found).toBe(false);
+        }));
+    });
+
+    it('leaves no cycle reachable from the start node', () => {
+        fc.assert(fc.property(graphArbitrary, strategies, (graphData, strategy) => {
+            const { safeGraph } = removeCycles(graphData, '0', { strategy });
+            expect(runDetection(safeGraph, '0').found).toBe(false);
+        }));
+    });
+
+    it('only drops edges from the input', () => {
+        fc.assert(fc.property(graphArbitrary, strategies, (graphData, strategy) => {
+            const { safeGraph, removedEdges } = removeCycles(graphData, ALL_NODES, { strategy });
+            const input = edgeKeys(graphData);
+            const kept = edgeKeys(safeGraph);
+
+            kept.forEach(key => expect(input.has(key)).toBe(true));
+            removedEdges.forEach(({ source, target }) => {
+                expect(input.has(edgeKey(source, target))).toBe(true);
+                expect(kept.has(edgeKey(source, target))).toBe(false);
+            });
+            input.forEach(key => expect(kept.has(key) || removedEdges.some(edge => edgeKey(edge.source, edge.target) === key)).toBe(true));
+        }));
+    });
+
+    it('removes preferred edges before resolving the rest', () => {
+        fc.assert(fc.property(graphArbitrary, strategies, (graphData, strategy) => {
+            const preferred = [...edgeKeys(graphData)].reverse();
+            const { safeGraph, removedEdges } = removeCycles(graphData, ALL_NODES, { strategy, preferred });
+            expect(runDetection(safeGraph, ALL_NODES).found).toBe(false);
+            const firstOther = removedEdges.findIndex(edge => !edge.preferred);
+            if (firstOther >= 0) expect(removedEdges.slice(firstOther).some(edge => edge.preferred)).toBe(false);
+        }));
+    });
+
+    it('never removes more than the DFS strategy when the minimum is exact', () => {
+        fc.assert(fc.property(graphArbitrary, (graphData) => {
+            const minimum = removeCycles(graphData, ALL_NODES, { strategy: FIX_STRATEGIES.MINIMUM });
+            const dfs = removeCycles(graphData, ALL_NODES, { strategy: FIX_STRATEGIES.DFS });
+            if (minimum.exact) expect(minimum.cost).toBeLessThanOrEqual(dfs.cost);
+        }));
+    });
+});
+
+describe('removeCycles minimum strategy', () => {
+    const MINIMUM = { strategy: FIX_STRATEGIES.MINIMUM };
+
+    it('cuts the one edge shared by two loops', () => {
+        const graphData = { 1: ['2'], 2: ['3', '1'], 3: ['1'] };
+        expect(removeCycles(graphData, '1').removedEdges).toHaveLength(2);
+        expect(removeCycles(graphData, '1', MINIMUM)).toMatchObject({
+            removedEdges: [{ source: '1', target: '2' }],
+            cost: 1,
+            exact: true,
+            resolved: true
+        });
+    });
+
+    it('avoids expensive edges', () => {
+        const { removedEdges, cost } = removeCycles({ a: ['b'], b: ['a'] }, ALL_NODES, { ...MINIMUM, weights: { 'a->b': 5 } });
+        expect(removedEdges).toEqual([{ source: 'b', target: 'a', region: 0 }]);
+        expect(cost).toBe(1);
+    });
+
+    it('falls back to the heuristic above EXACT_FAS_LIMIT nodes', () => {
+        const size = EXACT_FAS_LIMIT + 4;
+        const ring = Object.fromEntries(Array.from({ length: size }, (_, i) => [String(i), [String((i + 1) % size)]]));
+        const { safeGraph, removedEdges, exact } = removeCycles(ring, ALL_NODES, MINIMUM);
+        expect(exact).toBe(false);
+        expect(removedEdges).toHaveLength(1);
+        expect(runDetection(safeGraph, ALL_NODES).found).toBe(false);
+    });
+});
+
+describe('removeCycles locks', () => {
+    it.each(Object.values(FIX_STRATEGIES))('never removes a locked edge (%s)', (strategy) => {
+        const { safeGraph, removedEdges, resolved } = removeCycles({ 1: ['2'], 2: ['3'], 3: ['1'] }, '1', {
+            strategy,
+            locked: { edges: ['3->1', '2->3'] }
+        });
+        expect(removedEdges).toEqual([{ source: '1', target: '2' }]);
+        expect(resolved).toBe(true);
+        expect(runDetection(safeGraph, ALL_NODES).found).toBe(false);
+    });
+
+    it.each(Object.values(FIX_STRATEGIES))('reports a loop of locked edges as unresolvable (%s)', (strategy) => {
+        const graphData = { 1: ['2'], 2: ['1', '3'], 3: ['2'] };
+        const { safeGraph, removedEdges, conflicts, resolved } = removeCycles(graphData, '1', {
+            strategy,
+            locked: { edges: ['1->2', '2->1'] }
+        });
+        expect(resolved).toBe(false);
+        expect(conflicts).toEqual([{
+            members: ['1', '2'],
+            loopPath: ['1', '2', '1'],
+            explanation: 'Loop 1 → 2 → 1 cannot be resolved: edge 1->2 is locked, edge 2->1 is locked.'
+        }]);
+        // The unlocked loop is still broken
+        expect(removedEdges).toHaveLength(1);
+        expect(safeGraph[1]).toEqual(['2']);
+        expect(safeGraph[2]).toContain('1');
+    });
+
+    it('explains loops held by locked nodes', () => {
+        const { conflicts } = removeCycles({ a: ['b'], b: ['a'] }, ALL_NODES, { locked: { nodes: ['a'], edges: ['b->a'] } });
+        expect(conflicts.map(conflict => conflict.explanation)).toEqual(['Loop a → b → a cannot be resolved: node a is locked, edge b->a is locked.']);
+    });
+});
+
+describe('removeCycles preferred edges', () => {
+    it('takes a preferred edge instead of the back-edge the DFS meets', () => {
+        const graphData = { 1: [2], 2: [3], 3: [1] };
+        expect(removeCycles(graphData, ALL_NODES).removedEdges).toEqual([{ source: '3', target: '1', region: 0 }]);
+        const { removedEdges } = removeCycles(graphData, ALL_NODES, { preferred: ['1->2'] });
+        expect(removedEdges).toEqual([{ source: '1', target: '2', region: 0, preferred: true }]);
+    });
+
+    it('keeps preferred edges that no longer close a loop, and locked ones', () => {
+        const graphData = { 1: [2], 2: [1, 3], 3: [2] };
+        const { removedEdges } = removeCycles(graphData, '1', {
+            strategy: FIX_STRATEGIES.MINIMUM,
+            preferred: ['2->3', '1->2', '2->1', '9->1'],
+            locked: { edges: ['2->3'] }
+        });
+        expect(removedEdges).toEqual([
+            { source: '1', target: '2', preferred: true },
+            { source: '3', target: '2' }
+        ]);
+    });
+});
+
+describe('topologicalSort', () => {
+    it('orders dependencies first and groups independent nodes into levels', () => {
+        expect(topologicalSort({ 1: ['2', '3'], 2: ['4'], 3: ['4'], 4: [], 5: ['4'] })).toEqual({
+            acyclic: true,
+            order: ['4', '2', '3', '1', '5'],
+            levels: [['4'], ['2', '3', '5'], ['1']],
+            remaining: []
+        });
+    });
+
+    it('leaves nodes on or behind a loop unordered', () => {
+        expect(topologicalSort({ 1: ['2'], 2: ['1'], 3: ['1'], 4: [] })).toEqual({
+            acyclic: false,
+            order: ['4'],
+            levels: [['4']],
+            remaining: ['1', '2', '3']
+        });
+    });
+
+    it('puts every node after what it points to once the graph is fixed', () => {
+        fc.assert(fc.property(graphArbitrary, (graphData) => {
+            const { safeGraph } = removeCycles(graphData, ALL_NODES);
+            const { acyclic, order, levels } = topologicalSort(safeGraph);
+            expect(acyclic).toBe(true);
+            const position = new Map(order.map((node, index) => [node, index]));
+            const level = new Map(levels.flatMap((nodes, index) => nodes.map(node => [node, index])));
+            Object.entries(safeGraph).forEach(([source, targets]) => targets.forEach(target => {
+                expect(position.get(String(target))).toBeLessThan(position.get(source));
+                expect(level.get(String(target))).toBeLessThan(level.get(source));
+            }));
+        }));
+    });
+});
+
+describe('explicit-stack traversals', () => {
+    // runDetectionWithSteps as it was written before it got an explicit stack, reduced to
+    // what each step records: action, node and the path at that point
+    const recursiveSteps = (graphData, startNode) => {
+        const visited = new Set();
+        const recursionStack = new Set();
+        const pathStack = [];
+        const steps = [];
+        const capture = (action, node) => steps.push(`${action} ${node} [${pathStack.join(',')}]`);
+
+        const dfs = (node) => {
+            capture(ACTION_TYPES.ENTER_NODE, node);
+            capture(ACTION_TYPES.CHECK_IN_STACK, node);
+            if (recursionStack.has(node)) {
+                capture(ACTION_TYPES.CYCLE_FOUND, node);
+                capture(ACTION_TYPES.SKIP_CYCLE, node);
+                return;
+            }
+            capture(ACTION_TYPES.CHECK_VISITED, node);
+            if (visited.has(node)) {
+                capture(ACTION_TYPES.SKIP_VISITED, node);
+                return;
+            }
+            recursionStack.add(node);
+            pathStack.push(node);
+            capture(ACTION_TYPES.ADD_TO_STACK, node);
+            for (const neighbor of graphData[node] || []) {
+                capture(ACTION_TYPES.EXPLORE_NEIGHBOR, node);
+                dfs(String(neighbor));
+            }
+            capture(ACTION_TYPES.BACKTRACK, node);
+            recursionStack.delete(node);
+            pathStack.pop();
+            visited.add(node);
+            capture(ACTION_TYPES.MARK_SAFE, node);
+        };
+
+        capture(ACTION_TYPES.START, startNode);
+        dfs(startNode);
+        capture(ACTION_TYPES.COMPLETE, startNode);
+        return steps;
+    };
+
+    const iterativeSteps = (graphData, startNode) => {
+        const recording = runDetectionWithSteps(graphData, startNode, { maxSteps: Infinity });
+        return recording.steps.map((step, index) => `${step.action} ${step.node} [${restoreStepState(recording, index).pathStack.join(',')}]`);
+    };
+
+    it.each(Object.keys(TEST_CASES))('records the steps of the recursive version for %s', (id) => {
+        const { graphData, startNode } = parseCase(id);
+        expect(iterativeSteps(graphData, startNode)).toEqual(recursiveSteps(graphData, startNode));
+    });
+
+    it('records the steps of the recursive version on any graph', () => {
+        fc.assert(fc.property(graphArbitrary, (graphData) => {
+            expect(iterativeSteps(graphData, '0')).toEqual(recursiveSteps(graphData, '0'));
+        }));
+    });
+
+    describe('on a 100k node chain', () => {
+        const SIZE = 100000;
+        const chain = (closed) => Object.fromEntries(Array.from({ length: SIZE }, (_, i) => [
+            String(i),
+            i + 1 < SIZE ? [String(i + 1)] : closed ? ['0'] : []
+        ]));
+
+        it('detects, sorts and condenses without overflowing the stack', () => {
+            const graphData = chain(false);
+            expect(runDetection(graphData, '0').found).toBe(false);
+            expect(topologicalSort(graphData).order).toHaveLength(SIZE);
+            expect(findStronglyConnectedComponents(graphData).components).toHaveLength(SIZE);
+        });
+
+        it('finds and removes the loop closing the chain', () => {
+            const graphData = chain(true);
+            const analysis = runDetection(graphData, '0');
+            expect(analysis.loopPath).toHaveLength(SIZE + 1);
+            const { cycles } = findAllCycles(graphData, '0');
+            expect(cycles.map(cycle => cycle.length)).toEqual([SIZE + 1]);
+
+            const { removedEdges, safeGraph } = removeCycles(graphData, '0');
+            expect(removedEdges).toEqual([{ source: String(SIZE - 1), target: '0' }]);
+            expect(runDetection(safeGraph, ALL_NODES).found).toBe(false);
+        });
+
+        it('records every step down the chain and back', () => {
+            const recording = runDetectionWithSteps(chain(true), '0', { maxSteps: Infinity });
+            expect(recording.truncated).toBe(false);
+            expect(recording.found).toBe(true);
+            expect(recording.skippedEdges).toEqual([{ source: String(SIZE - 1), target: '0' }]);
+            expect(restoreStepState(recording, recording.steps.findIndex(step => step.action === ACTION_TYPES.CYCLE_FOUND)).pathStack).toHaveLength(SIZE);
+        });
+    });
+});
+
+describe('findExternalNodes', () => {
+    it('lists referenced but undeclared nodes with their referrers', () => {
+        const { graphData } = parseCase('patlytics_edge');
+        expect(findExternalNodes(graphData)).toEqual([
+            { id: '4', referencedBy: ['2'] },
+            { id: '7', referencedBy: ['1'] }
+        ]);
+        expect(findExternalNodes(parseCase('no_cycle').graphData)).toEqual([]);
+    });
+
+    it('is treated as a leaf by the detection', () => {
+        expect(runDetection({ 1: ['2'], 2: ['9'] }, ALL_NODES).found).toBe(false);
+        expect(topologicalSort({ 1: ['9'] }).order).toEqual(['9', '1']);
+    });
+});
+
+describe('pathHasEdge', () => {
+    it('matches edges anywhere along the path', () => {
+        const loopPath = ['1', '2', '3', '1'];
+        expect(pathHasEdge(loopPath, '1', '2')).toBe(true);
+        expect(pathHasEdge(loopPath, '3', '1')).toBe(true);
+        expect(pathHasEdge(loopPath, '2', '1')).toBe(false);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Graph Diff
+ *
+ * Compares two versions of an adjacency list, for example the original graph and
+ * the one a fix produced: which nodes and edges were added or removed, and which
+ * loops each of those edge changes introduced or eliminated.
+ */
+import { DEFAULT_MAX_CYCLES, compareNodeIds, edgeKey, pathHasEdge } from './cycleDetection.js';
+import { buildAdjacency } from './graphModel.js';
+import { findAllPaths } from './graphQueries.js';
+
+export const DIFF_STATUS = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    UNCHANGED: 'unchanged'
+};
+
+// Nodes and unique edges of a version, keyed for mergeStatus, in adjacency list order
+const graphItems = (graphData) => {
+    const { outgoing } = buildAdjacency(graphData);
+    const nodes = new Map([...outgoing.keys()].map(id => [id, { id }]));
+    const edges = new Map([...outgoing].flatMap(([source, targets]) => targets.map(target => [edgeKey(source, target), { source, target }])));
+    return { nodes, edges };
+};
+
+// Loops are the same whichever of their nodes a search happened to start from,
+// so each is written from its lowest node
+const canonicalCycle = (path) => {
+    const ring = path.slice(0, -1);
+    const start = ring.reduce((lowest, id, i) => (compareNodeIds(id, ring[lowest]) < 0 ? i : lowest), 0);
+    const rotated = [...ring.slice(start), ...ring.slice(0, start)];
+    return [...rotated, rotated[0]];
+};
+
+// Union of both versions: everything in before first, then what only after has
+const mergeStatus = (beforeItems, afterItems) => [
+    ...[...beforeItems].map(([key, item]) => ({ ...item, status: afterItems.has(key) ? DIFF_STATUS.UNCHANGED : DIFF_STATUS.REMOVED })),
+    ...[...afterItems].filter(([key]) => !beforeItems.has(key)).map(([, item]) => ({ ...item, status: DIFF_STATUS.ADDED }))
+];
+
+/**
+ * Compare two graph versions
+ * @param {Object} before - Adjacency list of the older version
+ * @param {Object} after - Adjacency list of the newer version
+ * @param {Object} [options] - { maxCycles: loops enumerated in total, onProgress: reported once per changed edge }
+ * @returns {Object} - {
+ *   nodes: [{ id, status }], edges: [{ source, target, status }] - both versions merged, status a DIFF_STATUS value,
+ *   addedNodes, removedNodes: string[], addedEdges, removedEdges: [{ source, target }],
+ *   introducedCycles, eliminatedCycles: string[][] - loops only in after / only in before,
+ *   changes: [{ source, target, status, cycles }] - each added or removed edge with the loops it introduced or eliminated,
+ *   truncated: whether more than maxCycles loops run through the changed edges; the lists
+ *     then hold the first maxCycles of them, and every loop listed is still a real change
+ * }
+ */
+export const diffGraphs = (before, after, { maxCycles = DEFAULT_MAX_CYCLES, onProgress } = {}) => {
+    const beforeItems = graphItems(before);
+    const afterItems = graphItems(after);
+    const nodes = mergeStatus(beforeItems.nodes, afterItems.nodes);
+    const edges = mergeStatus(beforeItems.edges, afterItems.edges);
+
+    const withStatus = (items, status) => items.filter(item => item.status === status);
+    const changedEdges = edges.filter(edge => edge.status !== DIFF_STATUS.UNCHANGED);
+
+    // A loop in only one version runs through an edge that version alone has, so the
+    // loops a change made or broke are the paths back from its target to its source.
+    // Edges already searched are taken out, so a loop through several changes is found once.
+    let budget = maxCycles;
+    let truncated = false;
+    let searched = 0;
+    const loopsThrough = (graphData, status) => {
+        const remaining = Object.fromEntries(Object.entries(graphData).map(([source, targets]) => [source, targets.map(String)]));
+        const loops = [];
+        for (const { source, target } of withStatus(changedEdges, status)) {
+            if (truncated) break;
+            const { paths, truncated: more } = findAllPaths(remaining, target, source, { maxPaths: budget });
+            paths.forEach(path => loops.push(canonicalCycle([source, ...path])));
+            budget -= paths.length;
+            truncated = more;
+            remaining[source] = remaining[source].filter(neighbor => neighbor !== target);
+            if (onProgress) onProgress(++searched, changedEdges.length);
+        }
+        return loops;
+    };
+    const introducedCycles = loopsThrough(after, DIFF_STATUS.ADDED);
+    const eliminatedCycles = loopsThrough(before, DIFF_STATUS.REMOVED);
+
+    const endpoints = ({ source, target }) => ({ source, target });
+    const changes = changedEdges
+        .map(edge => ({
+            ...edge,
+            cycles: (edge.status === DIFF_STATUS.ADDED ? introducedCycles : eliminatedCycles)
+                .filter(path => pathHasEdge(path, edge.source, edge.target))
+        }));
+
+    return {
+        nodes,
+        edges,
+        addedNodes: withStatus(nodes, DIFF_STATUS.ADDED).map(node => node.id),
+        removedNodes: withStatus(nodes, DIFF_STATUS.REMOVED).map(node => node.id),
+        addedEdges: withStatus(edges, DIFF_STATUS.ADDED).map(endpoints),
+        removedEdges: withStatus(edges, DIFF_STATUS.REMOVED).map(endpoints),
+        introducedCycles,
+        eliminatedCycles,
+        changes,
+        truncated
+    };
+};
+
+/**
+ * Both versions in one adjacency list, for laying out the diff: every node and edge of either
+ * @param {Object} before - Adjacency list
+ * @param {Object} after - Adjacency list
+ * @returns {Object}
+ */
+export const mergeGraphs = (before, after) => {
+    const merged = {};
+    [before, after].forEach(graphData => Object.entries(graphData).forEach(([source, targets]) => {
+        merged[source] = [...new Set([...(merged[source] || []), ...targets.map(String)])];
+    }));
+    return merged;
+};
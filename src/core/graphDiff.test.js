@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { TEST_CASES } from '../testCases';
+import { ALL_NODES, removeCycles } from './cycleDetection';
+import { DIFF_STATUS, diffGraphs, mergeGraphs } from './graphDiff';
+
+describe('diffGraphs', () => {
+    it('marks nodes and edges of either version', () => {
+        const diff = diffGraphs({ 1: [2], 2: [3] }, { 1: [2, 4], 4: [] });
+        expect(diff.nodes).toEqual([
+            { id: '1', status: DIFF_STATUS.UNCHANGED },
+            { id: '2', status: DIFF_STATUS.UNCHANGED },
+            { id: '3', status: DIFF_STATUS.REMOVED },
+            { id: '4', status: DIFF_STATUS.ADDED }
+        ]);
+        expect(diff.addedEdges).toEqual([{ source: '1', target: '4' }]);
+        expect(diff.removedEdges).toEqual([{ source: '2', target: '3' }]);
+        expect(diff.edges.find(edge => edge.source === '1' && edge.target === '2').status).toBe(DIFF_STATUS.UNCHANGED);
+    });
+
+    it('treats duplicate and numeric neighbors as one edge', () => {
+        const diff = diffGraphs({ 1: [2, '2'] }, { 1: ['2'] });
+        expect(diff.edges).toEqual([{ source: '1', target: '2', status: DIFF_STATUS.UNCHANGED }]);
+        expect(diff.changes).toEqual([]);
+    });
+
+    it('ties loops to the changes that introduced or eliminated them', () => {
+        const diff = diffGraphs({ a: ['b'], b: ['a'], c: [] }, { a: ['b'], b: ['c'], c: ['a'] });
+        expect(diff.eliminatedCycles).toEqual([['a', 'b', 'a']]);
+        expect(diff.introducedCycles).toEqual([['a', 'b', 'c', 'a']]);
+        expect(diff.changes).toEqual([
+            { source: 'b', target: 'a', status: DIFF_STATUS.REMOVED, cycles: [['a', 'b', 'a']] },
+            { source: 'b', target: 'c', status: DIFF_STATUS.ADDED, cycles: [['a', 'b', 'c', 'a']] },
+            { source: 'c', target: 'a', status: DIFF_STATUS.ADDED, cycles: [['a', 'b', 'c', 'a']] }
+        ]);
+    });
+
+    it('recognizes a loop that is found from a different node', () => {
+        const diff = diffGraphs({ 1: [2], 2: [3], 3: [1] }, { 0: [2], 2: [3], 3: [1], 1: [2] });
+        expect(diff.introducedCycles).toEqual([]);
+        expect(diff.eliminatedCycles).toEqual([]);
+    });
+
+    it('only searches the loops through changed edges', () => {
+        // 20 loops among 1-4 stay as they are; the one change breaks the loop 5 → 6 → 5
+        const complete = Object.fromEntries(['1', '2', '3', '4'].map(node => [node, ['1', '2', '3', '4'].filter(other => other !== node)]));
+        const diff = diffGraphs({ ...complete, 5: ['6'], 6: ['5'] }, { ...complete, 5: ['6'], 6: [] }, { maxCycles: 3 });
+        expect(diff.eliminatedCycles).toEqual([['5', '6', '5']]);
+        expect(diff.introducedCycles).toEqual([]);
+        expect(diff.truncated).toBe(false);
+    });
+
+    it('lists only real changes when there are more than maxCycles of them', () => {
+        const before = { hub: ['a', 'b', 'c'], a: ['hub'], b: ['hub'], c: ['hub'] };
+        const diff = diffGraphs(before, { ...before, hub: [] }, { maxCycles: 2 });
+        expect(diff.truncated).toBe(true);
+        expect(diff.eliminatedCycles).toEqual([['a', 'hub', 'a'], ['b', 'hub', 'b']]);
+        expect(diff.changes.flatMap(change => change.cycles)).toEqual(diff.eliminatedCycles);
+        expect(diffGraphs(before, { ...before, hub: [] }, { maxCycles: 3 }).truncated).toBe(false);
+    });
+
+    it('finds a loop through several changes once', () => {
+        const diff = diffGraphs({ 1: [], 2: [], 3: ['1'] }, { 1: ['2'], 2: ['3'], 3: ['1'] });
+        expect(diff.introducedCycles).toEqual([['1', '2', '3', '1']]);
+        expect(diff.changes.map(change => change.cycles)).toEqual([[['1', '2', '3', '1']], [['1', '2', '3', '1']]]);
+    });
+
+    it.each(Object.keys(TEST_CASES))('lists every loop of %s as eliminated by the fix', (id) => {
+        const graphData = JSON.parse(TEST_CASES[id].data);
+        const { safeGraph, removedEdges } = removeCycles(graphData, ALL_NODES);
+        const diff = diffGraphs(graphData, safeGraph);
+        expect(diff.addedEdges).toEqual([]);
+        expect(diff.removedEdges).toHaveLength(new Set(removedEdges.map(edge => `${edge.source}->${edge.target}`)).size);
+        expect(diff.introducedCycles).toEqual([]);
+        if (!diff.truncated) {
+            diff.eliminatedCycles.forEach(path => {
+                expect(diff.changes.some(change => change.cycles.includes(path))).toBe(true);
+            });
+        }
+    });
+});
+
+describe('mergeGraphs', () => {
+    it('keeps every edge of both versions once', () => {
+        expect(mergeGraphs({ 1: [2], 2: [] }, { 1: ['2', 3], 3: [1] })).toEqual({ 1: ['2', '3'], 2: [], 3: ['1'] });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Graph Editing
+ *
+ * Immutable edits on an adjacency list, used by the canvas editor. Every function
+ * returns a new graph with string neighbor ids and leaves its input untouched;
+ * nodes that an edit touches are declared as keys. Typed graphs (see graphModel)
+ * keep their node attributes and edge objects.
+ */
+import { DEFAULT_EDGE_TYPE, entryTarget, entryType, neighborEntries, withNeighbors } from './graphModel.js';
+
+/**
+ * Edit that cannot be applied, such as a duplicate or empty node id
+ */
+export class GraphEditError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GraphEditError';
+    }
+}
+
+const copyEntry = (entry) => (typeof entry === 'object' ? { ...entry, target: String(entry.target) } : String(entry));
+
+// Rewrite every node's edge entries with edit(node, entries)
+const mapEntries = (graphData, edit) => Object.fromEntries(
+    Object.entries(graphData).map(([node, value]) => [node, withNeighbors(value, edit(node, neighborEntries(value).map(copyEntry)))])
+);
+
+const copyGraph = (graphData) => mapEntries(graphData, (_, entries) => entries);
+
+const nodeIds = (graphData) => new Set([
+    ...Object.keys(graphData),
+    ...Object.values(graphData).flatMap(value => neighborEntries(value).map(entryTarget))
+]);
+
+const hasNode = (graphData, id) => Object.hasOwn(graphData, id)
+    || Object.values(graphData).some(value => neighborEntries(value).some(entry => entryTarget(entry) === id));
+
+const checkNewId = (graphData, id) => {
+    if (id === '') throw new GraphEditError('Node id cannot be empty');
+    if (hasNode(graphData, id)) throw new GraphEditError(`Node "${id}" already exists`);
+};
+
+/**
+ * First free id: one past the largest number when every id is numeric, otherwise "N1", "N2", …
+ * @param {Object} graphData - Adjacency list
+ * @returns {string}
+ */
+export const nextNodeId = (graphData) => {
+    const ids = nodeIds(graphData);
+    if ([...ids].every(id => /^\d+$/.test(id))) {
+        return String([...ids].reduce((max, id) => Math.max(max, Number(id)), 0) + 1);
+    }
+    let counter = 1;
+    while (ids.has(`N${counter}`)) counter++;
+    return `N${counter}`;
+};
+
+/**
+ * Declare a node; an external (referenced only) node becomes a declared one
+ * @param {Object} graphData - Adjacency list
+ * @param {string} id
+ * @returns {Object}
+ */
+export const addNode = (graphData, id) => {
+    const nodeId = String(id).trim();
+    if (nodeId === '') throw new GraphEditError('Node id cannot be empty');
+    if (Object.hasOwn(graphData, nodeId)) throw new GraphEditError(`Node "${nodeId}" already exists`);
+    return { ...copyGraph(graphData), [nodeId]: [] };
+};
+
+/**
+ * Remove a node and every edge into it
+ * @param {Object} graphData - Adjacency list
+ * @param {string} id
+ * @returns {Object}
+ */
+export const removeNode = (graphData, id) => Object.fromEntries(
+    Object.entries(mapEntries(graphData, (_, entries) => entries.filter(entry => entryTarget(entry) !== id)))
+        .filter(([node]) => node !== id)
+);
+
+/**
+ * Add the citation source → target unless it already exists; both ends are declared
+ * @param {Object} graphData - Adjacency list
+ * @param {string} source
+ * @param {string} target
+ * @returns {Object}
+ */
+export const addEdge = (graphData, source, target) => {
+    const graph = copyGraph(graphData);
+    graph[source] ??= [];
+    graph[target] ??= [];
+    const entries = neighborEntries(graph[source]);
+    if (!entries.some(entry => entryTarget(entry) === target && entryType(entry) === DEFAULT_EDGE_TYPE)) {
+        graph[source] = withNeighbors(graph[source], [...entries, target]);
+    }
+    return graph;
+};
+
+/**
+ * Remove every copy of source → target
+ * @param {Object} graphData - Adjacency list
+ * @param {string} source
+ * @param {string} target
+ * @param {string} [type] - Only remove edges of this type
+ * @returns {Object}
+ */
+export const removeEdge = (graphData, source, target, type) => mapEntries(graphData, (node, entries) => (
+    node === source
+        ? entries.filter(entry => entryTarget(entry) !== target || (type !== undefined && entryType(entry) !== type))
+        : entries
+));
+
+/**
+ * Rename a node everywhere it appears, keeping the position of its key
+ * @param {Object} graphData - Adjacency list
+ * @param {string} from - Current id
+ * @param {string} to - New id, trimmed; must not be in use
+ * @returns {Object}
+ */
+export const renameNode = (graphData, from, to) => {
+    const newId = String(to).trim();
+    if (newId === from) return copyGraph(graphData);
+    checkNewId(graphData, newId);
+    const rename = (id) => (id === from ? newId : id);
+    const renamed = mapEntries(graphData, (_, entries) => entries.map(entry => (
+        typeof entry === 'object' ? { ...entry, target: rename(entry.target) } : rename(entry)
+    )));
+    return Object.fromEntries(Object.entries(renamed).map(([node, value]) => [rename(node), value]));
+};
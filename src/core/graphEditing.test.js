@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { GraphEditError, addEdge, addNode, nextNodeId, removeEdge, removeNode, renameNode } from './graphEditing';
+
+describe('nextNodeId', () => {
+    it('continues numeric ids, external ones included', () => {
+        expect(nextNodeId({ 1: [2], 2: [7] })).toBe('8');
+        expect(nextNodeId({})).toBe('1');
+    });
+
+    it('falls back to the first free N id', () => {
+        expect(nextNodeId({ A: ['N1'], N2: [] })).toBe('N3');
+    });
+});
+
+describe('addNode', () => {
+    it('declares a new node and trims its id', () => {
+        expect(addNode({ 1: [2] }, ' 3 ')).toEqual({ 1: ['2'], 3: [] });
+    });
+
+    it('declares an external node', () => {
+        expect(addNode({ 1: [2] }, '2')).toEqual({ 1: ['2'], 2: [] });
+    });
+
+    it('rejects empty and declared ids', () => {
+        expect(() => addNode({ 1: [] }, '  ')).toThrow(GraphEditError);
+        expect(() => addNode({ 1: [] }, '1')).toThrow('Node "1" already exists');
+    });
+});
+
+describe('removeNode', () => {
+    it('removes the node and every edge into it', () => {
+        expect(removeNode({ 1: [2, 3], 2: [1], 3: [] }, '1')).toEqual({ 2: [], 3: [] });
+    });
+});
+
+describe('addEdge', () => {
+    it('declares both ends', () => {
+        expect(addEdge({ 1: [] }, '1', '2')).toEqual({ 1: ['2'], 2: [] });
+    });
+
+    it('skips an existing edge', () => {
+        expect(addEdge({ 1: [2], 2: [] }, '1', '2')).toEqual({ 1: ['2'], 2: [] });
+    });
+});
+
+describe('removeEdge', () => {
+    it('removes every copy of the edge only', () => {
+        expect(removeEdge({ 1: [2, 3, 2], 2: [1] }, '1', '2')).toEqual({ 1: ['3'], 2: ['1'] });
+        expect(removeEdge({ 1: [] }, '5', '1')).toEqual({ 1: [] });
+    });
+});
+
+describe('renameNode', () => {
+    it('renames keys and references in place', () => {
+        const renamed = renameNode({ a: ['b'], b: ['a'], c: ['b'] }, 'b', 'B');
+        expect(renamed).toEqual({ a: ['B'], B: ['a'], c: ['B'] });
+        expect(Object.keys(renamed)).toEqual(['a', 'B', 'c']);
+    });
+
+    it('keeps the graph when the id is unchanged', () => {
+        expect(renameNode({ 1: [2] }, '1', ' 1 ')).toEqual({ 1: ['2'] });
+    });
+
+    it('rejects empty ids and ids in use', () => {
+        expect(() => renameNode({ 1: [2] }, '1', '')).toThrow(GraphEditError);
+        expect(() => renameNode({ 1: [2] }, '1', '2')).toThrow('Node "2" already exists');
+    });
+});
+
+describe('typed graphs', () => {
+    const typed = {
+        1: { title: 'Widget', edges: ['2', { target: '2', type: 'family' }] },
+        2: { title: 'Gadget' }
+    };
+
+    it('keep attributes and edge objects through every edit', () => {
+        expect(addEdge(typed, '2', '1')).toEqual({ ...typed, 2: { title: 'Gadget', edges: ['1'] } });
+        expect(removeNode(typed, '2')).toEqual({ 1: { title: 'Widget', edges: [] } });
+        expect(renameNode(typed, '2', 'B')).toEqual({
+            1: { title: 'Widget', edges: ['B', { target: 'B', type: 'family' }] },
+            B: { title: 'Gadget' }
+        });
+    });
+
+    it('add a citation next to an edge of another type', () => {
+        const graph = { 1: [{ target: '2', type: 'family' }], 2: [] };
+        expect(addEdge(graph, '1', '2')).toEqual({ 1: [{ target: '2', type: 'family' }, '2'], 2: [] });
+    });
+
+    it('remove one edge type or all of them', () => {
+        expect(removeEdge(typed, '1', '2', 'family')[1].edges).toEqual(['2']);
+        expect(removeEdge(typed, '1', '2')[1].edges).toEqual([]);
+    });
+
+    it('count edge object targets as nodes', () => {
+        expect(nextNodeId({ 1: [{ target: '5' }] })).toBe('6');
+    });
+});
+
+it('never modifies its input', () => {
+    const graphData = { 1: [2], 2: [3] };
+    const snapshot = structuredClone(graphData);
+    addNode(graphData, '9');
+    removeNode(graphData, '2');
+    addEdge(graphData, '3', '1');
+    removeEdge(graphData, '1', '2');
+    renameNode(graphData, '1', 'X');
+    expect(graphData).toEqual(snapshot);
+});
@@ -0,0 +1,153 @@
+/**
+ * Graph Exporters
+ *
+ * Serialize adjacency lists and analysis results for tickets and data pipelines:
+ * JSON, CSV edge lists and Graphviz DOT for graphs, a patch-style diff of removed
+ * edges, and an analysis report as JSON or Markdown.
+ */
+import { edgeKey } from './cycleDetection.js';
+
+/**
+ * Adjacency list as formatted JSON, the format of the input textarea
+ * @param {Object} graphData - Adjacency list
+ * @returns {string}
+ */
+export const graphToJSON = (graphData) => `${JSON.stringify(graphData, null, 2)}\n`;
+
+const csvCell = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * "source,target" edge list; nodes without outgoing edges get a row with an empty target
+ * so that importing the file gives back the same graph
+ * @param {Object} graphData - Adjacency list
+ * @returns {string}
+ */
+export const graphToCSV = (graphData) => {
+    const rows = ['source,target'];
+    for (const [source, targets] of Object.entries(graphData)) {
+        if (targets.length === 0) rows.push(`${csvCell(source)},`);
+        targets.forEach(target => rows.push(`${csvCell(source)},${csvCell(String(target))}`));
+    }
+    return `${rows.join('\n')}\n`;
+};
+
+// Quoted DOT id with backslashes and double quotes escaped, so that an id ending
+// in a backslash cannot swallow the closing quote
+const dotId = (id) => `"${String(id).replace(/[\\"]/g, '\\$&')}"`;
+
+/**
+ * Graphviz digraph; highlighted edges are drawn red and dashed
+ * @param {Object} graphData - Adjacency list
+ * @param {Object} [options] - { name, highlight: [{ source, target }] }
+ * @returns {string}
+ */
+export const graphToDOT = (graphData, { name = 'G', highlight = [] } = {}) => {
+    const highlighted = new Set(highlight.map(edge => edgeKey(edge.source, edge.target)));
+    const lines = [`digraph ${dotId(name)} {`];
+    for (const [source, targets] of Object.entries(graphData)) {
+        if (targets.length === 0) lines.push(`  ${dotId(source)};`);
+        targets.forEach(target => {
+            const style = highlighted.has(edgeKey(source, String(target))) ? ' [color="red", style="dashed"]' : '';
+            lines.push(`  ${dotId(source)} -> ${dotId(target)}${style};`);
+        });
+    }
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Patch-style diff of the nodes whose neighbor lists lost edges
+ * @param {Object} originalGraph - Adjacency list before the fix
+ * @param {Object} safeGraph - Adjacency list after the fix
+ * @returns {string} - Empty hunks are omitted; "" when nothing changed
+ */
+export const removedEdgesDiff = (originalGraph, safeGraph) => {
+    const hunks = [];
+    for (const [node, targets] of Object.entries(originalGraph)) {
+        const kept = (safeGraph[node] || []).map(String);
+        const removed = targets.map(String).filter(target => !kept.includes(target));
+        if (removed.length === 0) continue;
+        hunks.push(
+            `@@ ${JSON.stringify(node)} @@`,
+            ...removed.map(target => `- ${node} -> ${target}`),
+            `-${JSON.stringify(node)}: ${JSON.stringify(targets.map(String))}`,
+            `+${JSON.stringify(node)}: ${JSON.stringify(kept)}`
+        );
+    }
+    return hunks.length ? `--- original\n+++ safe\n${hunks.join('\n')}\n` : '';
+};
+
+/**
+ * Collect everything known about one analysis into a serializable report
+ * @param {Object} analysis - { graph, startNode, cycles, truncated, scc, fix?, generatedAt? }
+ *   scc is a findStronglyConnectedComponents result; fix is a removeCycles result plus the original graph
+ * @returns {Object} - Report with counts, cycles, cyclic components and the fix, if any
+ */
+export const buildAnalysisReport = ({ graph, startNode, cycles, truncated = false, scc, fix = null, generatedAt = new Date() }) => ({
+    generatedAt: generatedAt.toISOString(),
+    startNode,
+    nodeCount: scc.components.reduce((sum, members) => sum + members.length, 0),
+    edgeCount: Object.values(graph).reduce((sum, targets) => sum + targets.length, 0),
+    acyclic: cycles.length === 0,
+    cycles,
+    truncated,
+    stronglyConnectedComponents: {
+        total: scc.components.length,
+        cyclic: scc.components.filter((_, index) => scc.cyclic[index])
+    },
+    fix: fix && {
+        strategy: fix.strategy,
+        cost: fix.cost,
+        resolved: fix.resolved,
+        removedEdges: fix.removedEdges,
+        conflicts: fix.conflicts.map(conflict => ({ loopPath: conflict.loopPath, explanation: conflict.explanation })),
+        safeGraph: fix.safeGraph
+    }
+});
+
+/**
+ * @param {Object} report - buildAnalysisReport result
+ * @returns {string}
+ */
+export const reportToJSON = (report) => `${JSON.stringify(report, null, 2)}\n`;
+
+/**
+ * Human-readable report for tickets
+ * @param {Object} report - buildAnalysisReport result
+ * @returns {string}
+ */
+export const reportToMarkdown = (report) => {
+    const lines = [
+        '# Cycle Analysis Report',
+        '',
+        `- Generated: ${report.generatedAt}`,
+        `- Start node: ${report.startNode === null ? 'whole graph' : `\`${report.startNode}\``}`,
+        `- Nodes: ${report.nodeCount}, edges: ${report.edgeCount}`,
+        `- Result: ${report.acyclic ? 'PASS, no cycles found' : `FAIL, ${report.cycles.length}${report.truncated ? '+' : ''} cycle(s) found`}`,
+        '',
+        '## Cycles',
+        ''
+    ];
+    if (report.cycles.length === 0) lines.push('None.');
+    report.cycles.forEach((cycle, index) => lines.push(`${index + 1}. ${cycle.join(' → ')}`));
+    if (report.truncated) lines.push('', '_The cycle list was truncated at the configured limit._');
+
+    const { total, cyclic } = report.stronglyConnectedComponents;
+    lines.push('', '## Strongly Connected Components', '', `${total} component(s), ${cyclic.length} with a cycle.`);
+    if (cyclic.length > 0) lines.push('');
+    cyclic.forEach((members, index) => lines.push(`${index + 1}. {${members.join(', ')}}`));
+
+    lines.push('', '## Fix', '');
+    if (!report.fix) {
+        lines.push('No fix applied.');
+    } else {
+        lines.push(`Strategy \`${report.fix.strategy}\`, cost ${report.fix.cost}, ${report.fix.removedEdges.length} edge(s) removed:`, '');
+        if (report.fix.removedEdges.length === 0) lines.push('None.');
+        report.fix.removedEdges.forEach(edge => lines.push(`- \`${edge.source} → ${edge.target}\``));
+        if (report.fix.conflicts.length > 0) {
+            lines.push('', 'Unresolved locked cycles:', '');
+            report.fix.conflicts.forEach(conflict => lines.push(`- ${conflict.explanation}`));
+        }
+    }
+    return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import { TEST_CASES } from '../testCases';
+import { findStronglyConnectedComponents, removeCycles } from './cycleDetection';
+import { importDot, importEdgeList } from './graphImport';
+import {
+    buildAnalysisReport,
+    graphToCSV,
+    graphToDOT,
+    graphToJSON,
+    removedEdgesDiff,
+    reportToJSON,
+    reportToMarkdown
+} from './graphExport';
+
+// Importers declare every referenced node, so compare against the graph with external nodes added
+const withDeclaredTargets = (graphData) => {
+    const declared = Object.fromEntries(Object.entries(graphData).map(([node, targets]) => [node, targets.map(String)]));
+    Object.values(declared).flat().forEach(target => { declared[target] ??= []; });
+    return declared;
+};
+
+describe('graph exporters', () => {
+    describe.each(Object.keys(TEST_CASES))('%s', (id) => {
+        const graphData = JSON.parse(TEST_CASES[id].data);
+
+        it('round-trips through JSON', () => {
+            expect(JSON.parse(graphToJSON(graphData))).toEqual(graphData);
+        });
+
+        it('round-trips through CSV', () => {
+            expect(importEdgeList(graphToCSV(graphData)).graph).toEqual(withDeclaredTargets(graphData));
+        });
+
+        it('round-trips through DOT', () => {
+            expect(importDot(graphToDOT(graphData)).graph).toEqual(withDeclaredTargets(graphData));
+        });
+    });
+
+    it('quotes ids that need escaping', () => {
+        const graphData = { 'a,"b"': ['c\\d'], 'c\\d': [] };
+        expect(graphToCSV(graphData)).toBe('source,target\n"a,""b""",c\\d\nc\\d,\n');
+        expect(importDot(graphToDOT(graphData)).graph).toEqual(graphData);
+    });
+
+    it('round-trips ids with backslashes through DOT', () => {
+        const graphData = { 'a\\': ['b\\"c', '\\\\'], 'b\\"c': [], '\\\\': ['a\\'] };
+        expect(graphToDOT({ 'a\\': [] })).toBe('digraph "G" {\n  "a\\\\";\n}\n');
+        expect(importDot(graphToDOT(graphData)).graph).toEqual(graphData);
+    });
+
+    it('marks highlighted DOT edges', () => {
+        expect(graphToDOT({ 1: ['2'], 2: ['1'] }, { name: 'fix', highlight: [{ source: '2', target: '1' }] })).toBe(
+            'digraph "fix" {\n  "1" -> "2";\n  "2" -> "1" [color="red", style="dashed"];\n}\n'
+        );
+    });
+});
+
+describe('removedEdgesDiff', () => {
+    it('lists removed edges per node with the old and new neighbor lists', () => {
+        expect(removedEdgesDiff({ 1: ['2', '3'], 2: ['1'], 3: [] }, { 1: ['3'], 2: ['1'], 3: [] })).toBe([
+            '--- original',
+            '+++ safe',
+            '@@ "1" @@',
+            '- 1 -> 2',
+            '-"1": ["2","3"]',
+            '+"1": ["3"]',
+            ''
+        ].join('\n'));
+    });
+
+    it('is empty when nothing was removed', () => {
+        expect(removedEdgesDiff({ 1: ['2'] }, { 1: ['2'] })).toBe('');
+    });
+});
+
+describe('analysis report', () => {
+    const graphData = JSON.parse(TEST_CASES.patlytics_edge.data);
+    const fix = { ...removeCycles(graphData, '1'), strategy: 'dfs' };
+    const report = buildAnalysisReport({
+        graph: graphData,
+        startNode: '1',
+        cycles: [['2', '3', '2']],
+        scc: findStronglyConnectedComponents(graphData),
+        fix,
+        generatedAt: new Date('2024-01-02T03:04:05Z')
+    });
+
+    it('collects counts, cycles, components and the fix', () => {
+        expect(report).toMatchObject({
+            generatedAt: '2024-01-02T03:04:05.000Z',
+            startNode: '1',
+            acyclic: false,
+            truncated: false,
+            stronglyConnectedComponents: { cyclic: [expect.arrayContaining(['2', '3'])] },
+            fix: { strategy: 'dfs', removedEdges: fix.removedEdges, resolved: true }
+        });
+        expect(JSON.parse(reportToJSON(report))).toEqual(report);
+    });
+
+    it('renders Markdown for tickets', () => {
+        const markdown = reportToMarkdown(report);
+        expect(markdown).toContain('# Cycle Analysis Report');
+        expect(markdown).toContain('- Start node: `1`');
+        expect(markdown).toContain('1. 2 → 3 → 2');
+        expect(markdown).toContain('- `3 → 2`');
+        expect(reportToMarkdown({ ...report, fix: null })).toContain('No fix applied.');
+    });
+});
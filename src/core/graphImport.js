@@ -0,0 +1,459 @@
+/**
+ * Graph Importers
+ *
+ * Convert CSV/TSV edge lists, Graphviz DOT and GraphML into the adjacency-list
+ * object used by the cycle detection core: { "node": ["neighbor", ...] }.
+ * Every node that appears in the source is declared as a key.
+ */
+
+export const IMPORT_FORMATS = {
+    JSON: 'json',
+    CSV: 'csv',
+    TSV: 'tsv',
+    DOT: 'dot',
+    GRAPHML: 'graphml'
+};
+
+const EXTENSIONS = {
+    json: IMPORT_FORMATS.JSON,
+    csv: IMPORT_FORMATS.CSV,
+    tsv: IMPORT_FORMATS.TSV,
+    tab: IMPORT_FORMATS.TSV,
+    dot: IMPORT_FORMATS.DOT,
+    gv: IMPORT_FORMATS.DOT,
+    graphml: IMPORT_FORMATS.GRAPHML,
+    xml: IMPORT_FORMATS.GRAPHML
+};
+
+// Header names recognised as the source / target column of an edge list, strongest first.
+// A header matches when it starts or ends with the name, e.g. "citing_patent".
+const SOURCE_HEADERS = ['source', 'src', 'from', 'citing', 'parent', 'patent', 'node'];
+const TARGET_HEADERS = ['target', 'dst', 'destination', 'dest', 'to', 'cited', 'child', 'reference', 'neighbor'];
+
+export class ImportError extends Error {
+    constructor(message, line) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'ImportError';
+        this.line = line;
+    }
+}
+
+/**
+ * Guess the format of pasted or dropped text
+ * @param {string} text - Raw input
+ * @param {string} [fileName] - File name; a known extension wins over the content
+ * @returns {string} - One of IMPORT_FORMATS
+ */
+export const detectFormat = (text, fileName) => {
+    const extension = fileName && fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : null;
+    if (extension && EXTENSIONS[extension]) return EXTENSIONS[extension];
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) return IMPORT_FORMATS.JSON;
+    if (trimmed.startsWith('<') && /<graphml[\s>]/i.test(trimmed)) return IMPORT_FORMATS.GRAPHML;
+    if (/^(\s*(\/\/|#)[^\n]*\n|\s*\/\*[\s\S]*?\*\/)*\s*(strict\s+)?(di)?graph\b/i.test(text)) return IMPORT_FORMATS.DOT;
+
+    const firstLine = trimmed.split(/\r?\n/, 1)[0];
+    return firstLine.includes('\t') ? IMPORT_FORMATS.TSV : IMPORT_FORMATS.CSV;
+};
+
+// Builds the adjacency list, keeping first-seen order and skipping duplicate edges
+const createGraphBuilder = () => {
+    const graph = {};
+    const targets = new Map();
+    let edgeCount = 0;
+
+    const addNode = (id) => {
+        if (!Object.hasOwn(graph, id)) {
+            graph[id] = [];
+            targets.set(id, new Set());
+        }
+    };
+
+    const addEdge = (source, target) => {
+        addNode(source);
+        addNode(target);
+        if (targets.get(source).has(target)) return;
+        targets.get(source).add(target);
+        graph[source].push(target);
+        edgeCount++;
+    };
+
+    return { graph, addNode, addEdge, edgeCount: () => edgeCount };
+};
+
+/**
+ * Split delimited text into rows of cells; double quotes may wrap cells containing
+ * the delimiter, line breaks or escaped quotes ("")
+ * @param {string} text
+ * @param {string} delimiter - "," or "\t"
+ * @returns {Array} - [{ cells: string[], line }] without blank rows
+ */
+const parseDelimited = (text, delimiter) => {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        cells.push(cell.trim());
+        if (cells.some(value => value !== '')) rows.push({ cells, line: rowLine });
+        cells = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else if (char === '\n') {
+            endRow();
+            line++;
+            rowLine = line;
+        } else if (char !== '\r') {
+            cell += char;
+        }
+    }
+    if (quoted) throw new ImportError('Unterminated quoted cell', rowLine);
+    endRow();
+    return rows;
+};
+
+/**
+ * Pick the source and target columns from a header row
+ * @param {string[]} header - First row of the edge list
+ * @returns {Object} - { hasHeader, source, target } column indexes
+ */
+export const guessEdgeColumns = (header) => {
+    const names = header.map(name => name.toLowerCase().replace(/[^a-z]/g, ''));
+    const find = (keywords, skip) => {
+        for (const keyword of keywords) {
+            const index = names.findIndex((name, column) => column !== skip && name !== ''
+                && (name === keyword || name.startsWith(keyword) || name.endsWith(keyword)));
+            if (index !== -1) return index;
+        }
+        return -1;
+    };
+    const source = find(SOURCE_HEADERS, -1);
+    const target = find(TARGET_HEADERS, source);
+    if (source === -1 && target === -1) return { hasHeader: false, source: 0, target: 1 };
+    return {
+        hasHeader: true,
+        source: source === -1 ? (target === 0 ? 1 : 0) : source,
+        target: target === -1 ? (source === 1 ? 0 : 1) : target
+    };
+};
+
+/**
+ * Import a CSV or TSV edge list: one "source,target" pair per row
+ * @param {string} text
+ * @param {Object} [options] - { delimiter, hasHeader, source, target } - column indexes; guessed from the header when omitted
+ * @returns {Object} - { graph, edgeCount, columns: string[] | null, mapping: { hasHeader, source, target } }
+ */
+export const importEdgeList = (text, options = {}) => {
+    const delimiter = options.delimiter || (detectFormat(text) === IMPORT_FORMATS.TSV ? '\t' : ',');
+    const rows = parseDelimited(text, delimiter);
+    if (rows.length === 0) throw new ImportError('The edge list is empty');
+
+    const guessed = guessEdgeColumns(rows[0].cells);
+    const mapping = {
+        hasHeader: options.hasHeader ?? guessed.hasHeader,
+        source: options.source ?? guessed.source,
+        target: options.target ?? guessed.target
+    };
+
+    const builder = createGraphBuilder();
+    for (const { cells, line } of mapping.hasHeader ? rows.slice(1) : rows) {
+        const source = cells[mapping.source] ?? '';
+        const target = cells[mapping.target] ?? '';
+        if (source === '') {
+            if (target !== '') throw new ImportError('Missing source node', line);
+            continue;
+        }
+        if (target === '') builder.addNode(source);
+        else builder.addEdge(source, target);
+    }
+
+    return {
+        graph: builder.graph,
+        edgeCount: builder.edgeCount(),
+        columns: mapping.hasHeader ? rows[0].cells : null,
+        mapping
+    };
+};
+
+/**
+ * Tokenize DOT source: ids, quoted strings, HTML strings, edge operators and punctuation
+ * @param {string} text
+ * @returns {Array} - [{ type: 'id'|'edge'|'punct', value, line }]
+ */
+const tokenizeDot = (text) => {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (char === '#' && (i === 0 || text[i - 1] === '\n')) {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            if (end === -1) throw new ImportError('Unterminated comment', line);
+            line += text.slice(i, end).split('\n').length - 1;
+            i = end + 2;
+        } else if (char === '"') {
+            const start = line;
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+                    value += text[i + 1];
+                    i += 2;
+                    continue;
+                }
+                if (text[i] === '\\' && text[i + 1] === '\n') {
+                    i += 2;
+                    line++;
+                    continue;
+                }
+                if (text[i] === '\n') line++;
+                value += text[i++];
+            }
+            if (i >= text.length) throw new ImportError('Unterminated string', start);
+            i++;
+            tokens.push({ type: 'id', value, line: start });
+        } else if (char === '<') {
+            // HTML-like label: skip over balanced angle brackets
+            const start = line;
+            let depth = 0;
+            let value = '';
+            do {
+                if (text[i] === '<') depth++;
+                if (text[i] === '>') depth--;
+                if (text[i] === '\n') line++;
+                value += text[i++];
+            } while (i < text.length && depth > 0);
+            if (depth > 0) throw new ImportError('Unterminated HTML string', start);
+            tokens.push({ type: 'id', value: value.slice(1, -1), line: start });
+        } else if (char === '-' && (text[i + 1] === '>' || text[i + 1] === '-')) {
+            tokens.push({ type: 'edge', value: text.slice(i, i + 2), line });
+            i += 2;
+        } else if ('{}[];,=:'.includes(char)) {
+            tokens.push({ type: 'punct', value: char, line });
+            i++;
+        } else {
+            const match = /^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/.exec(text.slice(i, i + 200));
+            if (!match) throw new ImportError(`Unexpected "${char}"`, line);
+            tokens.push({ type: 'id', value: match[0], line });
+            i += match[0].length;
+        }
+    }
+    return tokens;
+};
+
+/**
+ * Import a Graphviz graph. Edge chains (a -> b -> c) and subgraph groups
+ * (a -> { b c }) are expanded; attributes are ignored. Undirected edges (a -- b)
+ * are read in the order written, as a -> b.
+ * @param {string} text - DOT source
+ * @returns {Object} - { graph, edgeCount }
+ */
+export const importDot = (text) => {
+    const tokens = tokenizeDot(text);
+    const builder = createGraphBuilder();
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const lastLine = () => (tokens.length ? tokens[tokens.length - 1].line : 1);
+    const isPunct = (value) => peek() && peek().type === 'punct' && peek().value === value;
+    const isKeyword = (token, keyword) => token && token.type === 'id' && token.value.toLowerCase() === keyword;
+    const expect = (value) => {
+        if (!isPunct(value)) {
+            throw new ImportError(`Expected "${value}"${peek() ? ` but found "${peek().value}"` : ' before the end of input'}`, peek() ? peek().line : lastLine());
+        }
+        position++;
+    };
+
+    const skipAttributes = () => {
+        while (isPunct('[')) {
+            const start = peek().line;
+            while (peek() && !isPunct(']')) position++;
+            if (!peek()) throw new ImportError('Unterminated attribute list', start);
+            position++;
+        }
+    };
+
+    // node_id [port], returns the node id
+    const parseNodeId = () => {
+        const token = peek();
+        position++;
+        if (isPunct(':')) {
+            position++;
+            position++;
+            if (isPunct(':')) position += 2;
+        }
+        return token.value;
+    };
+
+    // A statement operand: a node id or a subgraph; returns the node ids it stands for
+    const parseOperand = () => {
+        const token = peek();
+        if (!token) throw new ImportError('Unexpected end of input', lastLine());
+        if (isKeyword(token, 'subgraph') || isPunct('{')) {
+            if (isKeyword(token, 'subgraph')) {
+                position++;
+                if (peek() && peek().type === 'id') position++;
+            }
+            expect('{');
+            const members = parseStatements();
+            expect('}');
+            return members;
+        }
+        if (token.type !== 'id') throw new ImportError(`Unexpected "${token.value}"`, token.line);
+        const id = parseNodeId();
+        builder.addNode(id);
+        return [id];
+    };
+
+    // Statements up to the closing brace; returns every node mentioned
+    const parseStatements = () => {
+        const mentioned = [];
+        while (peek() && !isPunct('}')) {
+            const token = peek();
+            if (isPunct(';') || isPunct(',')) {
+                position++;
+                continue;
+            }
+            if (['graph', 'node', 'edge'].some(keyword => isKeyword(token, keyword)) && tokens[position + 1]
+                && tokens[position + 1].type === 'punct' && tokens[position + 1].value === '[') {
+                position++;
+                skipAttributes();
+                continue;
+            }
+            if (token.type === 'id' && tokens[position + 1] && tokens[position + 1].value === '='
+                && tokens[position + 1].type === 'punct') {
+                position += 3;
+                continue;
+            }
+
+            let sources = parseOperand();
+            mentioned.push(...sources);
+            while (peek() && peek().type === 'edge') {
+                position++;
+                const targets = parseOperand();
+                mentioned.push(...targets);
+                sources.forEach(source => targets.forEach(target => builder.addEdge(source, target)));
+                sources = targets;
+            }
+            skipAttributes();
+        }
+        return mentioned;
+    };
+
+    if (isKeyword(peek(), 'strict')) position++;
+    if (!isKeyword(peek(), 'digraph') && !isKeyword(peek(), 'graph')) {
+        throw new ImportError('Expected "digraph" or "graph"', peek() ? peek().line : 1);
+    }
+    position++;
+    if (peek() && peek().type === 'id') position++;
+    expect('{');
+    parseStatements();
+    expect('}');
+    if (peek()) throw new ImportError(`Unexpected "${peek().value}" after the graph`, peek().line);
+
+    return { graph: builder.graph, edgeCount: builder.edgeCount() };
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return XML_ENTITIES[name] ?? entity;
+});
+
+const readAttributes = (tag) => {
+    const attributes = {};
+    for (const [, name, , value] of tag.matchAll(/([\w:.-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+        attributes[name] = decodeXml(value);
+    }
+    return attributes;
+};
+
+/**
+ * Import GraphML: <node id> elements and <edge source target> elements.
+ * Data keys and nested graphs are ignored.
+ * @param {string} text - GraphML document
+ * @returns {Object} - { graph, edgeCount }
+ */
+export const importGraphML = (text) => {
+    if (!/<graphml[\s>]/i.test(text)) throw new ImportError('Not a GraphML document: missing <graphml> element');
+
+    const builder = createGraphBuilder();
+    const source = text.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+    const lineAt = (offset) => source.slice(0, offset).split('\n').length;
+
+    for (const match of source.matchAll(/<(node|edge)\b([^>]*)>/g)) {
+        const attributes = readAttributes(match[2]);
+        if (match[1] === 'node') {
+            if (attributes.id === undefined) throw new ImportError('<node> without an id', lineAt(match.index));
+            builder.addNode(attributes.id);
+        } else {
+            if (attributes.source === undefined || attributes.target === undefined) {
+                throw new ImportError('<edge> needs a source and a target', lineAt(match.index));
+            }
+            builder.addEdge(attributes.source, attributes.target);
+        }
+    }
+
+    return { graph: builder.graph, edgeCount: builder.edgeCount() };
+};
+
+/**
+ * Import any supported format other than JSON, which is already an adjacency list
+ * and goes through graphValidation instead
+ * @param {string} text - Raw input
+ * @param {Object} [options] - { format, fileName, ...edge list options for importEdgeList }
+ * @returns {Object} - { format, graph, edgeCount, columns?, mapping? }
+ */
+export const importGraph = (text, { format, fileName, ...options } = {}) => {
+    const resolved = format || detectFormat(text, fileName);
+    switch (resolved) {
+        case IMPORT_FORMATS.CSV:
+        case IMPORT_FORMATS.TSV:
+            return {
+                format: resolved,
+                ...importEdgeList(text, { delimiter: resolved === IMPORT_FORMATS.TSV ? '\t' : ',', ...options })
+            };
+        case IMPORT_FORMATS.DOT:
+            return { format: resolved, ...importDot(text) };
+        case IMPORT_FORMATS.GRAPHML:
+            return { format: resolved, ...importGraphML(text) };
+        default:
+            throw new ImportError(`Unknown format "${resolved}"`);
+    }
+};
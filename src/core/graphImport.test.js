@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import {
+    IMPORT_FORMATS,
+    ImportError,
+    detectFormat,
+    guessEdgeColumns,
+    importDot,
+    importEdgeList,
+    importGraph,
+    importGraphML
+} from './graphImport';
+
+describe('detectFormat', () => {
+    it.each([
+        ['{ "1": ["2"] }', IMPORT_FORMATS.JSON],
+        ['source,target\n1,2', IMPORT_FORMATS.CSV],
+        ['1\t2\n2\t3', IMPORT_FORMATS.TSV],
+        ['// citations\ndigraph G { 1 -> 2 }', IMPORT_FORMATS.DOT],
+        ['strict graph { a -- b }', IMPORT_FORMATS.DOT],
+        ['<?xml version="1.0"?>\n<graphml><graph/></graphml>', IMPORT_FORMATS.GRAPHML]
+    ])('recognises %j', (text, format) => {
+        expect(detectFormat(text)).toBe(format);
+    });
+
+    it('prefers the file extension', () => {
+        expect(detectFormat('a,b', 'edges.tsv')).toBe(IMPORT_FORMATS.TSV);
+        expect(detectFormat('digraph {}', 'graph.gv')).toBe(IMPORT_FORMATS.DOT);
+    });
+});
+
+describe('importEdgeList', () => {
+    it('maps columns from the header', () => {
+        const { graph, columns, mapping } = importEdgeList('year,cited_patent,citing_patent\n2001,2,1\n2002,1,"2"\n');
+        expect(columns).toEqual(['year', 'cited_patent', 'citing_patent']);
+        expect(mapping).toEqual({ hasHeader: true, source: 2, target: 1 });
+        expect(graph).toEqual({ 1: ['2'], 2: ['1'] });
+    });
+
+    it('reads headerless rows as source, target', () => {
+        expect(guessEdgeColumns(['1', '2'])).toEqual({ hasHeader: false, source: 0, target: 1 });
+        expect(importEdgeList('1,2\n2,3\n3,\n').graph).toEqual({ 1: ['2'], 2: ['3'], 3: [] });
+    });
+
+    it('honours an explicit mapping and quoted cells', () => {
+        const text = 'a\tb\tc\n"x\ty"\t1\t2\n';
+        const { graph } = importEdgeList(text, { delimiter: '\t', hasHeader: true, source: 2, target: 0 });
+        expect(graph).toEqual({ 2: ['x\ty'], 'x\ty': [] });
+    });
+
+    it('skips duplicate edges', () => {
+        const { graph, edgeCount } = importEdgeList('1,2\n1,2\n');
+        expect(graph).toEqual({ 1: ['2'], 2: [] });
+        expect(edgeCount).toBe(1);
+    });
+
+    it('reports rows without a source', () => {
+        expect(() => importEdgeList('1,2\n,3\n')).toThrow('Line 2: Missing source node');
+    });
+});
+
+describe('importDot', () => {
+    it('expands chains and subgraph groups and ignores attributes', () => {
+        const { graph, edgeCount } = importDot(`
+            /* citation graph */
+            digraph patents {
+                rankdir = LR;
+                node [shape=box];
+                "1" -> 2 -> 3 [label="cites"];
+                3 -> { 1; 4 }
+                subgraph cluster_x { 5 }
+                6:port -> 5;
+            }`);
+        expect(graph).toEqual({ 1: ['2'], 2: ['3'], 3: ['1', '4'], 4: [], 5: [], 6: ['5'] });
+        expect(edgeCount).toBe(5);
+    });
+
+    it('reads undirected edges in the order written', () => {
+        expect(importDot('graph { a -- b }').graph).toEqual({ a: ['b'], b: [] });
+    });
+
+    it('reports the line of a syntax error', () => {
+        expect(() => importDot('digraph {\n  a -> ;\n}')).toThrow('Line 2: Unexpected ";"');
+        expect(() => importDot('digraph { a -> b')).toThrow(ImportError);
+    });
+});
+
+describe('importGraphML', () => {
+    it('reads nodes and edges with escaped ids', () => {
+        const { graph } = importGraphML(`<?xml version="1.0"?>
+            <graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+              <graph edgedefault="directed">
+                <node id="a"/>
+                <node id="b &amp; c"><data key="d0">label</data></node>
+                <!-- <edge source="a" target="z"/> -->
+                <edge id="e0" source="a" target="b &amp; c"/>
+                <edge target='a' source='b &amp; c'></edge>
+              </graph>
+            </graphml>`);
+        expect(graph).toEqual({ a: ['b & c'], 'b & c': ['a'] });
+    });
+
+    it('reports incomplete edges with their line', () => {
+        expect(() => importGraphML('<graphml>\n<edge source="a"/>\n</graphml>')).toThrow('Line 2: <edge> needs a source and a target');
+    });
+});
+
+describe('importGraph', () => {
+    it('detects the format and reports it', () => {
+        expect(importGraph('from,to\n1,2\n')).toMatchObject({ format: IMPORT_FORMATS.CSV, graph: { 1: ['2'], 2: [] } });
+        expect(importGraph('digraph { 1 -> 2 }')).toMatchObject({ format: IMPORT_FORMATS.DOT, edgeCount: 1 });
+    });
+});
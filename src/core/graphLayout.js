@@ -0,0 +1,250 @@
+/**
+ * Graph Layouts
+ *
+ * Node positions for the canvas, computed from the adjacency list alone:
+ * - layered: Sugiyama-style ranks, sources on top, with cycle edges reversed for
+ *   ranking and routed around the side of the drawing
+ * - force: Fruchterman-Reingold spring embedding
+ * - circle: declared nodes on a ring, external nodes on an outer ring
+ *
+ * Positions are top-left corners, as React Flow expects. Every layout is deterministic.
+ */
+import { ALL_NODES, removeCycles, topologicalSort } from './cycleDetection.js';
+
+export const LAYOUTS = {
+    LAYERED: 'layered',
+    FORCE: 'force',
+    CIRCLE: 'circle'
+};
+
+// Above this many nodes the quadratic force layout falls back to the layered one
+export const FORCE_LAYOUT_LIMIT = 500;
+
+const NODE_HEIGHT = 42;
+const NODE_GAP = 40;
+const RANK_GAP = 70;
+const MARGIN = 50;
+// Long edges get one placeholder per rank they cross, up to this many in total
+const DUMMY_LIMIT = 20000;
+const DUMMY_WIDTH = 20;
+const ORDERING_SWEEPS = 8;
+const LANE_MARGIN = 40;
+const LANE_GAP = 14;
+const LOOP_OFFSET = 20;
+
+/**
+ * Approximate rendered width of a node: 14px semibold label, 10px padding, 60px minimum
+ * @param {string} id - Node label
+ * @returns {number}
+ */
+export const estimateNodeWidth = (id) => Math.max(60, Math.ceil(String(id).length * 8.5) + 22);
+
+const collectNodes = (graphData) => {
+    const nodes = new Set(Object.keys(graphData));
+    Object.values(graphData).forEach(targets => targets.forEach(target => nodes.add(String(target))));
+    return [...nodes];
+};
+
+const circleLayout = (graphData) => {
+    const declared = Object.keys(graphData);
+    const external = collectNodes(graphData).filter(id => !Object.hasOwn(graphData, id));
+    const circumference = declared.reduce((sum, id) => sum + estimateNodeWidth(id) + NODE_GAP, 0);
+    const radius = Math.max(180, circumference / (2 * Math.PI));
+    const positions = {};
+    const ring = (ids, ringRadius) => ids.forEach((id, index) => {
+        const angle = (2 * Math.PI * index) / ids.length - Math.PI / 2;
+        positions[id] = { x: 300 + ringRadius * Math.cos(angle), y: 250 + ringRadius * Math.sin(angle) };
+    });
+    ring(declared, radius);
+    ring(external, radius + 120);
+    return { positions, backEdges: [] };
+};
+
+const layeredLayout = (graphData) => {
+    // Rank the graph without its DFS back edges; sources come first
+    const { safeGraph, removedEdges } = removeCycles(graphData, ALL_NODES);
+    const order = topologicalSort(safeGraph).order.reverse();
+    const index = new Map(order.map((id, i) => [id, i]));
+    const rank = order.map(() => 0);
+    order.forEach((source, i) => {
+        new Set((safeGraph[source] || []).map(String)).forEach(target => {
+            rank[index.get(target)] = Math.max(rank[index.get(target)], rank[i] + 1);
+        });
+    });
+
+    // Vertices are node indices followed by placeholders for edges that cross ranks
+    const layers = [];
+    const above = [];
+    const below = [];
+    const width = [];
+    const addVertex = (vertexRank, vertexWidth) => {
+        const vertex = width.length;
+        (layers[vertexRank] ??= []).push(vertex);
+        above.push([]);
+        below.push([]);
+        width.push(vertexWidth);
+        return vertex;
+    };
+    const link = (upper, lower) => {
+        below[upper].push(lower);
+        above[lower].push(upper);
+    };
+    order.forEach((id, i) => addVertex(rank[i], estimateNodeWidth(id)));
+    let dummies = 0;
+    order.forEach((source, i) => {
+        new Set((safeGraph[source] || []).map(String)).forEach(target => {
+            let previous = i;
+            for (let r = rank[i] + 1; r < rank[index.get(target)] && dummies < DUMMY_LIMIT; r++, dummies++) {
+                const dummy = addVertex(r, DUMMY_WIDTH);
+                link(previous, dummy);
+                previous = dummy;
+            }
+            link(previous, index.get(target));
+        });
+    });
+    for (let r = 0; r < layers.length; r++) layers[r] ??= [];
+
+    // Barycenter ordering, sweeping down and up to reduce crossings
+    const slot = new Float64Array(width.length);
+    const renumber = (layer) => layer.forEach((vertex, i) => { slot[vertex] = i; });
+    layers.forEach(renumber);
+    for (let sweep = 0; sweep < ORDERING_SWEEPS; sweep++) {
+        const downward = sweep % 2 === 0;
+        const neighbors = downward ? above : below;
+        for (let step = 1; step < layers.length; step++) {
+            const layer = layers[downward ? step : layers.length - 1 - step];
+            const barycenter = new Map(layer.map(vertex => [
+                vertex,
+                neighbors[vertex].length
+                    ? neighbors[vertex].reduce((sum, neighbor) => sum + slot[neighbor], 0) / neighbors[vertex].length
+                    : slot[vertex]
+            ]));
+            layer.sort((a, b) => barycenter.get(a) - barycenter.get(b));
+            renumber(layer);
+        }
+    }
+
+    // Center every rank on x = 0
+    const x = new Float64Array(width.length);
+    layers.forEach(layer => {
+        const rowWidth = layer.reduce((sum, vertex) => sum + width[vertex], 0) + NODE_GAP * (layer.length - 1);
+        let left = -rowWidth / 2;
+        layer.forEach(vertex => {
+            x[vertex] = left;
+            left += width[vertex] + NODE_GAP;
+        });
+    });
+    const minX = order.reduce((min, _, i) => Math.min(min, x[i]), Infinity);
+    const rowTop = (r) => MARGIN + r * (NODE_HEIGHT + RANK_GAP);
+    const positions = Object.fromEntries(order.map((id, i) => [id, { x: x[i] - minX + MARGIN, y: rowTop(rank[i]) }]));
+
+    // Edges that point up (or to their own node) loop around the right of the ranks they span
+    const backEdges = removedEdges
+        .filter(({ source, target }) => rank[index.get(target)] <= rank[index.get(source)])
+        .map(({ source, target }, lane) => {
+            let right = -Infinity;
+            for (let r = rank[index.get(target)]; r <= rank[index.get(source)]; r++) {
+                layers[r].forEach(vertex => { right = Math.max(right, x[vertex] + width[vertex]); });
+            }
+            return { source, target, laneX: right - minX + MARGIN + LANE_MARGIN + (lane % 6) * LANE_GAP };
+        });
+    return { positions, backEdges };
+};
+
+const forceLayout = (graphData) => {
+    const nodes = collectNodes(graphData);
+    const count = nodes.length;
+    const index = new Map(nodes.map((id, i) => [id, i]));
+    const springs = [];
+    const linked = new Set();
+    Object.entries(graphData).forEach(([source, targets]) => targets.forEach(target => {
+        const [a, b] = [index.get(source), index.get(String(target))].sort((p, q) => p - q);
+        if (a !== b && !linked.has(a * count + b)) {
+            linked.add(a * count + b);
+            springs.push([a, b]);
+        }
+    }));
+
+    // Start from a ring so the result does not depend on randomness
+    const ideal = 140;
+    const x = new Float64Array(count);
+    const y = new Float64Array(count);
+    const startRadius = (ideal * Math.sqrt(count)) / 2;
+    nodes.forEach((_, i) => {
+        const angle = (2 * Math.PI * i) / count;
+        x[i] = startRadius * Math.cos(angle);
+        y[i] = startRadius * Math.sin(angle);
+    });
+
+    const iterations = Math.max(50, Math.min(300, Math.round(60000 / Math.max(count, 1))));
+    const dx = new Float64Array(count);
+    const dy = new Float64Array(count);
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const temperature = startRadius * 0.5 * (1 - iteration / iterations) + 1;
+        dx.fill(0);
+        dy.fill(0);
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const ddx = x[i] - x[j];
+                const ddy = y[i] - y[j];
+                const distance = Math.max(Math.hypot(ddx, ddy), 0.01);
+                const push = (ideal * ideal) / distance / distance;
+                dx[i] += ddx * push; dy[i] += ddy * push;
+                dx[j] -= ddx * push; dy[j] -= ddy * push;
+            }
+        }
+        springs.forEach(([a, b]) => {
+            const ddx = x[a] - x[b];
+            const ddy = y[a] - y[b];
+            const pull = Math.max(Math.hypot(ddx, ddy), 0.01) / ideal;
+            dx[a] -= ddx * pull; dy[a] -= ddy * pull;
+            dx[b] += ddx * pull; dy[b] += ddy * pull;
+        });
+        for (let i = 0; i < count; i++) {
+            // Weak gravity keeps disconnected parts from drifting apart
+            dx[i] -= x[i] * 0.02;
+            dy[i] -= y[i] * 0.02;
+            const displacement = Math.max(Math.hypot(dx[i], dy[i]), 0.01);
+            const move = Math.min(displacement, temperature) / displacement;
+            x[i] += dx[i] * move;
+            y[i] += dy[i] * move;
+        }
+    }
+
+    const left = Math.min(...nodes.map((id, i) => x[i] - estimateNodeWidth(id) / 2));
+    const top = Math.min(...y);
+    const positions = Object.fromEntries(nodes.map((id, i) => [
+        id,
+        { x: x[i] - estimateNodeWidth(id) / 2 - left + MARGIN, y: y[i] - top + MARGIN }
+    ]));
+    return { positions, backEdges: [] };
+};
+
+/**
+ * Position every node, including referenced but undeclared ones
+ * @param {Object} graphData - Adjacency list
+ * @param {Object} [options] - { layout: LAYOUTS value, layered by default }
+ * @returns {Object} - { layout, positions: { "node": { x, y } }, backEdges: [{ source, target, laneX }] }
+ *   layout is the one actually used; backEdges are the layered layout's upward edges
+ *   with the x coordinate of the lane they should be routed through
+ */
+export const computeLayout = (graphData, { layout = LAYOUTS.LAYERED } = {}) => {
+    if (collectNodes(graphData).length === 0) return { layout, positions: {}, backEdges: [] };
+    if (layout === LAYOUTS.CIRCLE) return { layout, ...circleLayout(graphData) };
+    if (layout === LAYOUTS.FORCE && collectNodes(graphData).length <= FORCE_LAYOUT_LIMIT) {
+        return { layout, ...forceLayout(graphData) };
+    }
+    return { layout: LAYOUTS.LAYERED, ...layeredLayout(graphData) };
+};
+
+/**
+ * SVG path for a back edge: down out of the source, along its lane, and down into the target
+ * @param {Object} route - { sourceX, sourceY, targetX, targetY } handle points and the lane's laneX
+ * @returns {Array} - [path, labelX, labelY], like React Flow's path helpers
+ */
+export const routeBackEdge = ({ sourceX, sourceY, targetX, targetY, laneX }) => {
+    // Dragged nodes can end up past the lane; keep the loop outside both of them
+    const lane = Math.max(laneX ?? -Infinity, sourceX + LANE_MARGIN, targetX + LANE_MARGIN);
+    const path = `M ${sourceX},${sourceY} V ${sourceY + LOOP_OFFSET} H ${lane} V ${targetY - LOOP_OFFSET} H ${targetX} V ${targetY}`;
+    return [path, lane, (sourceY + targetY) / 2];
+};
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { TEST_CASES } from '../testCases';
+import { edgeKey } from './cycleDetection';
+import { FORCE_LAYOUT_LIMIT, LAYOUTS, computeLayout, estimateNodeWidth, routeBackEdge } from './graphLayout';
+
+const allNodes = (graphData) => [...new Set([...Object.keys(graphData), ...Object.values(graphData).flat().map(String)])];
+
+const edgesOf = (graphData) => Object.entries(graphData).flatMap(([source, targets]) => targets.map(target => ({ source, target: String(target) })));
+
+describe.each(Object.keys(TEST_CASES))('%s', (id) => {
+    const graphData = JSON.parse(TEST_CASES[id].data);
+
+    it.each(Object.values(LAYOUTS))('%s places every node, external ones included', (layout) => {
+        const { positions } = computeLayout(graphData, { layout });
+        expect(Object.keys(positions).sort()).toEqual(allNodes(graphData).sort());
+        Object.values(positions).forEach(({ x, y }) => {
+            expect(Number.isFinite(x)).toBe(true);
+            expect(Number.isFinite(y)).toBe(true);
+        });
+    });
+
+    it('layered points every edge down except the back edges', () => {
+        const { positions, backEdges } = computeLayout(graphData, { layout: LAYOUTS.LAYERED });
+        const back = new Set(backEdges.map(edge => edgeKey(edge.source, edge.target)));
+        edgesOf(graphData).forEach(({ source, target }) => {
+            expect(positions[target].y > positions[source].y).toBe(!back.has(edgeKey(source, target)));
+        });
+    });
+
+    it('layered keeps nodes of a rank apart and lanes right of them', () => {
+        const { positions, backEdges } = computeLayout(graphData, { layout: LAYOUTS.LAYERED });
+        const ranks = Object.keys(positions).reduce((groups, node) => {
+            (groups[positions[node].y] ??= []).push(node);
+            return groups;
+        }, {});
+        Object.values(ranks).forEach(rank => {
+            rank.sort((a, b) => positions[a].x - positions[b].x).slice(1).forEach((node, i) => {
+                expect(positions[node].x).toBeGreaterThanOrEqual(positions[rank[i]].x + estimateNodeWidth(rank[i]));
+            });
+        });
+        backEdges.forEach(({ source, target, laneX }) => {
+            const top = positions[target].y;
+            const bottom = positions[source].y;
+            Object.keys(positions)
+                .filter(node => positions[node].y >= top && positions[node].y <= bottom)
+                .forEach(node => expect(laneX).toBeGreaterThan(positions[node].x + estimateNodeWidth(node)));
+        });
+    });
+});
+
+describe('computeLayout', () => {
+    it('routes the edge that closes a loop as a back edge', () => {
+        const { positions, backEdges } = computeLayout({ 1: ['2'], 2: ['3'], 3: ['1'] });
+        expect(backEdges.map(({ source, target }) => `${source}->${target}`)).toEqual(['3->1']);
+        expect(positions[1].y).toBeLessThan(positions[2].y);
+        expect(positions[2].y).toBeLessThan(positions[3].y);
+    });
+
+    it('keeps the original circle for small graphs', () => {
+        const { positions } = computeLayout({ 1: ['2'], 2: ['9'] }, { layout: LAYOUTS.CIRCLE });
+        expect(positions[1]).toEqual({ x: 300, y: 70 });
+        expect(positions[9].y).toBeCloseTo(-50);
+    });
+
+    it('is deterministic and separates nodes in the force layout', () => {
+        const graphData = JSON.parse(TEST_CASES.complex.data);
+        const { positions } = computeLayout(graphData, { layout: LAYOUTS.FORCE });
+        expect(computeLayout(graphData, { layout: LAYOUTS.FORCE }).positions).toEqual(positions);
+        const points = Object.values(positions);
+        points.forEach((a, i) => points.slice(i + 1).forEach(b => expect(Math.hypot(a.x - b.x, a.y - b.y)).toBeGreaterThan(40)));
+    });
+
+    it('falls back to layered for large force layouts', () => {
+        const graphData = Object.fromEntries(Array.from({ length: FORCE_LAYOUT_LIMIT + 1 }, (_, i) => [String(i), []]));
+        expect(computeLayout(graphData, { layout: LAYOUTS.FORCE }).layout).toBe(LAYOUTS.LAYERED);
+    });
+
+    it('lays out a 100k node chain', () => {
+        const size = 100000;
+        const graphData = Object.fromEntries(Array.from({ length: size }, (_, i) => [String(i), [String((i + 1) % size)]]));
+        const { positions, backEdges } = computeLayout(graphData);
+        expect(Object.keys(positions)).toHaveLength(size);
+        expect(backEdges).toEqual([{ source: String(size - 1), target: '0', laneX: expect.any(Number) }]);
+    });
+});
+
+describe('routeBackEdge', () => {
+    it('loops outside both handles even when the lane is stale', () => {
+        const [path, labelX, labelY] = routeBackEdge({ sourceX: 500, sourceY: 300, targetX: 100, targetY: 50, laneX: 200 });
+        expect(path).toBe('M 500,300 V 320 H 540 V 30 H 100 V 50');
+        expect([labelX, labelY]).toEqual([540, 175]);
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Graph Metrics
+ *
+ * Per-node statistics of a citation graph: how often a patent cites and is cited,
+ * how deep it sits below the start node, how central it is (PageRank, betweenness)
+ * and how many loops run through it.
+ */
+import {
+    ALL_NODES,
+    DEFAULT_MAX_CYCLES,
+    compareNodeIds,
+    findAllCycles,
+    findStronglyConnectedComponents
+} from './cycleDetection.js';
+import { buildAdjacency } from './graphModel.js';
+
+export const PAGE_RANK_DAMPING = 0.85;
+const PAGE_RANK_ITERATIONS = 100;
+const PAGE_RANK_TOLERANCE = 1e-9;
+
+// Betweenness costs O(V · E); above this many nodes it is left out
+export const BETWEENNESS_LIMIT = 5000;
+
+/**
+ * PageRank by power iteration; the rank of nodes without citations is spread over every node
+ * @param {string[]} ids
+ * @param {Map} outgoing - node -> unique targets
+ * @param {number} damping
+ * @returns {Map} - node -> rank, the ranks summing to 1
+ */
+const pageRank = (ids, outgoing, damping) => {
+    const count = ids.length;
+    let rank = new Map(ids.map(id => [id, 1 / count]));
+    for (let iteration = 0; iteration < PAGE_RANK_ITERATIONS; iteration++) {
+        const dangling = ids.reduce((sum, id) => sum + (outgoing.get(id).length === 0 ? rank.get(id) : 0), 0);
+        const base = (1 - damping) / count + damping * dangling / count;
+        const next = new Map(ids.map(id => [id, base]));
+        ids.forEach(id => {
+            const targets = outgoing.get(id);
+            targets.forEach(target => next.set(target, next.get(target) + damping * rank.get(id) / targets.length));
+        });
+        const change = ids.reduce((sum, id) => sum + Math.abs(next.get(id) - rank.get(id)), 0);
+        rank = next;
+        if (change < PAGE_RANK_TOLERANCE) break;
+    }
+    return rank;
+};
+
+/**
+ * Betweenness centrality (Brandes), normalized by (n - 1)(n - 2) for directed graphs
+ * @param {string[]} ids
+ * @param {Map} outgoing - node -> unique targets
+ * @returns {Map} - node -> share of shortest paths between other nodes that pass through it
+ */
+const betweenness = (ids, outgoing) => {
+    const centrality = new Map(ids.map(id => [id, 0]));
+    ids.forEach(source => {
+        const order = [];
+        const predecessors = new Map();
+        const paths = new Map([[source, 1]]);
+        const distance = new Map([[source, 0]]);
+        const queue = [source];
+        for (let i = 0; i < queue.length; i++) {
+            const node = queue[i];
+            order.push(node);
+            for (const next of outgoing.get(node)) {
+                if (!distance.has(next)) {
+                    distance.set(next, distance.get(node) + 1);
+                    paths.set(next, 0);
+                    predecessors.set(next, []);
+                    queue.push(next);
+                }
+                if (distance.get(next) === distance.get(node) + 1) {
+                    paths.set(next, paths.get(next) + paths.get(node));
+                    predecessors.get(next).push(node);
+                }
+            }
+        }
+        const dependency = new Map(order.map(id => [id, 0]));
+        for (let i = order.length - 1; i > 0; i--) {
+            const node = order[i];
+            predecessors.get(node).forEach(previous => {
+                dependency.set(previous, dependency.get(previous) + (paths.get(previous) / paths.get(node)) * (1 + dependency.get(node)));
+            });
+            centrality.set(node, centrality.get(node) + dependency.get(node));
+        }
+    });
+    const scale = ids.length > 2 ? 1 / ((ids.length - 1) * (ids.length - 2)) : 1;
+    ids.forEach(id => centrality.set(id, centrality.get(id) * scale));
+    return centrality;
+};
+
+/**
+ * Longest chain of citations from the start down to each node. Loops would make that
+ * unbounded, so depth is measured on the condensed graph: the nodes of one strongly
+ * connected component share a depth, and entering a component counts as one step.
+ * @returns {Map} - node -> depth, only for nodes the start reaches
+ */
+const longestDepths = (graphData, ids, startNode) => {
+    const { componentOf, condensed, components } = findStronglyConnectedComponents(graphData);
+    const componentDepth = new Map();
+    if (startNode === ALL_NODES) {
+        const cited = new Set(Object.values(condensed).flat());
+        components.forEach((_, index) => { if (!cited.has(index)) componentDepth.set(index, 0); });
+    } else {
+        componentDepth.set(componentOf[startNode], 0);
+    }
+    // Components come in topological order, so every edge leads to a later one
+    components.forEach((_, index) => {
+        if (!componentDepth.has(index)) return;
+        condensed[index].forEach(next => {
+            componentDepth.set(next, Math.max(componentDepth.get(next) ?? 0, componentDepth.get(index) + 1));
+        });
+    });
+    return new Map(ids.filter(id => componentDepth.has(componentOf[id])).map(id => [id, componentDepth.get(componentOf[id])]));
+};
+
+/**
+ * Per-node metrics of a graph
+ * @param {Object} graphData - Adjacency list
+ * @param {string} [startNode] - Node depth is measured from, or ALL_NODES for every source (default)
+ * @param {Object} [options] - { maxCycles: loops enumerated for cycleCount, damping: PageRank damping factor }
+ * @returns {Object} - {
+ *   nodes: [{ id, inDegree, outDegree, depth, pageRank, betweenness, cycleCount }] in node id order;
+ *     depth is null for nodes the start does not reach, betweenness null above BETWEENNESS_LIMIT nodes,
+ *   truncated: whether cycleCount stopped at maxCycles loops, error?
+ * }
+ */
+export const computeGraphMetrics = (graphData, startNode = ALL_NODES, { maxCycles = DEFAULT_MAX_CYCLES, damping = PAGE_RANK_DAMPING, onProgress } = {}) => {
+    const { outgoing } = buildAdjacency(graphData);
+    const ids = [...outgoing.keys()].sort(compareNodeIds);
+    if (startNode !== ALL_NODES && !outgoing.has(String(startNode))) {
+        return { error: `Node "${startNode}" not found in graph` };
+    }
+    if (ids.length === 0) return { nodes: [], truncated: false };
+
+    const inDegree = new Map(ids.map(id => [id, 0]));
+    outgoing.forEach(targets => targets.forEach(target => inDegree.set(target, inDegree.get(target) + 1)));
+
+    const depth = longestDepths(graphData, ids, startNode === ALL_NODES ? ALL_NODES : String(startNode));
+    const ranks = pageRank(ids, outgoing, damping);
+    const between = ids.length <= BETWEENNESS_LIMIT ? betweenness(ids, outgoing) : null;
+
+    const { cycles, truncated } = findAllCycles(graphData, ALL_NODES, { maxCycles, onProgress });
+    const cycleCount = new Map(ids.map(id => [id, 0]));
+    cycles.forEach(path => path.slice(0, -1).forEach(id => cycleCount.set(id, cycleCount.get(id) + 1)));
+
+    return {
+        nodes: ids.map(id => ({
+            id,
+            inDegree: inDegree.get(id),
+            outDegree: outgoing.get(id).length,
+            depth: depth.has(id) ? depth.get(id) : null,
+            pageRank: ranks.get(id),
+            betweenness: between ? between.get(id) : null,
+            cycleCount: cycleCount.get(id)
+        })),
+        truncated
+    };
+};
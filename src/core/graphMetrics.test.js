@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { ALL_NODES } from './cycleDetection';
+import { computeGraphMetrics } from './graphMetrics';
+
+const byId = (result) => Object.fromEntries(result.nodes.map(node => [node.id, node]));
+
+describe('computeGraphMetrics', () => {
+    it('counts degrees once per distinct edge', () => {
+        const metrics = byId(computeGraphMetrics({ 1: [2, 3, '3'], 2: [3], 3: [] }));
+        expect([metrics[1].outDegree, metrics[1].inDegree]).toEqual([2, 0]);
+        expect([metrics[3].outDegree, metrics[3].inDegree]).toEqual([0, 2]);
+    });
+
+    it('measures the longest citation chain from the start, loops counted as one step', () => {
+        const graphData = { 1: [2, 4], 2: [3], 3: [2, 4], 4: [], 5: [1] };
+        expect(computeGraphMetrics(graphData, '1').nodes.map(node => node.depth)).toEqual([0, 1, 1, 2, null]);
+        expect(computeGraphMetrics(graphData, ALL_NODES).nodes.map(node => node.depth)).toEqual([1, 2, 2, 3, 0]);
+    });
+
+    it('gives the most cited patent the highest PageRank', () => {
+        const { nodes } = computeGraphMetrics({ a: ['hub'], b: ['hub'], c: ['hub', 'a'], hub: [] });
+        expect(nodes.reduce((sum, node) => sum + node.pageRank, 0)).toBeCloseTo(1, 9);
+        expect(nodes.toSorted((x, y) => y.pageRank - x.pageRank)[0].id).toBe('hub');
+    });
+
+    it('measures betweenness as the share of shortest paths through a node', () => {
+        const metrics = byId(computeGraphMetrics({ 1: [2], 2: [3], 3: [] }));
+        // Of the 6 ordered pairs of other nodes, only 1 → 3 passes through 2
+        expect(metrics[2].betweenness).toBeCloseTo(1 / 2, 9);
+        expect(metrics[1].betweenness).toBe(0);
+    });
+
+    it('counts the loops through each node', () => {
+        const { nodes, truncated } = computeGraphMetrics({ a: ['b'], b: ['a', 'c'], c: ['a'] });
+        expect(nodes.map(node => node.cycleCount)).toEqual([2, 2, 1]);
+        expect(truncated).toBe(false);
+    });
+
+    it('reports an unknown start node', () => {
+        expect(computeGraphMetrics({ 1: [] }, '2')).toEqual({ error: 'Node "2" not found in graph' });
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * Graph Model
+ *
+ * Besides the plain adjacency list { "node": ["neighbor", ...] }, nodes may be written
+ * as objects carrying attributes, and edges as objects carrying a type:
+ *
+ *   {
+ *     "US1": { "title": "Widget", "filed": "2015-03-01", "assignee": "Acme",
+ *              "edges": ["US2", { "target": "US3", "type": "continuation", "locked": true }] },
+ *     "US2": { "locked": true, "edges": ["US3"] }
+ *   }
+ *
+ * Both forms can be mixed; an edge without a type is a citation. "locked": true on an
+ * edge, or on a node for all of its outgoing edges, keeps removeCycles from removing it. The algorithms work
+ * on plain adjacency lists, and toAdjacencyList reduces a typed graph to one, keeping
+ * only the edge types an analysis asks for.
+ */
+import { edgeKey } from './cycleDetection.js';
+
+export const EDGE_TYPES = {
+    CITATION: 'citation',
+    CONTINUATION: 'continuation',
+    PRIORITY: 'priority',
+    FAMILY: 'family'
+};
+
+export const DEFAULT_EDGE_TYPE = EDGE_TYPES.CITATION;
+
+// Key of a node object that lists its outgoing edges; every other key is an attribute
+export const EDGES_KEY = 'edges';
+
+// Attribute of a node or edge object that protects it from removal
+export const LOCKED_KEY = 'locked';
+
+const isEdgeObject = (entry) => entry !== null && typeof entry === 'object';
+
+/**
+ * Outgoing edge entries of a node, in either form
+ * @param {Array|Object} value - Neighbor array or node object
+ * @returns {Array} - Node ids and edge objects
+ */
+export const neighborEntries = (value) => (Array.isArray(value) ? value : value[EDGES_KEY] || []);
+
+/**
+ * @param {string|number|Object} entry - Neighbor id or edge object
+ * @returns {string} - Target node id
+ */
+export const entryTarget = (entry) => String(isEdgeObject(entry) ? entry.target : entry);
+
+/**
+ * @param {string|number|Object} entry - Neighbor id or edge object
+ * @returns {string} - Edge type, DEFAULT_EDGE_TYPE when none is given
+ */
+export const entryType = (entry) => (isEdgeObject(entry) && entry.type) || DEFAULT_EDGE_TYPE;
+
+/**
+ * Node value with its edge entries replaced, keeping the form and attributes of the node
+ * @param {Array|Object} value - Neighbor array or node object
+ * @param {Array} entries - New edge entries
+ * @returns {Array|Object}
+ */
+export const withNeighbors = (value, entries) => {
+    if (Array.isArray(value)) return entries;
+    if (value[EDGES_KEY] === undefined && entries.length === 0) return value;
+    return { ...value, [EDGES_KEY]: entries };
+};
+
+/**
+ * Whether any node carries attributes or any edge is written as an object
+ * @param {Object} graphData - Graph in either form
+ * @returns {boolean}
+ */
+export const isTypedGraph = (graphData) => Object.values(graphData)
+    .some(value => !Array.isArray(value) || value.some(isEdgeObject));
+
+// { include, exclude } → type => whether edges of that type take part
+const edgeTypeFilter = ({ include, exclude } = {}) => (type) => (!include || include.includes(type)) && !(exclude && exclude.includes(type));
+
+/**
+ * Plain adjacency list of a graph in either form
+ * @param {Object} graphData - Graph in either form
+ * @param {Object} [options] - { edgeTypes: { include: types kept, exclude: types dropped } }
+ * @returns {Object} - graphData itself when it is plain and no types are filtered
+ */
+export const toAdjacencyList = (graphData, { edgeTypes } = {}) => {
+    if (!edgeTypes && !isTypedGraph(graphData)) return graphData;
+    const keep = edgeTypeFilter(edgeTypes);
+    return Object.fromEntries(Object.entries(graphData).map(([node, value]) => [
+        node,
+        neighborEntries(value).filter(entry => keep(entryType(entry))).map(entry => (isEdgeObject(entry) ? entry.target : entry))
+    ]));
+};
+
+/**
+ * Unique string neighbors of every node of an adjacency list, every referenced node included
+ * @param {Object} graphData - Adjacency list
+ * @returns {Object} - { outgoing, incoming: Map node -> node ids }; nodes in order of first appearance,
+ *   neighbors in adjacency list order
+ */
+export const buildAdjacency = (graphData) => {
+    const outgoing = new Map();
+    const incoming = new Map();
+    const declare = (id) => {
+        if (!outgoing.has(id)) {
+            outgoing.set(id, []);
+            incoming.set(id, []);
+        }
+    };
+    Object.entries(graphData).forEach(([source, targets]) => {
+        declare(source);
+        new Set((targets || []).map(String)).forEach(target => {
+            declare(target);
+            outgoing.get(source).push(target);
+            incoming.get(target).push(source);
+        });
+    });
+    return { outgoing, incoming };
+};
+
+/**
+ * Node attributes and typed edges of a graph in either form
+ * @param {Object} graphData - Graph in either form
+ * @returns {Object} - { nodes: { "node": { attribute: value } }, edges: [{ source, target, type, attributes }], edgeTypes: string[] }
+ *   nodes only lists nodes that have attributes; edgeTypes are the types in use, in order of appearance
+ */
+export const readGraphModel = (graphData) => {
+    const nodes = {};
+    const edges = [];
+    const edgeTypes = new Set();
+    Object.entries(graphData).forEach(([source, value]) => {
+        if (!Array.isArray(value)) {
+            const attributes = { ...value };
+            delete attributes[EDGES_KEY];
+            if (Object.keys(attributes).length > 0) nodes[source] = attributes;
+        }
+        neighborEntries(value).forEach(entry => {
+            const { target, type, ...attributes } = isEdgeObject(entry) ? entry : { target: entry };
+            edges.push({ source, target: String(target), type: type || DEFAULT_EDGE_TYPE, attributes });
+            edgeTypes.add(type || DEFAULT_EDGE_TYPE);
+        });
+    });
+    return { nodes, edges, edgeTypes: [...edgeTypes] };
+};
+
+/**
+ * Locks marked in a graph, in the form removeCycles takes them
+ * @param {Object} graphData - Graph in either form
+ * @param {Object} [options] - { edgeTypes: as for toAdjacencyList; locks on edges of other types are left out }
+ * @returns {Object} - { edges: ["source->target"], nodes: ["node"] }
+ */
+export const readLocks = (graphData, { edgeTypes } = {}) => {
+    const keep = edgeTypeFilter(edgeTypes);
+    const edges = new Set();
+    const nodes = [];
+    Object.entries(graphData).forEach(([source, value]) => {
+        if (!Array.isArray(value) && value[LOCKED_KEY] === true) nodes.push(source);
+        neighborEntries(value).forEach(entry => {
+            if (isEdgeObject(entry) && entry[LOCKED_KEY] === true && keep(entryType(entry))) edges.add(edgeKey(source, entryTarget(entry)));
+        });
+    });
+    return { edges: [...edges], nodes };
+};
+
+/**
+ * Remove edges, such as the ones removeCycles chose, from a graph in either form.
+ * Node attributes, edge objects and edges of types the analysis left out are kept.
+ * @param {Object} graphData - Graph in either form
+ * @param {Array} edges - [{ source, target }]
+ * @param {Object} [options] - { edgeTypes: the filter the edges were chosen with, as for toAdjacencyList }
+ * @returns {Object}
+ */
+export const removeGraphEdges = (graphData, edges, { edgeTypes } = {}) => {
+    const removed = new Set(edges.map(edge => edgeKey(edge.source, edge.target)));
+    const keep = edgeTypeFilter(edgeTypes);
+    return Object.fromEntries(Object.entries(graphData).map(([node, value]) => [
+        node,
+        withNeighbors(value, neighborEntries(value).filter(entry => !(removed.has(edgeKey(node, entryTarget(entry))) && keep(entryType(entry)))))
+    ]));
+};
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { TEST_CASES } from '../testCases';
+import { EDGE_TYPES, buildAdjacency, isTypedGraph, readGraphModel, readLocks, removeGraphEdges, toAdjacencyList } from './graphModel';
+
+const typed = {
+    US1: { title: 'Widget', filed: '2015-03-01', edges: ['US2', { target: 'US3', type: EDGE_TYPES.CONTINUATION, note: 'CIP' }] },
+    US2: [{ target: 'US1', type: EDGE_TYPES.FAMILY }],
+    US3: ['US1']
+};
+
+describe('toAdjacencyList', () => {
+    it.each(Object.keys(TEST_CASES))('returns the plain %s graph as it is', (id) => {
+        const graphData = JSON.parse(TEST_CASES[id].data);
+        expect(isTypedGraph(graphData)).toBe(false);
+        expect(toAdjacencyList(graphData)).toBe(graphData);
+    });
+
+    it('reduces a typed graph to its targets', () => {
+        expect(isTypedGraph(typed)).toBe(true);
+        expect(toAdjacencyList(typed)).toEqual({ US1: ['US2', 'US3'], US2: ['US1'], US3: ['US1'] });
+    });
+
+    it('keeps or drops edge types', () => {
+        expect(toAdjacencyList(typed, { edgeTypes: { exclude: [EDGE_TYPES.FAMILY] } })).toEqual({ US1: ['US2', 'US3'], US2: [], US3: ['US1'] });
+        expect(toAdjacencyList(typed, { edgeTypes: { include: [EDGE_TYPES.CITATION] } })).toEqual({ US1: ['US2'], US2: [], US3: ['US1'] });
+        expect(toAdjacencyList({ 1: [2] }, { edgeTypes: { exclude: [EDGE_TYPES.CITATION] } })).toEqual({ 1: [] });
+    });
+});
+
+describe('buildAdjacency', () => {
+    it('lists unique string neighbors both ways, including nodes that are only cited', () => {
+        const { outgoing, incoming } = buildAdjacency({ a: ['b', 'b', 2], b: ['a'], c: null });
+        expect([...outgoing]).toEqual([['a', ['b', '2']], ['b', ['a']], ['2', []], ['c', []]]);
+        expect([...incoming]).toEqual([['a', ['b']], ['b', ['a']], ['2', ['a']], ['c', []]]);
+    });
+});
+
+describe('readGraphModel', () => {
+    it('collects node attributes and typed edges', () => {
+        expect(readGraphModel(typed)).toEqual({
+            nodes: { US1: { title: 'Widget', filed: '2015-03-01' } },
+            edges: [
+                { source: 'US1', target: 'US2', type: EDGE_TYPES.CITATION, attributes: {} },
+                { source: 'US1', target: 'US3', type: EDGE_TYPES.CONTINUATION, attributes: { note: 'CIP' } },
+                { source: 'US2', target: 'US1', type: EDGE_TYPES.FAMILY, attributes: {} },
+                { source: 'US3', target: 'US1', type: EDGE_TYPES.CITATION, attributes: {} }
+            ],
+            edgeTypes: [EDGE_TYPES.CITATION, EDGE_TYPES.CONTINUATION, EDGE_TYPES.FAMILY]
+        });
+    });
+});
+
+describe('readLocks', () => {
+    it('reads locked nodes and edges', () => {
+        const graph = {
+            US1: { locked: true, edges: ['US2'] },
+            US2: [{ target: 'US3', locked: true }, { target: 'US1', type: EDGE_TYPES.FAMILY, locked: true }],
+            US3: { locked: 'yes', edges: [{ target: 'US1', locked: false }] }
+        };
+        expect(readLocks(graph)).toEqual({ edges: ['US2->US3', 'US2->US1'], nodes: ['US1'] });
+        expect(readLocks(graph, { edgeTypes: { exclude: [EDGE_TYPES.FAMILY] } }).edges).toEqual(['US2->US3']);
+        expect(readLocks({ 1: ['2'] })).toEqual({ edges: [], nodes: [] });
+    });
+});
+
+describe('removeGraphEdges', () => {
+    it('removes the edges of the analysed types only', () => {
+        const graph = { ...typed, US3: ['US1', { target: 'US1', type: EDGE_TYPES.FAMILY }] };
+        expect(removeGraphEdges(graph, [{ source: 'US3', target: 'US1' }], { edgeTypes: { exclude: [EDGE_TYPES.FAMILY] } })).toEqual({
+            ...typed,
+            US3: [{ target: 'US1', type: EDGE_TYPES.FAMILY }]
+        });
+    });
+
+    it('keeps node attributes', () => {
+        expect(removeGraphEdges(typed, [{ source: 'US1', target: 'US3' }]).US1).toEqual({ title: 'Widget', filed: '2015-03-01', edges: ['US2'] });
+    });
+});
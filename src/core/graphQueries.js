@@ -0,0 +1,218 @@
+/**
+ * Graph Queries
+ *
+ * Reachability questions beyond "is there a loop": which patents a patent transitively
+ * depends on (its descendants along citations), which patents are affected when one is
+ * invalidated (its ancestors), and which citation paths lead from one patent to another.
+ * The searches work on cyclic graphs too: every node is visited once and paths are simple.
+ */
+import { compareNodeIds, edgeKey } from './cycleDetection.js';
+import { buildAdjacency } from './graphModel.js';
+
+// Default limits for the path queries
+export const DEFAULT_MAX_PATHS = 100;
+export const DEFAULT_SHORTEST_PATHS = 5;
+
+const missingNode = (id) => ({ error: `Node "${id}" not found in graph` });
+
+/**
+ * Breadth-first reachability from one node
+ * @returns {Object} - { nodes: [{ id, depth }], edges: [{ source, target }] } in the direction of the citations
+ */
+const reach = (start, neighbors, maxDepth, reverse) => {
+    const depth = new Map([[start, 0]]);
+    const nodes = [];
+    const edges = [];
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        if (depth.get(node) >= maxDepth) continue;
+        for (const next of neighbors.get(node)) {
+            edges.push(reverse ? { source: next, target: node } : { source: node, target: next });
+            if (depth.has(next)) continue;
+            depth.set(next, depth.get(node) + 1);
+            nodes.push({ id: next, depth: depth.get(next) });
+            queue.push(next);
+        }
+    }
+    return { nodes, edges };
+};
+
+/**
+ * Everything a node transitively cites: the patents it depends on
+ * @param {Object} graphData - Adjacency list
+ * @param {string} node
+ * @param {Object} [options] - { maxDepth: citation hops followed (default unlimited) }
+ * @returns {Object} - { nodes: [{ id, depth }] in breadth-first order without node itself,
+ *   edges: [{ source, target }] followed, error? }
+ */
+export const findDescendants = (graphData, node, { maxDepth = Infinity } = {}) => {
+    const { outgoing } = buildAdjacency(graphData);
+    const start = String(node);
+    if (!outgoing.has(start)) return missingNode(start);
+    return reach(start, outgoing, maxDepth, false);
+};
+
+/**
+ * Everything that transitively cites a node: the patents affected if it is invalidated
+ * @param {Object} graphData - Adjacency list
+ * @param {string} node
+ * @param {Object} [options] - { maxDepth: citation hops followed backwards (default unlimited) }
+ * @returns {Object} - { nodes: [{ id, depth }], edges: [{ source, target }], error? }, as findDescendants
+ */
+export const findAncestors = (graphData, node, { maxDepth = Infinity } = {}) => {
+    const { incoming } = buildAdjacency(graphData);
+    const start = String(node);
+    if (!incoming.has(start)) return missingNode(start);
+    return reach(start, incoming, maxDepth, true);
+};
+
+/**
+ * Transitive closure: for every node, every node it reaches through one or more citations.
+ * One breadth-first search per node, so O(V · (V + E)); meant for graphs of a few thousand nodes.
+ * @param {Object} graphData - Adjacency list
+ * @returns {Object} - { "node": reachable node ids in node id order }; a node on a loop reaches itself
+ */
+export const transitiveClosure = (graphData) => {
+    const { outgoing } = buildAdjacency(graphData);
+    const closure = {};
+    outgoing.forEach((_, start) => {
+        const seen = new Set();
+        const queue = [start];
+        for (let i = 0; i < queue.length; i++) {
+            for (const next of outgoing.get(queue[i])) {
+                if (seen.has(next)) continue;
+                seen.add(next);
+                queue.push(next);
+            }
+        }
+        closure[start] = [...seen].sort(compareNodeIds);
+    });
+    return closure;
+};
+
+/**
+ * Every simple path from one node to another, depth-first. Branches that cannot reach
+ * the target are never entered.
+ * @param {Object} graphData - Adjacency list
+ * @param {string} source
+ * @param {string} target
+ * @param {Object} [options] - { maxPaths: stop after this many (default 100), maxLength: edges per path (default unlimited) }
+ * @returns {Object} - { paths: string[][], truncated: whether maxPaths stopped the search, error? }
+ */
+export const findAllPaths = (graphData, source, target, { maxPaths = DEFAULT_MAX_PATHS, maxLength = Infinity } = {}) => {
+    const { outgoing, incoming } = buildAdjacency(graphData);
+    const from = String(source);
+    const to = String(target);
+    if (!outgoing.has(from)) return missingNode(from);
+    if (!outgoing.has(to)) return missingNode(to);
+
+    // Distance to the target along citations, for pruning
+    const distance = new Map([[to, 0]]);
+    const queue = [to];
+    for (let i = 0; i < queue.length; i++) {
+        for (const previous of incoming.get(queue[i])) {
+            if (distance.has(previous)) continue;
+            distance.set(previous, distance.get(queue[i]) + 1);
+            queue.push(previous);
+        }
+    }
+
+    const paths = [];
+    if (!distance.has(from)) return { paths, truncated: false };
+    if (from === to) return { paths: [[from]], truncated: false };
+
+    const path = [from];
+    const onPath = new Set(path);
+    const frames = [{ neighbors: outgoing.get(from), index: 0 }];
+    while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        if (frame.index >= frame.neighbors.length) {
+            frames.pop();
+            onPath.delete(path.pop());
+            continue;
+        }
+        const next = frame.neighbors[frame.index++];
+        if (onPath.has(next) || !distance.has(next) || path.length + distance.get(next) > maxLength) continue;
+        if (next === to) {
+            if (paths.length === maxPaths) return { paths, truncated: true };
+            paths.push([...path, to]);
+            continue;
+        }
+        path.push(next);
+        onPath.add(next);
+        frames.push({ neighbors: outgoing.get(next), index: 0 });
+    }
+    return { paths, truncated: false };
+};
+
+// Shorter paths first, equally long ones by their node ids
+const comparePaths = (a, b) => {
+    if (a.length !== b.length) return a.length - b.length;
+    const i = a.findIndex((id, j) => id !== b[j]);
+    return i < 0 ? 0 : compareNodeIds(a[i], b[i]);
+};
+
+// Fewest-hop path avoiding the given nodes and edges, or null
+const shortestPath = (outgoing, from, to, blockedNodes, blockedEdges) => {
+    const parent = new Map([[from, null]]);
+    const queue = [from];
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        if (node === to) {
+            const path = [];
+            for (let step = to; step !== null; step = parent.get(step)) path.push(step);
+            return path.reverse();
+        }
+        for (const next of outgoing.get(node)) {
+            if (parent.has(next) || blockedNodes.has(next) || blockedEdges.has(edgeKey(node, next))) continue;
+            parent.set(next, node);
+            queue.push(next);
+        }
+    }
+    return null;
+};
+
+/**
+ * The k shortest simple paths from one node to another by number of citations (Yen's algorithm)
+ * @param {Object} graphData - Adjacency list
+ * @param {string} source
+ * @param {string} target
+ * @param {Object} [options] - { k: number of paths (default 5) }
+ * @returns {Object} - { paths: string[][] shortest first, error? }
+ */
+export const findShortestPaths = (graphData, source, target, { k = DEFAULT_SHORTEST_PATHS } = {}) => {
+    const { outgoing } = buildAdjacency(graphData);
+    const from = String(source);
+    const to = String(target);
+    if (!outgoing.has(from)) return missingNode(from);
+    if (!outgoing.has(to)) return missingNode(to);
+
+    const first = shortestPath(outgoing, from, to, new Set(), new Set());
+    if (!first) return { paths: [] };
+
+    const paths = [first];
+    const candidates = [];
+    const known = new Set([JSON.stringify(first)]);
+    while (paths.length < k) {
+        const previous = paths[paths.length - 1];
+        // Branch off the last path at every node, never reusing its root or a known continuation
+        for (let i = 0; i < previous.length - 1; i++) {
+            const root = previous.slice(0, i + 1);
+            const blockedEdges = new Set(paths
+                .filter(path => root.every((id, j) => path[j] === id))
+                .map(path => edgeKey(path[i], path[i + 1])));
+            const spur = shortestPath(outgoing, previous[i], to, new Set(root.slice(0, -1)), blockedEdges);
+            if (!spur) continue;
+            const candidate = [...root.slice(0, -1), ...spur];
+            const key = JSON.stringify(candidate);
+            if (known.has(key)) continue;
+            known.add(key);
+            candidates.push(candidate);
+        }
+        if (candidates.length === 0) break;
+        candidates.sort(comparePaths);
+        paths.push(candidates.shift());
+    }
+    return { paths };
+};
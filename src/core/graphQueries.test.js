@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import fc from 'fast-check';
+import { findAllPaths, findAncestors, findDescendants, findShortestPaths, transitiveClosure } from './graphQueries';
+
+// 1 cites 2 and 3, both cite 4, which cites 5; 6 cites 1; 5 and 4 form a loop
+const GRAPH = { 1: [2, 3], 2: [4], 3: [4], 4: [5], 5: [4], 6: [1] };
+
+describe('findDescendants', () => {
+    it('lists what a node transitively cites with its distance', () => {
+        expect(findDescendants(GRAPH, '1').nodes).toEqual([
+            { id: '2', depth: 1 }, { id: '3', depth: 1 }, { id: '4', depth: 2 }, { id: '5', depth: 3 }
+        ]);
+        expect(findDescendants(GRAPH, 1, { maxDepth: 1 })).toEqual({
+            nodes: [{ id: '2', depth: 1 }, { id: '3', depth: 1 }],
+            edges: [{ source: '1', target: '2' }, { source: '1', target: '3' }]
+        });
+    });
+
+    it('reports unknown nodes', () => {
+        expect(findDescendants(GRAPH, '9')).toEqual({ error: 'Node "9" not found in graph' });
+    });
+});
+
+describe('findAncestors', () => {
+    it('lists what transitively cites a node, edges kept in citation direction', () => {
+        const { nodes, edges } = findAncestors(GRAPH, '2');
+        expect(nodes).toEqual([{ id: '1', depth: 1 }, { id: '6', depth: 2 }]);
+        expect(edges).toEqual([{ source: '1', target: '2' }, { source: '6', target: '1' }]);
+    });
+
+    it('follows loops without listing the node itself', () => {
+        expect(findAncestors(GRAPH, '5').nodes.map(node => node.id)).toEqual(['4', '2', '3', '1', '6']);
+    });
+});
+
+describe('transitiveClosure', () => {
+    it('maps every node, undeclared ones included, to what it reaches', () => {
+        expect(transitiveClosure({ a: ['b'], b: ['c', 'a'] })).toEqual({ a: ['a', 'b', 'c'], b: ['a', 'b', 'c'], c: [] });
+    });
+});
+
+describe('findAllPaths', () => {
+    it('lists every simple path', () => {
+        expect(findAllPaths(GRAPH, '6', '5')).toEqual({
+            paths: [['6', '1', '2', '4', '5'], ['6', '1', '3', '4', '5']],
+            truncated: false
+        });
+        expect(findAllPaths(GRAPH, '5', '1').paths).toEqual([]);
+    });
+
+    it('stops at the path and length limits', () => {
+        expect(findAllPaths(GRAPH, '1', '4', { maxPaths: 1 })).toEqual({ paths: [['1', '2', '4']], truncated: true });
+        expect(findAllPaths(GRAPH, '6', '4', { maxLength: 2 }).paths).toEqual([]);
+    });
+});
+
+describe('findShortestPaths', () => {
+    it('returns the k shortest paths, shortest first', () => {
+        const graphData = { a: ['b', 'c', 'e'], b: ['d'], c: ['d'], d: ['e'] };
+        expect(findShortestPaths(graphData, 'a', 'e', { k: 2 }).paths).toEqual([['a', 'e'], ['a', 'b', 'd', 'e']]);
+        expect(findShortestPaths(graphData, 'a', 'e').paths).toHaveLength(3);
+        expect(findShortestPaths(graphData, 'e', 'a').paths).toEqual([]);
+    });
+});
+
+describe('path query properties', () => {
+    const NODE_COUNT = 7;
+    const node = fc.integer({ min: 0, max: NODE_COUNT - 1 }).map(String);
+    const graphArbitrary = fc.array(fc.tuple(node, node), { maxLength: 16 }).map(edges => {
+        const graphData = Object.fromEntries(Array.from({ length: NODE_COUNT }, (_, i) => [String(i), []]));
+        edges.forEach(([source, target]) => graphData[source].push(target));
+        return graphData;
+    });
+
+    it('finds the shortest of all simple paths', () => {
+        fc.assert(fc.property(graphArbitrary, node, node, (graphData, source, target) => {
+            fc.pre(source !== target);
+            const all = findAllPaths(graphData, source, target, { maxPaths: Infinity }).paths;
+            const shortest = findShortestPaths(graphData, source, target, { k: 3 }).paths;
+            const keys = new Set(all.map(path => JSON.stringify(path)));
+            shortest.forEach(path => expect(keys.has(JSON.stringify(path))).toBe(true));
+            expect(shortest.map(path => path.length)).toEqual(all.map(path => path.length).sort((a, b) => a - b).slice(0, 3));
+        }));
+    });
+
+    it('agrees with reachability', () => {
+        fc.assert(fc.property(graphArbitrary, node, node, (graphData, source, target) => {
+            fc.pre(source !== target);
+            const reachable = findDescendants(graphData, source).nodes.some(({ id }) => id === target);
+            expect(findAllPaths(graphData, source, target).paths.length > 0).toBe(reachable);
+            expect(findAncestors(graphData, target).nodes.some(({ id }) => id === source)).toBe(reachable);
+            expect(transitiveClosure(graphData)[source].includes(target)).toBe(reachable);
+        }));
+    });
+});
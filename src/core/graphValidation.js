@@ -0,0 +1,355 @@
+/**
+ * Graph Input Validation
+ *
+ * Checks the adjacency-list JSON, plain or typed (see graphModel), before it reaches
+ * the cycle detection algorithms and reports every problem with its line and column
+ * in the source text.
+ */
+import { DEFAULT_EDGE_TYPE, EDGES_KEY, LOCKED_KEY, entryTarget, entryType, neighborEntries, toAdjacencyList } from './graphModel.js';
+
+export const ISSUE_CODES = {
+    SYNTAX: 'syntax',                       // Not valid JSON
+    ROOT: 'root',                           // Top level is not an object
+    NOT_ARRAY: 'not-array',                 // Neighbors are not listed in an array
+    INVALID_TARGET: 'invalid-target',       // Neighbor is not a string, number or edge object with a target
+    INVALID_TYPE: 'invalid-type',           // Edge type is not a non-empty string
+    INVALID_LOCK: 'invalid-lock',           // "locked" is not true or false, so it locks nothing
+    NUMERIC_TARGET: 'numeric-target',       // Neighbor is a number, node ids are strings
+    DUPLICATE_TARGET: 'duplicate-target',   // Same neighbor listed twice
+    DUPLICATE_KEY: 'duplicate-key',         // Same node declared twice, JSON.parse keeps the last
+    EMPTY_ID: 'empty-id',                   // Blank node id, as a key or a neighbor
+    UNDECLARED_TARGET: 'undeclared-target'  // Neighbor without a key of its own (strict mode only)
+};
+
+// Issues that normalizeGraphInput can repair
+const FIXABLE = new Set([
+    ISSUE_CODES.NUMERIC_TARGET,
+    ISSUE_CODES.DUPLICATE_TARGET,
+    ISSUE_CODES.DUPLICATE_KEY,
+    ISSUE_CODES.EMPTY_ID
+]);
+
+class JsonSyntaxError extends Error {
+    constructor(message, offset) {
+        super(message);
+        this.offset = offset;
+    }
+}
+
+/**
+ * JSON parser that keeps the source offset of every key and value
+ * @param {string} text - JSON source
+ * @returns {Object} - Root node: { type, offset, value? , entries?: [{ key, keyOffset, value }], items? }
+ */
+const parseWithOffsets = (text) => {
+    let position = 0;
+
+    const fail = (message, offset = position) => {
+        throw new JsonSyntaxError(message, offset);
+    };
+
+    const describe = (offset) => offset >= text.length ? 'end of input' : `"${text[offset]}"`;
+
+    const skipWhitespace = () => {
+        while (position < text.length && ' \t\n\r'.includes(text[position])) position++;
+    };
+
+    const expect = (char) => {
+        if (text[position] !== char) fail(`Expected "${char}" but found ${describe(position)}`);
+        position++;
+    };
+
+    const parseString = () => {
+        const offset = position;
+        expect('"');
+        let value = '';
+        while (position < text.length && text[position] !== '"') {
+            const char = text[position];
+            if (char === '\n') fail('Unterminated string', offset);
+            if (char === '\\') {
+                const escape = text[position + 1];
+                if (escape === 'u') {
+                    const hex = text.slice(position + 2, position + 6);
+                    if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid unicode escape');
+                    value += String.fromCharCode(parseInt(hex, 16));
+                    position += 6;
+                    continue;
+                }
+                const escaped = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }[escape];
+                if (escaped === undefined) fail(`Invalid escape "\\${escape ?? ''}"`);
+                value += escaped;
+                position += 2;
+                continue;
+            }
+            // Copy the run of plain characters up to the next quote, escape or line break
+            let end = position + 1;
+            while (end < text.length && text[end] !== '"' && text[end] !== '\\' && text[end] !== '\n') end++;
+            value += text.slice(position, end);
+            position = end;
+        }
+        if (position >= text.length) fail('Unterminated string', offset);
+        position++;
+        return { type: 'string', value, offset };
+    };
+
+    const parseNumber = () => {
+        const offset = position;
+        const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(position, position + 400));
+        if (!match) fail(`Unexpected ${describe(position)}`);
+        position += match[0].length;
+        return { type: 'number', value: Number(match[0]), offset };
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        const offset = position;
+        const char = text[position];
+        if (char === '{') return parseObject();
+        if (char === '[') return parseArray();
+        if (char === '"') return parseString();
+        if (char === '-' || (char >= '0' && char <= '9')) return parseNumber();
+        for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (text.startsWith(literal, position)) {
+                position += literal.length;
+                return { type: value === null ? 'null' : 'boolean', value, offset };
+            }
+        }
+        return fail(`Unexpected ${describe(position)}`);
+    };
+
+    const parseObject = () => {
+        const offset = position;
+        const entries = [];
+        expect('{');
+        skipWhitespace();
+        if (text[position] === '}') {
+            position++;
+            return { type: 'object', entries, offset };
+        }
+        for (;;) {
+            skipWhitespace();
+            if (text[position] !== '"') fail(`Expected a quoted key but found ${describe(position)}`);
+            const key = parseString();
+            skipWhitespace();
+            expect(':');
+            const value = parseValue();
+            entries.push({ key: key.value, keyOffset: key.offset, value });
+            skipWhitespace();
+            if (text[position] === ',') {
+                position++;
+                continue;
+            }
+            if (text[position] === '}') {
+                position++;
+                return { type: 'object', entries, offset };
+            }
+            fail(`Expected "," or "}" but found ${describe(position)}`);
+        }
+    };
+
+    const parseArray = () => {
+        const offset = position;
+        const items = [];
+        expect('[');
+        skipWhitespace();
+        if (text[position] === ']') {
+            position++;
+            return { type: 'array', items, offset };
+        }
+        for (;;) {
+            items.push(parseValue());
+            skipWhitespace();
+            if (text[position] === ',') {
+                position++;
+                continue;
+            }
+            if (text[position] === ']') {
+                position++;
+                return { type: 'array', items, offset };
+            }
+            fail(`Expected "," or "]" but found ${describe(position)}`);
+        }
+    };
+
+    const root = parseValue();
+    skipWhitespace();
+    if (position < text.length) fail(`Unexpected ${describe(position)} after the end of the graph`);
+    return root;
+};
+
+// Plain value of a parsed node, as JSON.parse would return it
+const toValue = (node) => {
+    if (node.type === 'object') return Object.fromEntries(node.entries.map(({ key, value }) => [key, toValue(value)]));
+    if (node.type === 'array') return node.items.map(toValue);
+    return node.value;
+};
+
+/**
+ * Maps source offsets to 1-based line and column numbers
+ * @param {string} text
+ * @returns {Function} - offset => { line, column }
+ */
+const createLocator = (text) => {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    return (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (lineStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+};
+
+/**
+ * Validate adjacency-list JSON
+ * @param {string} text - JSON source, e.g. { "1": ["2", "3"] } or the typed form of graphModel
+ * @param {Object} [options] - { strict: neighbors that are not declared as keys are errors }
+ * @returns {Object} - { graph: plain adjacency list or null when there are errors,
+ *   document: the parsed object, typed form included, or null,
+ *   issues: [{ severity: 'error'|'warning', code, message, line, column, fixable }] }
+ */
+export const validateGraphInput = (text, { strict = false } = {}) => {
+    const locate = createLocator(text);
+    const issues = [];
+    const report = (severity, code, message, offset) => {
+        issues.push({ severity, code, message, ...locate(offset), fixable: FIXABLE.has(code) });
+    };
+
+    let root;
+    try {
+        root = parseWithOffsets(text);
+    } catch (error) {
+        if (error instanceof RangeError) {
+            report('error', ISSUE_CODES.SYNTAX, 'Input is nested too deeply', 0);
+            return { graph: null, document: null, issues };
+        }
+        if (!(error instanceof JsonSyntaxError)) throw error;
+        report('error', ISSUE_CODES.SYNTAX, error.message, error.offset);
+        return { graph: null, document: null, issues };
+    }
+
+    if (root.type !== 'object') {
+        report('error', ISSUE_CODES.ROOT, 'The graph must be an object mapping each node to an array of neighbors', root.offset);
+        return { graph: null, document: null, issues };
+    }
+
+    // Locks are booleans; anything else is ignored rather than read as a lock
+    const checkLock = (item, owner) => {
+        const lockItem = item.entries.findLast(entry => entry.key === LOCKED_KEY)?.value;
+        if (lockItem && lockItem.type !== 'boolean') {
+            report('warning', ISSUE_CODES.INVALID_LOCK, `"${LOCKED_KEY}" of ${owner} must be true or false, found ${lockItem.type}; it is ignored`, lockItem.offset);
+        }
+    };
+
+    const keys = new Set(root.entries.map(entry => entry.key));
+    const declared = new Set();
+    for (const { key, keyOffset, value } of root.entries) {
+        if (key.trim() === '') {
+            report('warning', ISSUE_CODES.EMPTY_ID, 'Blank node id', keyOffset);
+        }
+        if (declared.has(key)) {
+            report('warning', ISSUE_CODES.DUPLICATE_KEY, `Node "${key}" is declared more than once; only the last declaration is used`, keyOffset);
+        }
+        declared.add(key);
+
+        // A node object lists its neighbors under "edges"; its other keys are attributes
+        let neighbors = value;
+        if (value.type === 'object') {
+            checkLock(value, `"${key}"`);
+            neighbors = value.entries.findLast(entry => entry.key === EDGES_KEY)?.value;
+            if (!neighbors) continue;
+        }
+        if (neighbors.type !== 'array') {
+            report('error', ISSUE_CODES.NOT_ARRAY, `Neighbors of "${key}" must be an array, found ${neighbors.type}`, neighbors.offset);
+            continue;
+        }
+
+        const seen = new Set();
+        for (const item of neighbors.items) {
+            // An edge object needs a target and may have a type; its other keys are attributes
+            let targetItem = item;
+            let type = DEFAULT_EDGE_TYPE;
+            if (item.type === 'object') {
+                targetItem = item.entries.findLast(entry => entry.key === 'target')?.value;
+                const typeItem = item.entries.findLast(entry => entry.key === 'type')?.value;
+                if (typeItem && (typeItem.type !== 'string' || typeItem.value.trim() === '')) {
+                    report('error', ISSUE_CODES.INVALID_TYPE, `Edge type in "${key}" must be a non-empty string, found ${typeItem.type}`, typeItem.offset);
+                    continue;
+                }
+                if (typeItem) type = typeItem.value;
+                if (!targetItem) {
+                    report('error', ISSUE_CODES.INVALID_TARGET, `Edge of "${key}" has no target`, item.offset);
+                    continue;
+                }
+                checkLock(item, `an edge of "${key}"`);
+            }
+            if (targetItem.type !== 'string' && targetItem.type !== 'number') {
+                report('error', ISSUE_CODES.INVALID_TARGET, `Neighbor of "${key}" must be a node id, found ${targetItem.type}`, targetItem.offset);
+                continue;
+            }
+            const target = String(targetItem.value);
+            // The same neighbor may appear once per edge type
+            const edge = `${type}\n${target}`;
+            const typeNote = type === DEFAULT_EDGE_TYPE ? '' : ` as ${type}`;
+            if (targetItem.type === 'number') {
+                report('warning', ISSUE_CODES.NUMERIC_TARGET, `Neighbor ${target} of "${key}" is a number; node ids are strings`, targetItem.offset);
+            }
+            if (target.trim() === '') {
+                report('warning', ISSUE_CODES.EMPTY_ID, `Blank neighbor id in "${key}"`, targetItem.offset);
+            } else if (seen.has(edge)) {
+                report('warning', ISSUE_CODES.DUPLICATE_TARGET, `"${key}" lists neighbor "${target}"${typeNote} more than once`, item.offset);
+            } else if (strict && !keys.has(target)) {
+                report('error', ISSUE_CODES.UNDECLARED_TARGET, `Neighbor "${target}" of "${key}" is not declared as a node`, targetItem.offset);
+            }
+            seen.add(edge);
+        }
+    }
+
+    if (issues.some(issue => issue.severity === 'error')) return { graph: null, document: null, issues };
+
+    // Same result as JSON.parse: a repeated key keeps its last value
+    const document = Object.fromEntries(root.entries.map(({ key, value }) => [key, toValue(value)]));
+    return { graph: toAdjacencyList(document), document, issues };
+};
+
+/**
+ * Repair the fixable issues: ids become strings, duplicate neighbors and blank ids are
+ * dropped, and repeated declarations of a node are merged (attributes included)
+ * @param {string} text - JSON source
+ * @returns {Object|null} - { graph, text } or null when errors remain that cannot be repaired;
+ *   graph keeps the typed form where the input used it
+ */
+export const normalizeGraphInput = (text) => {
+    const { issues } = validateGraphInput(text);
+    if (issues.some(issue => issue.severity === 'error' && !issue.fixable)) return null;
+
+    const root = parseWithOffsets(text);
+    // A Map, so that ids such as "__proto__" or "constructor" are plain keys
+    const nodes = new Map();
+    for (const { key, value } of root.entries) {
+        if (key.trim() === '') continue;
+        const declared = toValue(value);
+        const previous = nodes.get(key);
+        const seen = new Set();
+        const entries = [];
+        for (const entry of [...(previous ? neighborEntries(previous) : []), ...neighborEntries(declared)]) {
+            const target = entryTarget(entry);
+            const edge = `${entryType(entry)}\n${target}`;
+            if (target.trim() === '' || seen.has(edge)) continue;
+            seen.add(edge);
+            entries.push(typeof entry === 'object' ? { ...entry, target } : target);
+        }
+        nodes.set(key, Array.isArray(declared) && (!previous || Array.isArray(previous))
+            ? entries
+            : { ...(Array.isArray(previous) ? {} : previous), ...(Array.isArray(declared) ? {} : declared), [EDGES_KEY]: entries });
+    }
+
+    const graph = Object.fromEntries(nodes);
+    return { graph, text: JSON.stringify(graph, null, 2) };
+};
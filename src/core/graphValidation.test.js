@@ -0,0 +1,140 @@
+import { describe, expect, it } from 'vitest';
+import { TEST_CASES } from '../testCases';
+import { ISSUE_CODES, normalizeGraphInput, validateGraphInput } from './graphValidation';
+
+const summarize = (issues) => issues.map(({ severity, code, line, column }) => `${severity} ${code} ${line}:${column}`);
+
+describe('validateGraphInput', () => {
+    it.each(Object.keys(TEST_CASES))('accepts the %s case', (id) => {
+        const { graph, issues } = validateGraphInput(TEST_CASES[id].data);
+        expect(issues).toEqual([]);
+        expect(graph).toEqual(JSON.parse(TEST_CASES[id].data));
+    });
+
+    it('locates syntax errors', () => {
+        const { graph, issues } = validateGraphInput('{\n  "1": ["2",]\n}');
+        expect(graph).toBeNull();
+        expect(summarize(issues)).toEqual(['error syntax 2:13']);
+    });
+
+    it('reports unterminated strings at their opening quote', () => {
+        expect(summarize(validateGraphInput('{"1": ["2]}').issues)).toEqual(['error syntax 1:8']);
+    });
+
+    it('requires an object at the top level', () => {
+        expect(summarize(validateGraphInput('["1"]').issues)).toEqual(['error root 1:1']);
+    });
+
+    it('reports every schema problem with its position', () => {
+        const text = [
+            '{',
+            '  "1": ["2", 7, "2"],',
+            '  "2": "3",',
+            '  "": [],',
+            '  "3": [null],',
+            '  "1": ["4"]',
+            '}'
+        ].join('\n');
+        const { graph, issues } = validateGraphInput(text);
+
+        expect(graph).toBeNull();
+        expect(summarize(issues)).toEqual([
+            'warning numeric-target 2:14',
+            'warning duplicate-target 2:17',
+            'error not-array 3:8',
+            'warning empty-id 4:3',
+            'error invalid-target 5:9',
+            'warning duplicate-key 6:3'
+        ]);
+    });
+
+    it('reports undeclared neighbors as errors in strict mode only', () => {
+        const text = TEST_CASES.patlytics_edge.data;
+        expect(validateGraphInput(text).issues).toEqual([]);
+
+        const { graph, issues } = validateGraphInput(text, { strict: true });
+        expect(graph).toBeNull();
+        expect(issues.map(issue => issue.message)).toEqual([
+            'Neighbor "7" of "1" is not declared as a node',
+            'Neighbor "4" of "2" is not declared as a node'
+        ]);
+        expect(summarize(issues)).toEqual(['error undeclared-target 2:14', 'error undeclared-target 3:14']);
+    });
+
+    it('returns the graph when there are only warnings', () => {
+        const { graph, issues } = validateGraphInput('{"1": [2, 2], "2": []}');
+        expect(graph).toEqual({ 1: [2, 2], 2: [] });
+        expect(issues.every(issue => issue.severity === 'warning' && issue.fixable)).toBe(true);
+    });
+
+    it('accepts node attributes and typed edges', () => {
+        const text = JSON.stringify({
+            1: { title: 'Widget', edges: ['2', { target: '2', type: 'family' }, { target: 3, type: 'priority', note: 'PCT' }] },
+            2: { title: 'Gadget' },
+            3: []
+        });
+        const { graph, document, issues } = validateGraphInput(text);
+        expect(summarize(issues)).toEqual(['warning numeric-target 1:78']);
+        expect(graph).toEqual({ 1: ['2', '2', 3], 2: [], 3: [] });
+        expect(document).toEqual(JSON.parse(text));
+    });
+
+    it('reports malformed typed edges', () => {
+        const text = [
+            '{',
+            '  "1": { "edges": "2" },',
+            '  "2": { "edges": [{ "type": "family" }] },',
+            '  "3": { "edges": [{ "target": "1", "type": 7 }] },',
+            '  "4": ["1", { "target": "1" }]',
+            '}'
+        ].join('\n');
+        expect(summarize(validateGraphInput(text).issues)).toEqual([
+            'error not-array 2:19',
+            'error invalid-target 3:20',
+            'error invalid-type 4:45',
+            'warning duplicate-target 5:14'
+        ]);
+    });
+
+    it('warns about locks that are not booleans', () => {
+        const text = [
+            '{',
+            '  "1": { "locked": "yes", "edges": [{ "target": "2", "locked": 1 }] },',
+            '  "2": { "locked": true, "edges": [{ "target": "1", "locked": false }] }',
+            '}'
+        ].join('\n');
+        const { graph, issues } = validateGraphInput(text);
+        expect(graph).toEqual({ 1: ['2'], 2: ['1'] });
+        expect(summarize(issues)).toEqual(['warning invalid-lock 2:20', 'warning invalid-lock 2:64']);
+    });
+});
+
+describe('normalizeGraphInput', () => {
+    it('coerces ids, removes duplicates and blank ids, and merges repeated nodes', () => {
+        const normalized = normalizeGraphInput('{"1": [2, "2", ""], "": ["1"], "3": [], "1": ["3"]}');
+        expect(normalized.graph).toEqual({ 1: ['2', '3'], 3: [] });
+        expect(validateGraphInput(normalized.text).issues).toEqual([]);
+    });
+
+    it('keeps attributes and edge types', () => {
+        const normalized = normalizeGraphInput('{"1": {"title": "A", "edges": [2, {"target": 2, "type": "family"}, "2"]}, "1": ["3"]}');
+        expect(normalized.graph).toEqual({ 1: { title: 'A', edges: ['2', { target: '2', type: 'family' }, '3'] } });
+    });
+
+    it('keeps nodes named after Object.prototype members', () => {
+        const normalized = normalizeGraphInput('{"__proto__": ["constructor", "constructor"], "constructor": ["__proto__"], "constructor": ["toString"]}');
+        expect(Object.entries(normalized.graph)).toEqual([['__proto__', ['constructor']], ['constructor', ['__proto__', 'toString']]]);
+        expect(JSON.parse(normalized.text)).toEqual(JSON.parse('{"__proto__": ["constructor"], "constructor": ["__proto__", "toString"]}'));
+        expect(validateGraphInput(normalized.text).issues).toEqual([]);
+    });
+
+    it('refuses input with errors it cannot repair', () => {
+        expect(normalizeGraphInput('{"1": "2"}')).toBeNull();
+        expect(normalizeGraphInput('{"1": [')).toBeNull();
+    });
+
+    it('exposes a code for every reported issue', () => {
+        const codes = new Set(Object.values(ISSUE_CODES));
+        validateGraphInput('{"1": [1, 1, ""], "1": [true]}').issues.forEach(issue => expect(codes.has(issue.code)).toBe(true));
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * Incremental Cycle Checking
+ *
+ * Keeps a topological order of an acyclic graph up to date while edges come and go
+ * (Pearce–Kelly dynamic topological sort), so that "would source → target close a
+ * loop?" is answered without a full runDetection pass. An insert that agrees with the
+ * current order costs O(1); otherwise only the nodes whose positions lie between the
+ * two endpoints are searched and reordered. Deletions never invalidate the order.
+ */
+import { ALL_NODES, runDetection, topologicalSort } from './cycleDetection.js';
+
+/**
+ * The graph handed to createIncrementalOrder already contains a loop
+ */
+export class CycleError extends Error {
+    constructor(message, path) {
+        super(message);
+        this.name = 'CycleError';
+        this.path = path;
+    }
+}
+
+/**
+ * Build an incremental order over an acyclic graph
+ * @param {Object} [graphData] - Adjacency list; referenced but undeclared nodes are included
+ * @returns {Object} - { hasNode, hasEdge, addNode, removeNode, checkEdge, addEdge, removeEdge, order }
+ * @throws {CycleError} - When graphData is cyclic; error.path is one of its loops
+ */
+export const createIncrementalOrder = (graphData = {}) => {
+    const { acyclic, order: initialOrder } = topologicalSort(graphData);
+    if (!acyclic) {
+        const { loopPath } = runDetection(graphData, ALL_NODES);
+        throw new CycleError(`The graph already contains a loop: ${loopPath.join(' → ')}`, loopPath);
+    }
+
+    const outgoing = new Map(); // node -> Set of targets
+    const incoming = new Map(); // node -> Set of sources
+    // Every edge points from a lower to a higher position; positions are distinct
+    // integers but need not be contiguous, so nodes can be added at either end
+    const position = new Map();
+    let first = 0;
+    let last = -1;
+
+    const declare = (id, atStart) => {
+        outgoing.set(id, new Set());
+        incoming.set(id, new Set());
+        position.set(id, atStart ? --first : ++last);
+    };
+    // topologicalSort puts targets first; sources come first here
+    initialOrder.reverse().forEach(id => declare(id, false));
+    Object.entries(graphData).forEach(([source, targets]) => targets.forEach(target => {
+        outgoing.get(source).add(String(target));
+        incoming.get(String(target)).add(source);
+    }));
+
+    /**
+     * Depth-first search that only enters nodes whose position lies within [lower, upper]
+     * @returns {Object} - { reached: nodes in visiting order, parent: Map, found: whether goal was reached }
+     */
+    const search = (start, neighbors, lower, upper, goal) => {
+        const parent = new Map([[start, null]]);
+        const reached = [start];
+        const stack = [start];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            for (const next of neighbors.get(node)) {
+                if (parent.has(next)) continue;
+                const nextPosition = position.get(next);
+                if (nextPosition < lower || nextPosition > upper) continue;
+                parent.set(next, node);
+                if (next === goal) return { reached, parent, found: true };
+                reached.push(next);
+                stack.push(next);
+            }
+        }
+        return { reached, parent, found: false };
+    };
+
+    // Loop closed by source → target: source, target, …, source
+    const loopThrough = (source, parent) => {
+        const path = [];
+        for (let node = source; node !== null; node = parent.get(node)) path.push(node);
+        return [source, ...path.reverse()];
+    };
+
+    /**
+     * Shared part of checkEdge and addEdge: the forward search from target, if the order needs one
+     * @returns {Object} - { createsCycle, path, visited, forward? }
+     */
+    const inspect = (source, target) => {
+        if (source === target) return { createsCycle: true, path: [source, target], visited: 0 };
+        if (!position.has(source) || !position.has(target) || position.get(source) < position.get(target)) {
+            return { createsCycle: false, path: null, visited: 0 };
+        }
+        const forward = search(target, outgoing, -Infinity, position.get(source), source);
+        if (forward.found) {
+            return { createsCycle: true, path: loopThrough(source, forward.parent), visited: forward.reached.length };
+        }
+        return { createsCycle: false, path: null, visited: forward.reached.length, forward };
+    };
+
+    const byPosition = (a, b) => position.get(a) - position.get(b);
+
+    return {
+        hasNode: (id) => position.has(String(id)),
+
+        hasEdge: (source, target) => outgoing.get(String(source))?.has(String(target)) ?? false,
+
+        /**
+         * Declare a node without edges
+         * @param {string} id
+         * @returns {boolean} - false if the node already existed
+         */
+        addNode: (id) => {
+            if (position.has(String(id))) return false;
+            declare(String(id), false);
+            return true;
+        },
+
+        /**
+         * Remove a node and its edges; the order stays valid
+         * @param {string} id
+         * @returns {boolean} - false if there was no such node
+         */
+        removeNode: (id) => {
+            const node = String(id);
+            if (!position.has(node)) return false;
+            outgoing.get(node).forEach(target => incoming.get(target).delete(node));
+            incoming.get(node).forEach(source => outgoing.get(source).delete(node));
+            outgoing.delete(node);
+            incoming.delete(node);
+            position.delete(node);
+            return true;
+        },
+
+        /**
+         * Whether adding source → target would close a loop; nothing is changed
+         * @param {string} source
+         * @param {string} target
+         * @returns {Object} - { createsCycle, path, visited }
+         *   path is the loop the edge would close (source, target, …, source), or null;
+         *   visited is the number of nodes the check had to look at
+         */
+        checkEdge: (source, target) => {
+            const { createsCycle, path, visited } = inspect(String(source), String(target));
+            return { createsCycle, path, visited };
+        },
+
+        /**
+         * Add source → target unless it closes a loop; missing nodes are declared
+         * @param {string} source
+         * @param {string} target
+         * @returns {Object} - { added, createsCycle, path, visited }, as checkEdge
+         */
+        addEdge: (source, target) => {
+            const from = String(source);
+            const to = String(target);
+            if (from !== to) {
+                // New nodes go to the end of the order that keeps the edge forward
+                if (!position.has(from)) declare(from, true);
+                if (!position.has(to)) declare(to, false);
+            }
+            const { createsCycle, path, visited, forward } = inspect(from, to);
+            if (createsCycle) return { added: false, createsCycle, path, visited };
+            if (outgoing.get(from).has(to)) return { added: false, createsCycle, path, visited };
+
+            let searched = visited;
+            if (forward) {
+                // Nodes that reach source move before the ones target reaches, reusing their positions
+                const backward = search(from, incoming, position.get(to), Infinity, null);
+                searched += backward.reached.length;
+                const moved = [...backward.reached.sort(byPosition), ...forward.reached.sort(byPosition)];
+                const slots = moved.map(node => position.get(node)).sort((a, b) => a - b);
+                moved.forEach((node, i) => position.set(node, slots[i]));
+            }
+            outgoing.get(from).add(to);
+            incoming.get(to).add(from);
+            return { added: true, createsCycle, path, visited: searched };
+        },
+
+        /**
+         * Remove source → target; the order stays valid
+         * @param {string} source
+         * @param {string} target
+         * @returns {boolean} - false if there was no such edge
+         */
+        removeEdge: (source, target) => {
+            const from = String(source);
+            const to = String(target);
+            if (!outgoing.get(from)?.has(to)) return false;
+            outgoing.get(from).delete(to);
+            incoming.get(to).delete(from);
+            return true;
+        },
+
+        /**
+         * Current topological order, sources first
+         * @returns {string[]}
+         */
+        order: () => [...position.keys()].sort(byPosition)
+    };
+};
+
+export default createIncrementalOrder;
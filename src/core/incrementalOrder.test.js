@@ -0,0 +1,145 @@
+import { describe, expect, it } from 'vitest';
+import fc from 'fast-check';
+import { TEST_CASES } from '../testCases';
+import { ALL_NODES, removeCycles } from './cycleDetection';
+import { CycleError, createIncrementalOrder } from './incrementalOrder';
+
+// Plain DFS reachability over a Map of Sets, the reference the incremental answers are checked against
+const reaches = (edges, from, to) => {
+    const seen = new Set([from]);
+    const stack = [from];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node === to) return true;
+        (edges.get(node) || new Set()).forEach(next => {
+            if (!seen.has(next)) {
+                seen.add(next);
+                stack.push(next);
+            }
+        });
+    }
+    return false;
+};
+
+const expectValidOrder = (incremental, edges) => {
+    const rank = new Map(incremental.order().map((id, i) => [id, i]));
+    edges.forEach((targets, source) => targets.forEach(target => {
+        expect(rank.get(source)).toBeLessThan(rank.get(target));
+    }));
+};
+
+const expectLoop = (path, edges, source, target) => {
+    expect(path.slice(0, 2)).toEqual([source, target]);
+    expect(path.at(-1)).toBe(source);
+    path.slice(1).forEach((node, i) => {
+        if (i > 0) expect(edges.get(path[i]).has(node)).toBe(true);
+    });
+};
+
+describe('createIncrementalOrder', () => {
+    it('rejects a cyclic graph with one of its loops', () => {
+        expect(() => createIncrementalOrder({ 1: [2], 2: [3], 3: [1] })).toThrow(CycleError);
+        expect(() => createIncrementalOrder({ 1: [2], 2: [1] })).toThrow(expect.objectContaining({ path: ['1', '2', '1'] }));
+    });
+
+    it.each(Object.keys(TEST_CASES))('orders the fixed %s graph', (id) => {
+        const { safeGraph } = removeCycles(JSON.parse(TEST_CASES[id].data), ALL_NODES);
+        const incremental = createIncrementalOrder(safeGraph);
+        const edges = new Map(incremental.order().map(node => [node, new Set((safeGraph[node] || []).map(String))]));
+        expectValidOrder(incremental, edges);
+    });
+
+    it('answers forward edges without searching', () => {
+        const incremental = createIncrementalOrder({ 1: [2], 2: [3] });
+        expect(incremental.checkEdge('1', '3')).toEqual({ createsCycle: false, path: null, visited: 0 });
+    });
+
+    it('reports the loop an edge would close without adding it', () => {
+        const incremental = createIncrementalOrder({ 1: [2], 2: [3], 4: [] });
+        expect(incremental.checkEdge('3', '1')).toEqual({ createsCycle: true, path: ['3', '1', '2', '3'], visited: 2 });
+        expect(incremental.addEdge('3', '1')).toMatchObject({ added: false, createsCycle: true });
+        expect(incremental.hasEdge('3', '1')).toBe(false);
+        expect(incremental.checkEdge('4', '4')).toMatchObject({ createsCycle: true, path: ['4', '4'] });
+    });
+
+    it('moves what reaches the source ahead of what the target reaches', () => {
+        const incremental = createIncrementalOrder({ a: ['b'], b: [], c: ['d'], d: [] });
+        expect(incremental.order()).toEqual(['c', 'd', 'a', 'b']);
+        expect(incremental.addEdge('b', 'c')).toMatchObject({ added: true, visited: 4 });
+        expect(incremental.order()).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('declares new nodes on the side that keeps the edge forward', () => {
+        const incremental = createIncrementalOrder({ 1: [2] });
+        expect(incremental.addEdge('0', '1')).toEqual({ added: true, createsCycle: false, path: null, visited: 0 });
+        expect(incremental.addEdge('2', '3')).toEqual({ added: true, createsCycle: false, path: null, visited: 0 });
+        expect(incremental.order()).toEqual(['0', '1', '2', '3']);
+    });
+
+    it('lets a removed edge be added the other way round', () => {
+        const incremental = createIncrementalOrder({ 1: [2] });
+        expect(incremental.removeEdge('1', '2')).toBe(true);
+        expect(incremental.removeEdge('1', '2')).toBe(false);
+        expect(incremental.addEdge('2', '1').added).toBe(true);
+        expect(incremental.order()).toEqual(['2', '1']);
+    });
+
+    it('drops the edges of a removed node', () => {
+        const incremental = createIncrementalOrder({ 1: [2], 2: [3] });
+        expect(incremental.removeNode('2')).toBe(true);
+        expect(incremental.hasNode('2')).toBe(false);
+        expect(incremental.addEdge('3', '1').added).toBe(true);
+        expect(incremental.addNode('2')).toBe(true);
+        expect(incremental.addNode('2')).toBe(false);
+    });
+
+    it('stays small on a long chain when edges agree with the order', () => {
+        const size = 100000;
+        const chain = Object.fromEntries(Array.from({ length: size }, (_, i) => [String(i), i + 1 < size ? [String(i + 1)] : []]));
+        const incremental = createIncrementalOrder(chain);
+        expect(incremental.checkEdge('10', '99999').visited).toBe(0);
+        expect(incremental.checkEdge('99999', '99990')).toMatchObject({ createsCycle: true, visited: 9 });
+    });
+});
+
+describe('createIncrementalOrder properties', () => {
+    const NODE_COUNT = 8;
+    const node = fc.integer({ min: 0, max: NODE_COUNT - 1 }).map(String);
+    const operation = fc.oneof(
+        fc.tuple(fc.constant('add'), node, node),
+        fc.tuple(fc.constant('remove'), node, node),
+        fc.tuple(fc.constant('removeNode'), node, node)
+    );
+
+    it('matches plain reachability through any sequence of edits', () => {
+        fc.assert(fc.property(fc.array(operation, { maxLength: 60 }), (operations) => {
+            const incremental = createIncrementalOrder({});
+            const edges = new Map();
+            operations.forEach(([type, source, target]) => {
+                if (type === 'remove') {
+                    expect(incremental.removeEdge(source, target)).toBe(edges.get(source)?.has(target) ?? false);
+                    edges.get(source)?.delete(target);
+                } else if (type === 'removeNode') {
+                    incremental.removeNode(source);
+                    edges.delete(source);
+                    edges.forEach(targets => targets.delete(source));
+                } else {
+                    const closesLoop = reaches(edges, target, source);
+                    const check = incremental.checkEdge(source, target);
+                    expect(check.createsCycle).toBe(closesLoop);
+                    const result = incremental.addEdge(source, target);
+                    expect(result.createsCycle).toBe(closesLoop);
+                    if (closesLoop) {
+                        expect(result.path).toEqual(check.path);
+                        expectLoop(result.path, edges, source, target);
+                    } else {
+                        if (!edges.has(source)) edges.set(source, new Set());
+                        if (!edges.has(target)) edges.set(target, new Set());
+                        edges.get(source).add(target);
+                    }
+                }
+                expectValidOrder(incremental, edges);
+            });
+        }));
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Temporal Consistency
+ *
+ * A patent can only cite documents filed before it. Given filing dates on the nodes,
+ * a citation that points to a later-filed document is chronologically impossible,
+ * and in a citation loop it is usually the edge that should not be there: every loop
+ * of dated patents has at least one edge that does not point back in time.
+ */
+import { ALL_NODES, DEFAULT_MAX_CYCLES, compareNodeIds, edgeKey, findAllCycles, findStronglyConnectedComponents } from './cycleDetection.js';
+import { readGraphModel } from './graphModel.js';
+
+// Node attribute holding the filing date
+export const DEFAULT_DATE_ATTRIBUTE = 'filed';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Filing date as a timestamp: ISO dates such as "2015-03-01", or a number of milliseconds
+ * @param {string|number} value
+ * @returns {number|null} - null when the value is not a date
+ */
+export const parseFilingDate = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const time = Date.parse(value.trim());
+    return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Filing dates of the nodes of a typed graph
+ * @param {Object} graphData - Graph in either form (see graphModel)
+ * @param {Object} [options] - { attribute: node attribute holding the date (default "filed") }
+ * @returns {Object} - { dates: { "node": timestamp }, invalid: [{ id, value }] } for attributes that are not dates
+ */
+export const readFilingDates = (graphData, { attribute = DEFAULT_DATE_ATTRIBUTE } = {}) => {
+    const dates = {};
+    const invalid = [];
+    Object.entries(readGraphModel(graphData).nodes).forEach(([id, attributes]) => {
+        if (attributes[attribute] === undefined) return;
+        const time = parseFilingDate(attributes[attribute]);
+        if (time === null) invalid.push({ id, value: attributes[attribute] });
+        else dates[id] = time;
+    });
+    return { dates, invalid };
+};
+
+// Most impossible first: the longest jump forward in time, then by node ids
+const byGap = (a, b) => b.days - a.days || compareNodeIds(a.source, b.source) || compareNodeIds(a.target, b.target);
+
+/**
+ * Flag every edge that points forward in time and rank, per loop, the edges that make it impossible
+ * @param {Object} graphData - Adjacency list
+ * @param {Object} dates - { "node": timestamp or date string }; undated nodes are not judged
+ * @param {Object} [options] - { startNode: limit the loops to what it reaches (default ALL_NODES),
+ *   maxCycles: loops enumerated, onProgress }
+ * @returns {Object} - {
+ *   violations: [{ source, target, sourceDate, targetDate, days, inCycle }] - citations of later-filed
+ *     documents, most impossible first; days is how much later the target was filed,
+ *   undatedNodes: string[],
+ *   cycles: [{ path, impossibleEdges: [{ source, target, days }] }] - each loop with its violations, ranked,
+ *   preferredRemovals: string[] - edgeKeys of the violations on loops for removeCycles' preferred option,
+ *     the ones in the most enumerated loops first, then the most impossible,
+ *   consistent: whether no edge points forward in time, truncated
+ * }
+ */
+export const checkTemporalConsistency = (graphData, dates, { startNode = ALL_NODES, maxCycles = DEFAULT_MAX_CYCLES, onProgress } = {}) => {
+    const times = new Map(Object.entries(dates).map(([id, value]) => [id, parseFilingDate(value)]).filter(([, time]) => time !== null));
+
+    const { componentOf, cyclic } = findStronglyConnectedComponents(graphData);
+    const onLoop = (source, target) => componentOf[source] === componentOf[target] && cyclic[componentOf[source]];
+
+    const violations = [];
+    const undated = new Set();
+    const seen = new Set();
+    Object.entries(graphData).forEach(([source, targets]) => targets.forEach(neighbor => {
+        const target = String(neighbor);
+        const key = edgeKey(source, target);
+        if (seen.has(key)) return;
+        seen.add(key);
+        [source, target].forEach(id => { if (!times.has(id)) undated.add(id); });
+        if (!times.has(source) || !times.has(target) || times.get(target) <= times.get(source)) return;
+        violations.push({
+            source,
+            target,
+            sourceDate: new Date(times.get(source)).toISOString(),
+            targetDate: new Date(times.get(target)).toISOString(),
+            days: Math.round((times.get(target) - times.get(source)) / DAY_MS),
+            inCycle: onLoop(source, target)
+        });
+    }));
+    Object.keys(graphData).forEach(id => { if (!times.has(id)) undated.add(id); });
+    violations.sort(byGap);
+
+    const violationOf = new Map(violations.map(violation => [edgeKey(violation.source, violation.target), violation]));
+    const { cycles: paths, truncated } = findAllCycles(graphData, startNode, { maxCycles, onProgress });
+    const cycles = paths.map(path => ({
+        path,
+        impossibleEdges: path.slice(0, -1)
+            .map((source, i) => violationOf.get(edgeKey(source, path[i + 1])))
+            .filter(Boolean)
+            .sort(byGap)
+            .map(({ source, target, days }) => ({ source, target, days }))
+    }));
+
+    // An impossible edge shared by many loops breaks them all at once
+    const loopCount = new Map();
+    cycles.forEach(({ impossibleEdges }) => impossibleEdges.forEach(({ source, target }) => {
+        const key = edgeKey(source, target);
+        loopCount.set(key, (loopCount.get(key) || 0) + 1);
+    }));
+    const countOf = (violation) => loopCount.get(edgeKey(violation.source, violation.target)) || 0;
+
+    return {
+        violations,
+        undatedNodes: [...undated].sort(compareNodeIds),
+        cycles,
+        preferredRemovals: violations
+            .filter(violation => violation.inCycle)
+            .sort((a, b) => countOf(b) - countOf(a) || byGap(a, b))
+            .map(violation => edgeKey(violation.source, violation.target)),
+        consistent: violations.length === 0,
+        truncated
+    };
+};
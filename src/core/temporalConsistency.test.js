@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { ALL_NODES, removeCycles, runDetection } from './cycleDetection';
+import { checkTemporalConsistency, parseFilingDate, readFilingDates } from './temporalConsistency';
+
+// US1 (2010) cites US2 (2012), which cites US3 (2011), which cites US1: a loop of three
+// citations of which two point forward in time; US4 is undated
+const DATES = { US1: '2010-01-01', US2: '2012-01-01', US3: '2011-01-01' };
+const GRAPH = { US1: ['US2'], US2: ['US3'], US3: ['US1', 'US4'], US4: [] };
+
+describe('parseFilingDate', () => {
+    it('accepts ISO dates and timestamps', () => {
+        expect(parseFilingDate('2015-03-01')).toBe(Date.UTC(2015, 2, 1));
+        expect(parseFilingDate(0)).toBe(0);
+        expect(parseFilingDate('someday')).toBeNull();
+        expect(parseFilingDate(null)).toBeNull();
+    });
+});
+
+describe('readFilingDates', () => {
+    it('reads the filing date attribute of typed nodes', () => {
+        const graphData = {
+            1: { filed: '2015-03-01', edges: [2] },
+            2: { filed: 'unknown', title: 'Gear' },
+            3: { priority: '2001-01-01', edges: [] },
+            4: []
+        };
+        expect(readFilingDates(graphData)).toEqual({
+            dates: { 1: Date.UTC(2015, 2, 1) },
+            invalid: [{ id: '2', value: 'unknown' }]
+        });
+        expect(readFilingDates(graphData, { attribute: 'priority' }).dates).toEqual({ 3: Date.UTC(2001, 0, 1) });
+    });
+});
+
+describe('checkTemporalConsistency', () => {
+    it('flags citations of later-filed documents, longest jump first', () => {
+        const result = checkTemporalConsistency(GRAPH, DATES);
+        expect(result.consistent).toBe(false);
+        expect(result.violations).toEqual([
+            { source: 'US1', target: 'US2', sourceDate: '2010-01-01T00:00:00.000Z', targetDate: '2012-01-01T00:00:00.000Z', days: 730, inCycle: true }
+        ]);
+        expect(result.undatedNodes).toEqual(['US4']);
+    });
+
+    it('ranks the impossible edges of each loop', () => {
+        const graphData = { a: ['b'], b: ['c', 'a'], c: ['d'], d: ['a'] };
+        const dates = { a: '2010-01-01', b: '2012-01-01', c: '2011-01-01', d: '2014-01-01' };
+        const { cycles, preferredRemovals } = checkTemporalConsistency(graphData, dates);
+        expect(cycles).toEqual([
+            { path: ['a', 'b', 'c', 'd', 'a'], impossibleEdges: [{ source: 'c', target: 'd', days: 1096 }, { source: 'a', target: 'b', days: 730 }] },
+            { path: ['a', 'b', 'a'], impossibleEdges: [{ source: 'a', target: 'b', days: 730 }] }
+        ]);
+        // a → b is in both loops, so removing it first leaves c → d in place
+        expect(preferredRemovals).toEqual(['a->b', 'c->d']);
+        expect(removeCycles(graphData, ALL_NODES, { preferred: preferredRemovals }).removedEdges.map(edge => edge.source)).toEqual(['a']);
+    });
+
+    it('does not judge edges to undated nodes or outside loops', () => {
+        const { violations, preferredRemovals } = checkTemporalConsistency({ 1: [2, 3], 2: [] }, { 1: '2000-01-01', 2: '2001-01-01' });
+        expect(violations).toEqual([expect.objectContaining({ source: '1', target: '2', inCycle: false })]);
+        expect(preferredRemovals).toEqual([]);
+    });
+
+    it('lets removeCycles drop the impossible citation instead of the DFS back-edge', () => {
+        const { preferredRemovals } = checkTemporalConsistency(GRAPH, DATES);
+        expect(removeCycles(GRAPH, ALL_NODES).removedEdges.map(edge => edge.source)).toEqual(['US3']);
+
+        const { safeGraph, removedEdges } = removeCycles(GRAPH, ALL_NODES, { preferred: preferredRemovals });
+        expect(removedEdges).toEqual([{ source: 'US1', target: 'US2', region: 0, preferred: true }]);
+        expect(runDetection(safeGraph, ALL_NODES).found).toBe(false);
+        expect(checkTemporalConsistency(safeGraph, DATES).consistent).toBe(true);
+    });
+});
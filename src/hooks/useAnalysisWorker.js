@@ -0,0 +1,96 @@
+/**
+ * useAnalysisWorker Hook
+ *
+ * Worker-backed access to the useCycleDetection algorithms, with progress
+ * reporting and cancellation. The synchronous hook stays available for tests.
+ */
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Custom hook for running cycle detection algorithms in a Web Worker
+ * @returns {Object} - { run, cancel, isRunning, progress }
+ */
+export const useAnalysisWorker = () => {
+    const workerRef = useRef(null);
+    const jobsRef = useRef(new Map()); // id -> { resolve, reject }
+    const nextIdRef = useRef(0);
+    const [isRunning, setIsRunning] = useState(false);
+    const [progress, setProgress] = useState(null); // { visited, total } while running
+
+    const finishJob = useCallback((id) => {
+        jobsRef.current.delete(id);
+        if (jobsRef.current.size === 0) {
+            setIsRunning(false);
+            setProgress(null);
+        }
+    }, []);
+
+    // Drop the worker and reject every pending run; the next run starts a new worker
+    const failAll = useCallback((error) => {
+        if (workerRef.current) {
+            workerRef.current.terminate();
+            workerRef.current = null;
+        }
+        for (const job of jobsRef.current.values()) job.reject(error);
+        jobsRef.current.clear();
+        setIsRunning(false);
+        setProgress(null);
+    }, []);
+
+    // The worker is created lazily, and again after a cancellation or failure terminated it
+    const getWorker = useCallback(() => {
+        if (!workerRef.current) {
+            const worker = new Worker(new URL('../workers/cycleDetection.worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = ({ data }) => {
+                const job = jobsRef.current.get(data.id);
+                if (!job) return;
+
+                if (data.type === 'progress') {
+                    setProgress({ visited: data.visited, total: data.total });
+                    return;
+                }
+
+                finishJob(data.id);
+                if (data.type === 'result') {
+                    job.resolve(data.result);
+                } else {
+                    job.reject(new Error(data.message));
+                }
+            };
+            // The worker failed to load or threw outside a job; no reply is coming for any job
+            worker.onerror = (event) => {
+                event.preventDefault();
+                failAll(new Error(`Analysis worker failed: ${event.message || 'could not be loaded'}`));
+            };
+            worker.onmessageerror = () => failAll(new Error('Analysis worker sent a message that could not be read'));
+            workerRef.current = worker;
+        }
+        return workerRef.current;
+    }, [finishJob, failAll]);
+
+    /**
+     * Run one algorithm in the worker
+     * @param {string} method - Name of a useCycleDetection function, e.g. "runDetection", "diffGraphs" or "checkTemporalConsistency"
+     * @param {Array} args - Positional arguments before the options object
+     * @param {Object} [options] - Options object (must be cloneable; onProgress is added by the worker)
+     * @returns {Promise} - Resolves with the algorithm's result, rejects with an AbortError on cancel
+     *   and with an Error when the algorithm throws or the worker fails
+     */
+    const run = useCallback((method, args, options = {}) => new Promise((resolve, reject) => {
+        const id = nextIdRef.current++;
+        jobsRef.current.set(id, { resolve, reject });
+        setIsRunning(true);
+        getWorker().postMessage({ id, method, args, options });
+    }), [getWorker]);
+
+    // Stop everything in flight: the worker is terminated and pending runs reject
+    const cancel = useCallback(() => failAll(new DOMException('Analysis cancelled', 'AbortError')), [failAll]);
+
+    useEffect(() => () => {
+        if (workerRef.current) workerRef.current.terminate();
+    }, []);
+
+    return { run, cancel, isRunning, progress };
+};
+
+export default useAnalysisWorker;
@@ -0,0 +1,70 @@
+/**
+ * useUndoHistory Hook
+ *
+ * A value with undo and redo. Consecutive changes tagged with the same group
+ * (for example typing in the JSON textarea) collapse into one history entry.
+ */
+import { useCallback, useState } from 'react';
+
+// Changes of one group closer together than this are undone together
+const GROUP_WINDOW_MS = 1000;
+
+/**
+ * Custom hook for a value with an undo history
+ * @param {*} initialValue
+ * @param {Object} [options] - { limit: number of undo steps kept }
+ * @returns {Object} - { value, set, undo, redo, reset, canUndo, canRedo }
+ */
+export const useUndoHistory = (initialValue, { limit = 100 } = {}) => {
+    const [history, setHistory] = useState({ past: [], present: initialValue, future: [], group: null, time: 0 });
+
+    /**
+     * Record a new value
+     * @param {*} next - Value, or function of the current value
+     * @param {Object} [options] - { group: merge with the previous change of the same group }
+     */
+    const set = useCallback((next, { group = null } = {}) => setHistory(current => {
+        const value = typeof next === 'function' ? next(current.present) : next;
+        if (Object.is(value, current.present)) return current;
+        const now = Date.now();
+        const merge = group !== null && current.group === group && now - current.time < GROUP_WINDOW_MS;
+        return {
+            past: merge ? current.past : [...current.past, current.present].slice(-limit),
+            present: value,
+            future: [],
+            group,
+            time: now
+        };
+    }), [limit]);
+
+    const undo = useCallback(() => setHistory(current => (current.past.length === 0 ? current : {
+        past: current.past.slice(0, -1),
+        present: current.past.at(-1),
+        future: [current.present, ...current.future],
+        group: null,
+        time: 0
+    })), []);
+
+    const redo = useCallback(() => setHistory(current => (current.future.length === 0 ? current : {
+        past: [...current.past, current.present],
+        present: current.future[0],
+        future: current.future.slice(1),
+        group: null,
+        time: 0
+    })), []);
+
+    // Replace the value and forget the history, e.g. when another test case is loaded
+    const reset = useCallback((value) => setHistory({ past: [], present: value, future: [], group: null, time: 0 }), []);
+
+    return {
+        value: history.present,
+        set,
+        undo,
+        redo,
+        reset,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0
+    };
+};
+
+export default useUndoHistory;
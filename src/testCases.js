@@ -0,0 +1,53 @@
+// Demo graphs for the case selector; the test suite runs against every one of them
+export const TEST_CASES = {
+  'patlytics_edge': {
+    name: 'Patlytics Edge Case',
+    description: 'The original infinite loop bug: 2→3→2',
+    data: `{
+  "1": ["2", "7"],
+  "2": ["3", "4"],
+  "3": ["2", "1"]
+}`
+  },
+  'self_loop': {
+    name: 'Self Loop',
+    description: 'Node points to itself: 1→1',
+    data: `{
+  "1": ["1", "2"],
+  "2": ["3"],
+  "3": []
+}`
+  },
+  'no_cycle': {
+    name: 'No Cycle (DAG)',
+    description: 'Directed Acyclic Graph - all paths safe',
+    data: `{
+  "1": ["2", "3"],
+  "2": ["4"],
+  "3": ["4"],
+  "4": []
+}`
+  },
+  'long_cycle': {
+    name: 'Long Cycle',
+    description: 'Cycle spans multiple nodes: 1→2→3→4→1',
+    data: `{
+  "1": ["2"],
+  "2": ["3"],
+  "3": ["4"],
+  "4": ["1"]
+}`
+  },
+  'complex': {
+    name: 'Complex Graph',
+    description: 'Multiple paths with hidden cycle',
+    data: `{
+  "A": ["B", "C"],
+  "B": ["D", "E"],
+  "C": ["F"],
+  "D": ["C"],
+  "E": ["F"],
+  "F": ["B"]
+}`
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * Canvas Styles
+ *
+ * The plain look of the graph canvas's React Flow nodes and edges, which every
+ * highlight starts from, and the highlight of a single loop on top of it.
+ * Each function returns new elements and leaves the ones it is given untouched.
+ */
+import { MarkerType } from 'reactflow';
+import { pathHasEdge } from '../core/cycleDetection';
+import { DEFAULT_EDGE_TYPE } from '../core/graphModel';
+
+// Referenced but undeclared nodes: drawn dashed and muted, outside the declared ring
+export const EXTERNAL_NODE_STYLE = { background: '#F3F4F6', border: '1px dashed #9CA3AF', color: '#6B7280', fontStyle: 'italic' };
+
+const PLAIN_NODE_STYLE = { background: '#FFFFFF', border: '1px solid #0F2C1F', borderRadius: '8px', width: 60, padding: '10px', textAlign: 'center', fontWeight: 600, fontSize: '14px', color: '#0F2C1F', boxShadow: '0 2px 4px rgba(0,0,0,0.05)', opacity: 1 };
+const PLAIN_EDGE_COLOR = '#9CA3AF';
+const FADED_EDGE_COLOR = '#E5E7EB';
+const CYCLE_COLOR = '#EF4444';
+
+/**
+ * Label of a canvas edge: citations are unlabeled, other edge types are named, and locked edges carry a lock
+ * @param {Object} edge - React Flow edge with data { edgeType, locked }
+ * @returns {string}
+ */
+export const edgeTypeLabel = (edge) => {
+    const type = edge.data?.edgeType && edge.data.edgeType !== DEFAULT_EDGE_TYPE ? edge.data.edgeType : '';
+    return edge.data?.locked ? `🔒 ${type}`.trim() : type;
+};
+
+/**
+ * @param {Object} node - React Flow node
+ * @returns {Object} - The node without any highlight
+ */
+export const plainNode = (node) => ({ ...node, style: { ...PLAIN_NODE_STYLE, ...(node.data.external && EXTERNAL_NODE_STYLE) } });
+
+/**
+ * @param {Object} edge - React Flow edge
+ * @returns {Object} - The edge without any highlight, labeled with its type
+ */
+export const plainEdge = (edge) => ({
+    ...edge,
+    animated: false,
+    label: edgeTypeLabel(edge),
+    labelStyle: undefined,
+    style: { stroke: PLAIN_EDGE_COLOR, strokeWidth: 1.5, opacity: 1 },
+    markerEnd: { type: MarkerType.ArrowClosed, color: PLAIN_EDGE_COLOR }
+});
+
+/**
+ * Nodes with one loop marked and every other node faded; earlier highlights are dropped
+ * @param {Object[]} nodes - React Flow nodes
+ * @param {string[]} loopPath - Loop as a closed path
+ * @returns {Object[]}
+ */
+export const highlightCycleNodes = (nodes, loopPath) => nodes.map(node => {
+    const plain = plainNode(node);
+    if (!loopPath.includes(node.id)) return { ...plain, style: { ...plain.style, opacity: 0.3 } };
+    return { ...plain, style: { ...plain.style, background: '#FEF2F2', border: `2px solid ${CYCLE_COLOR}`, color: '#B91C1C', boxShadow: '0 0 10px rgba(239, 68, 68, 0.3)' } };
+});
+
+/**
+ * Edges with the loop's edges marked and animated and every other edge faded; earlier highlights are dropped
+ * @param {Object[]} edges - React Flow edges
+ * @param {string[]} loopPath - Loop as a closed path
+ * @returns {Object[]}
+ */
+export const highlightCycleEdges = (edges, loopPath) => edges.map(edge => {
+    const plain = plainEdge(edge);
+    if (!pathHasEdge(loopPath, edge.source, edge.target)) {
+        return { ...plain, style: { stroke: FADED_EDGE_COLOR }, markerEnd: { type: MarkerType.ArrowClosed, color: FADED_EDGE_COLOR } };
+    }
+    return { ...plain, animated: true, style: { stroke: CYCLE_COLOR, strokeWidth: 2 }, markerEnd: { type: MarkerType.ArrowClosed, color: CYCLE_COLOR } };
+});
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { EXTERNAL_NODE_STYLE, edgeTypeLabel, highlightCycleEdges, highlightCycleNodes, plainEdge, plainNode } from './canvasStyles';
+
+const nodes = ['1', '2', '3', '4'].map(id => ({ id, data: { label: id, external: id === '4' }, position: { x: 0, y: 0 }, style: {} }));
+const edges = [['1', '2'], ['2', '1'], ['2', '3'], ['3', '2'], ['3', '4']]
+    .map(([source, target]) => ({ id: `e${source}-${target}`, source, target, data: { edgeType: 'citation', locked: false } }));
+const cycles = [['1', '2', '1'], ['2', '3', '2']];
+
+const isMarked = (element) => element.animated === true || /EF4444/.test(element.style.border || element.style.stroke || '');
+
+describe('highlightCycleNodes and highlightCycleEdges', () => {
+    it('leaves nothing of the previously selected loop marked', () => {
+        const first = { nodes: highlightCycleNodes(nodes, cycles[0]), edges: highlightCycleEdges(edges, cycles[0]) };
+        expect(first.nodes.filter(isMarked).map(node => node.id)).toEqual(['1', '2']);
+
+        const second = { nodes: highlightCycleNodes(first.nodes, cycles[1]), edges: highlightCycleEdges(first.edges, cycles[1]) };
+        expect(second.nodes.filter(isMarked).map(node => node.id)).toEqual(['2', '3']);
+        expect(second.edges.filter(isMarked).map(edge => edge.id)).toEqual(['e2-3', 'e3-2']);
+
+        const formerOnly = second.nodes.find(node => node.id === '1');
+        expect(formerOnly.style).toEqual({ ...plainNode(formerOnly).style, opacity: 0.3 });
+        const formerEdge = second.edges.find(edge => edge.id === 'e1-2');
+        expect(formerEdge).toMatchObject({ animated: false, style: { stroke: '#E5E7EB' } });
+    });
+
+    it('keeps undeclared nodes dashed when they are faded', () => {
+        const faded = highlightCycleNodes(nodes, cycles[0]).find(node => node.id === '4');
+        expect(faded.style).toMatchObject({ ...EXTERNAL_NODE_STYLE, opacity: 0.3 });
+    });
+});
+
+describe('plainNode and plainEdge', () => {
+    it('drop every highlight', () => {
+        const highlighted = highlightCycleEdges(edges, cycles[0]);
+        expect(highlighted.map(plainEdge)).toEqual(edges.map(plainEdge));
+        expect(highlightCycleNodes(nodes, cycles[0]).map(plainNode)).toEqual(nodes.map(plainNode));
+    });
+
+    it('label edges with their type and lock', () => {
+        expect(edgeTypeLabel({ data: { edgeType: 'citation', locked: false } })).toBe('');
+        expect(edgeTypeLabel({ data: { edgeType: 'family', locked: true } })).toBe('🔒 family');
+        expect(plainEdge({ ...edges[0], label: '+3d', labelStyle: { fill: 'red' } })).toMatchObject({ label: '', labelStyle: undefined });
+    });
+});
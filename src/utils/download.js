@@ -0,0 +1,19 @@
+/**
+ * Save generated content as a file through a temporary object URL
+ * @param {string} fileName - Suggested file name
+ * @param {string|Blob} content - Text or binary content
+ * @param {string} [type] - MIME type for text content
+ */
+export const downloadFile = (fileName, content, type = 'text/plain') => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export default downloadFile;
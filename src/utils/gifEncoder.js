@@ -0,0 +1,168 @@
+/**
+ * Animated GIF Encoder
+ *
+ * Streams RGBA frames into a looping GIF89a. Every frame gets its own 256 color
+ * table built from its most frequent colors, which suits flat diagram renders.
+ */
+
+const COLOR_TABLE_SIZE = 256;
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096;
+
+/**
+ * Reduce one RGBA frame to palette indices
+ * @param {Uint8ClampedArray} rgba - Pixels, 4 bytes each; alpha is ignored
+ * @returns {{ palette: Uint8Array, indices: Uint8Array }} - 256 RGB entries and one index per pixel
+ */
+export const quantizeFrame = (rgba) => {
+    const pixelCount = rgba.length / 4;
+    // 15 bit color buckets; each keeps a count and channel sums for its average color
+    const counts = new Uint32Array(1 << 15);
+    const sums = new Float64Array((1 << 15) * 3);
+    const buckets = new Uint16Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const r = rgba[i * 4], g = rgba[i * 4 + 1], b = rgba[i * 4 + 2];
+        const bucket = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        buckets[i] = bucket;
+        counts[bucket]++;
+        sums[bucket * 3] += r;
+        sums[bucket * 3 + 1] += g;
+        sums[bucket * 3 + 2] += b;
+    }
+
+    const used = [];
+    counts.forEach((count, bucket) => count > 0 && used.push(bucket));
+    used.sort((a, b) => counts[b] - counts[a]);
+    const chosen = used.slice(0, COLOR_TABLE_SIZE);
+
+    const palette = new Uint8Array(COLOR_TABLE_SIZE * 3);
+    chosen.forEach((bucket, index) => {
+        for (let channel = 0; channel < 3; channel++) {
+            palette[index * 3 + channel] = Math.round(sums[bucket * 3 + channel] / counts[bucket]);
+        }
+    });
+
+    // Buckets that did not make it into the table fall back to the nearest chosen color
+    const lookup = new Int16Array(1 << 15).fill(-1);
+    chosen.forEach((bucket, index) => { lookup[bucket] = index; });
+    const nearest = (bucket) => {
+        const r = (bucket >> 10) << 3, g = ((bucket >> 5) & 31) << 3, b = (bucket & 31) << 3;
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let index = 0; index < chosen.length; index++) {
+            const dr = palette[index * 3] - r, dg = palette[index * 3 + 1] - g, db = palette[index * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    };
+
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const bucket = buckets[i];
+        if (lookup[bucket] === -1) lookup[bucket] = nearest(bucket);
+        indices[i] = lookup[bucket];
+    }
+    return { palette, indices };
+};
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ * @param {Uint8Array} indices - One palette index per pixel
+ * @returns {number[]} - Bytes starting with the minimum code size and ending with the block terminator
+ */
+export const lzwEncode = (indices) => {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = MIN_CODE_SIZE + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = prefix * 256 + indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === MAX_CODE) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = MIN_CODE_SIZE + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+    const blocks = [MIN_CODE_SIZE];
+    for (let offset = 0; offset < bytes.length; offset += 255) {
+        const block = bytes.slice(offset, offset + 255);
+        blocks.push(block.length, ...block);
+    }
+    blocks.push(0);
+    return blocks;
+};
+
+const uint16 = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+/**
+ * Start a looping GIF; frames are encoded as they are added so only one is held in memory
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {Object} [options] - { delay: milliseconds per frame, loop: 0 for forever }
+ * @returns {{ addFrame: Function, finish: Function }} - addFrame(rgba, delay?) and finish() → Blob
+ */
+export const createGifEncoder = (width, height, { delay = 1000, loop = 0 } = {}) => {
+    const chunks = [
+        new Uint8Array([
+            ...'GIF89a'.split('').map(char => char.charCodeAt(0)),
+            ...uint16(width), ...uint16(height), 0, 0, 0,
+            // NETSCAPE2.0 application extension: repeat count
+            0x21, 0xff, 0x0b, ...'NETSCAPE2.0'.split('').map(char => char.charCodeAt(0)), 0x03, 0x01, ...uint16(loop), 0x00
+        ])
+    ];
+
+    const addFrame = (rgba, frameDelay = delay) => {
+        if (rgba.length !== width * height * 4) {
+            throw new Error(`Frame is ${rgba.length / 4} pixels, expected ${width}×${height}`);
+        }
+        const { palette, indices } = quantizeFrame(rgba);
+        chunks.push(
+            new Uint8Array([0x21, 0xf9, 0x04, 0x00, ...uint16(Math.round(frameDelay / 10)), 0x00, 0x00]),
+            new Uint8Array([0x2c, 0, 0, 0, 0, ...uint16(width), ...uint16(height), 0x80 | (MIN_CODE_SIZE - 1)]),
+            palette,
+            new Uint8Array(lzwEncode(indices))
+        );
+    };
+
+    const finish = () => new Blob([...chunks, new Uint8Array([0x3b])], { type: 'image/gif' });
+
+    return { addFrame, finish };
+};
+
+export default createGifEncoder;
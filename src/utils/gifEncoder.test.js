@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { createGifEncoder, lzwEncode, quantizeFrame } from './gifEncoder';
+
+// Reference GIF LZW decoder: sub-blocks in, palette indices out
+const lzwDecode = (bytes) => {
+    const minCodeSize = bytes[0];
+    const data = [];
+    for (let offset = 1; bytes[offset] !== 0; offset += bytes[offset] + 1) {
+        data.push(...bytes.slice(offset + 1, offset + 1 + bytes[offset]));
+    }
+
+    const clearCode = 1 << minCodeSize;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let table = [];
+    let previous = null;
+    let bitPosition = 0;
+    const reset = () => {
+        table = Array.from({ length: clearCode + 2 }, (_, index) => [index]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    while (bitPosition + codeSize <= data.length * 8) {
+        let code = 0;
+        for (let bit = 0; bit < codeSize; bit++, bitPosition++) {
+            code |= ((data[bitPosition >> 3] >> (bitPosition & 7)) & 1) << bit;
+        }
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === clearCode + 1) break;
+        const entry = code < table.length ? table[code] : [...previous, previous[0]];
+        output.push(...entry);
+        if (previous) table.push([...previous, entry[0]]);
+        if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+        previous = entry;
+    }
+    return output;
+};
+
+const solidFrame = (width, height, [r, g, b]) => {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < rgba.length; i += 4) rgba.set([r, g, b, 255], i);
+    return rgba;
+};
+
+describe('lzwEncode', () => {
+    it('round-trips repetitive and noisy data past the 4096 code limit', () => {
+        const repetitive = Uint8Array.from({ length: 5000 }, (_, i) => i % 3);
+        let seed = 7;
+        const noisy = Uint8Array.from({ length: 20000 }, () => (seed = (seed * 1103515245 + 12345) % 2147483648) & 0xff);
+
+        expect(lzwDecode(lzwEncode(repetitive))).toEqual([...repetitive]);
+        expect(lzwDecode(lzwEncode(noisy))).toEqual([...noisy]);
+    });
+});
+
+describe('quantizeFrame', () => {
+    it('keeps exact colors when a frame has few of them', () => {
+        const rgba = new Uint8ClampedArray([255, 255, 255, 255, 239, 68, 68, 255, 255, 255, 255, 255]);
+        const { palette, indices } = quantizeFrame(rgba);
+        expect([...palette.slice(indices[1] * 3, indices[1] * 3 + 3)]).toEqual([239, 68, 68]);
+        expect(indices[0]).toBe(indices[2]);
+    });
+});
+
+describe('createGifEncoder', () => {
+    it('writes a looping GIF89a with one image per frame', async () => {
+        const encoder = createGifEncoder(3, 2, { delay: 500 });
+        encoder.addFrame(solidFrame(3, 2, [255, 255, 255]));
+        encoder.addFrame(solidFrame(3, 2, [59, 130, 246]), 250);
+        const bytes = new Uint8Array(await encoder.finish().arrayBuffer());
+
+        expect(new TextDecoder().decode(bytes.slice(0, 6))).toBe('GIF89a');
+        expect([bytes[6], bytes[8]]).toEqual([3, 2]);
+        expect(new TextDecoder().decode(bytes.slice(16, 27))).toBe('NETSCAPE2.0');
+        expect(bytes.filter((byte, index) => byte === 0x21 && bytes[index + 1] === 0xf9)).toHaveLength(2);
+        expect(bytes.at(-1)).toBe(0x3b);
+    });
+
+    it('rejects frames of the wrong size', () => {
+        expect(() => createGifEncoder(2, 2).addFrame(solidFrame(1, 1, [0, 0, 0]))).toThrow('expected 2×2');
+    });
+});
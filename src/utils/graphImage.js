@@ -0,0 +1,204 @@
+/**
+ * Graph Image Export
+ *
+ * Draws React Flow nodes and edges, with whatever styles they currently carry,
+ * into a standalone SVG, and rasterizes that SVG for PNG and GIF output.
+ * Edge routes come from React Flow's own path helpers, and the layered layout's
+ * back-edge router, so the image matches the canvas.
+ */
+import { getBezierPath, getSmoothStepPath, getStraightPath, MarkerType, Position } from 'reactflow';
+import { routeBackEdge } from '../core/graphLayout';
+
+// Size of a node React Flow has not measured yet
+const DEFAULT_NODE_SIZE = { width: 60, height: 40 };
+const FONT_FAMILY = 'Inter, system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+// Browsers refuse to allocate canvases much larger than this
+export const MAX_CANVAS_PIXELS = 16384 * 16384 / 4;
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const attributes = (values) => Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+
+// "2px dashed #9CA3AF" → { width: 2, dash: '4,3', color: '#9CA3AF' }
+const parseBorder = (border = '1px solid #1a192b') => {
+    const width = parseFloat(border) || 1;
+    const color = border.split(/\s+/).find(part => part.startsWith('#') || part.startsWith('rgb')) || '#1a192b';
+    const dash = /dashed/.test(border) ? '4,3' : /dotted/.test(border) ? '1,2' : undefined;
+    return { width, dash, color };
+};
+
+const nodeBox = (node) => {
+    const position = node.positionAbsolute || node.position;
+    return {
+        x: position.x,
+        y: position.y,
+        width: node.width || DEFAULT_NODE_SIZE.width,
+        height: node.height || DEFAULT_NODE_SIZE.height
+    };
+};
+
+// Handle anchor on the side of a node box, where React Flow attaches the edge
+const handlePoint = (box, position) => {
+    switch (position) {
+        case Position.Top: return { x: box.x + box.width / 2, y: box.y };
+        case Position.Left: return { x: box.x, y: box.y + box.height / 2 };
+        case Position.Right: return { x: box.x + box.width, y: box.y + box.height / 2 };
+        default: return { x: box.x + box.width / 2, y: box.y + box.height };
+    }
+};
+
+const edgePath = (edge, source, target) => {
+    const sourcePosition = source.node.sourcePosition || Position.Bottom;
+    const targetPosition = target.node.targetPosition || Position.Top;
+    const from = handlePoint(source.box, sourcePosition);
+    const to = handlePoint(target.box, targetPosition);
+    const params = { sourceX: from.x, sourceY: from.y, sourcePosition, targetX: to.x, targetY: to.y, targetPosition };
+    if (edge.type === 'back') return routeBackEdge({ ...params, laneX: edge.data?.laneX });
+    if (edge.type === 'smoothstep') return getSmoothStepPath(params);
+    if (edge.type === 'step') return getSmoothStepPath({ ...params, borderRadius: 0 });
+    if (edge.type === 'straight') return getStraightPath(params);
+    return getBezierPath(params);
+};
+
+// Same shapes as React Flow's built-in arrow markers
+const markerDefinition = (id, type, color) => `<marker id="${id}" markerWidth="12.5" markerHeight="12.5" viewBox="-10 -10 20 20" markerUnits="strokeWidth" orient="auto-start-reverse" refX="0" refY="0">`
+    + (type === MarkerType.Arrow
+        ? `<polyline${attributes({ stroke: color, fill: 'none', 'stroke-width': 1, 'stroke-linecap': 'round', 'stroke-linejoin': 'round' })} points="-5,-4 0,0 -5,4"/>`
+        : `<polyline${attributes({ stroke: color, fill: color, 'stroke-width': 1, 'stroke-linecap': 'round', 'stroke-linejoin': 'round' })} points="-5,-4 0,0 -5,4 -5,-4"/>`)
+    + '</marker>';
+
+/**
+ * Render nodes and edges as a standalone SVG document
+ * @param {Array} nodes - React Flow nodes; measured width/height are used when present
+ * @param {Array} edges - React Flow edges; animated edges are drawn dashed as on the canvas
+ * @param {Object} [options] - { scale: output pixels per canvas pixel, padding, background }
+ * @returns {{ svg: string, width: number, height: number }} - Document and its pixel size
+ */
+export const renderGraphSVG = (nodes, edges, { scale = 1, padding = 40, background = '#FFFFFF' } = {}) => {
+    const placed = new Map(nodes.filter(node => !node.hidden).map(node => [node.id, { node, box: nodeBox(node) }]));
+    const routes = edges
+        .filter(edge => !edge.hidden && placed.has(edge.source) && placed.has(edge.target))
+        .map(edge => ({ edge, route: edgePath(edge, placed.get(edge.source), placed.get(edge.target)) }));
+
+    // Back-edge lanes run outside the nodes, so they count towards the bounds too
+    const bounds = [...placed.values()].reduce((box, { box: node }) => ({
+        minX: Math.min(box.minX, node.x),
+        minY: Math.min(box.minY, node.y),
+        maxX: Math.max(box.maxX, node.x + node.width),
+        maxY: Math.max(box.maxY, node.y + node.height)
+    }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+    routes.forEach(({ edge, route }) => {
+        if (edge.type === 'back') bounds.maxX = Math.max(bounds.maxX, route[1]);
+    });
+    const minX = placed.size ? bounds.minX - padding : 0;
+    const minY = placed.size ? bounds.minY - padding : 0;
+    const viewWidth = (placed.size ? bounds.maxX + padding : padding * 2) - minX;
+    const viewHeight = (placed.size ? bounds.maxY + padding : padding * 2) - minY;
+
+    const markers = new Map();
+    const markerId = (marker) => {
+        const type = marker.type || MarkerType.ArrowClosed;
+        const color = marker.color || '#b1b1b7';
+        const key = `${type}:${color}`;
+        if (!markers.has(key)) markers.set(key, { id: `marker-${markers.size}`, type, color });
+        return markers.get(key).id;
+    };
+
+    const edgeElements = routes.map(({ edge, route: [path, labelX, labelY] }) => {
+        const style = edge.style || {};
+        const element = `<path${attributes({
+            d: path,
+            fill: 'none',
+            stroke: style.stroke || '#b1b1b7',
+            'stroke-width': style.strokeWidth || 1,
+            'stroke-dasharray': style.strokeDasharray || (edge.animated ? '5' : undefined),
+            opacity: style.opacity,
+            'marker-end': edge.markerEnd ? `url(#${markerId(typeof edge.markerEnd === 'string' ? { type: edge.markerEnd } : edge.markerEnd)})` : undefined
+        })}/>`;
+        if (!edge.label) return element;
+
+        const labelStyle = edge.labelStyle || {};
+        const labelWidth = String(edge.label).length * 6.5 + 8;
+        return element
+            + `<rect${attributes({ x: labelX - labelWidth / 2, y: labelY - 9, width: labelWidth, height: 18, rx: 2, fill: '#FFFFFF', opacity: style.opacity })}/>`
+            + `<text${attributes({
+                x: labelX, y: labelY, 'text-anchor': 'middle', 'dominant-baseline': 'central',
+                'font-family': FONT_FAMILY, 'font-size': 10, 'font-weight': labelStyle.fontWeight,
+                fill: labelStyle.fill || '#222222', opacity: style.opacity
+            })}>${escapeXml(edge.label)}</text>`;
+    });
+
+    const nodeElements = [...placed.values()].map(({ node, box }) => {
+        const style = node.style || {};
+        const border = parseBorder(style.border);
+        const label = typeof node.data?.label === 'string' || typeof node.data?.label === 'number' ? node.data.label : node.id;
+        return `<g${attributes({ opacity: style.opacity })}>`
+            + `<rect${attributes({
+                x: box.x + border.width / 2, y: box.y + border.width / 2,
+                width: box.width - border.width, height: box.height - border.width,
+                rx: parseFloat(style.borderRadius) || 3,
+                fill: style.background || '#FFFFFF',
+                stroke: border.color, 'stroke-width': border.width, 'stroke-dasharray': border.dash
+            })}/>`
+            + `<text${attributes({
+                x: box.x + box.width / 2, y: box.y + box.height / 2, 'text-anchor': 'middle', 'dominant-baseline': 'central',
+                'font-family': FONT_FAMILY, 'font-size': parseFloat(style.fontSize) || 12,
+                'font-weight': style.fontWeight, 'font-style': style.fontStyle, fill: style.color || '#222222'
+            })}>${escapeXml(label)}</text>`
+            + '</g>';
+    });
+
+    const width = Math.ceil(viewWidth * scale);
+    const height = Math.ceil(viewHeight * scale);
+    const svg = [
+        `<svg xmlns="http://www.w3.org/2000/svg"${attributes({ width, height, viewBox: `${minX} ${minY} ${viewWidth} ${viewHeight}` })}>`,
+        `<defs>${[...markers.values()].map(({ id, type, color }) => markerDefinition(id, type, color)).join('')}</defs>`,
+        `<rect${attributes({ x: minX, y: minY, width: viewWidth, height: viewHeight, fill: background })}/>`,
+        ...edgeElements,
+        ...nodeElements,
+        '</svg>'
+    ].join('\n');
+    return { svg, width, height };
+};
+
+/**
+ * Draw an SVG document onto a new canvas of its pixel size
+ * @param {{ svg: string, width: number, height: number }} image - renderGraphSVG result
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const rasterizeSVG = async ({ svg, width, height }) => {
+    if (width * height > MAX_CANVAS_PIXELS) {
+        throw new Error(`A ${width}×${height} image is too large; choose a lower resolution.`);
+    }
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('The graph image could not be rendered.'));
+            image.src = url;
+        });
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        return canvas;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>} - PNG data
+ */
+export const canvasToPNG = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The PNG could not be encoded.'))), 'image/png');
+});
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { MarkerType } from 'reactflow';
+import { renderGraphSVG } from './graphImage';
+
+const nodes = [
+    { id: '1', data: { label: '1' }, position: { x: 0, y: 0 }, width: 60, height: 40, style: { border: '2px solid #EF4444', background: '#FEF2F2', color: '#B91C1C' } },
+    { id: '2', data: { label: 'A & B' }, position: { x: 100, y: 200 }, width: 80, height: 40, style: { opacity: 0.3 } }
+];
+
+describe('renderGraphSVG', () => {
+    it('sizes the image to the nodes, padding and scale', () => {
+        const { svg, width, height } = renderGraphSVG(nodes, [], { scale: 2, padding: 10 });
+        expect([width, height]).toEqual([400, 520]);
+        expect(svg).toContain('viewBox="-10 -10 200 260"');
+    });
+
+    it('keeps node and highlight styles', () => {
+        const edges = [{
+            id: 'e1-2', source: '1', target: '2', type: 'smoothstep', animated: true,
+            style: { stroke: '#EC4899', strokeWidth: 3, strokeDasharray: '5,5' },
+            markerEnd: { type: MarkerType.ArrowClosed, color: '#EC4899' },
+            label: 'TO DELETE', labelStyle: { fill: '#EC4899', fontWeight: 700 }
+        }];
+        const { svg } = renderGraphSVG(nodes, edges);
+
+        expect(svg).toContain('fill="#FEF2F2" stroke="#EF4444" stroke-width="2"');
+        expect(svg).toContain('<g opacity="0.3">');
+        expect(svg).toContain('A &amp; B</text>');
+        expect(svg).toMatch(/<path d="M[^"]+" fill="none" stroke="#EC4899" stroke-width="3" stroke-dasharray="5,5" marker-end="url\(#marker-0\)"\/>/);
+        expect(svg).toContain('<marker id="marker-0"');
+        expect(svg).toContain('>TO DELETE</text>');
+    });
+
+    it('widens the image to fit back-edge lanes', () => {
+        const back = { id: 'e2-1', source: '2', target: '1', type: 'back', data: { laneX: 300 } };
+        const { svg, width } = renderGraphSVG(nodes, [back], { padding: 10 });
+        expect(width).toBe(320);
+        expect(svg).toContain('H 300');
+    });
+
+    it('skips edges to nodes that are not drawn', () => {
+        expect(renderGraphSVG(nodes, [{ id: 'e', source: '1', target: '9' }]).svg).not.toContain('<path');
+    });
+});
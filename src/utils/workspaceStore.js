@@ -0,0 +1,159 @@
+/**
+ * Workspace Store
+ *
+ * Named workspaces kept in the browser's IndexedDB, so that a graph and the work done
+ * on it survive a page refresh. A workspace holds the JSON input, the start node, the
+ * canvas layout and node positions, the latest analysis result and the applied fixes.
+ */
+
+const DB_NAME = 'patlytics-cycles';
+const DB_VERSION = 1;
+const STORE_NAME = 'workspaces';
+
+/**
+ * IndexedDB is missing (e.g. some private windows) or a request failed
+ */
+export class WorkspaceStoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkspaceStoreError';
+    }
+}
+
+/**
+ * A name that none of the existing workspaces uses: the name itself, or "name (2)", "name (3)", …
+ * @param {string} name
+ * @param {string[]} existingNames
+ * @returns {string}
+ */
+export const uniqueWorkspaceName = (name, existingNames) => {
+    const taken = new Set(existingNames);
+    const base = name.trim() || 'Untitled';
+    if (!taken.has(base)) return base;
+    const stem = base.replace(/ \(\d+\)$/, '');
+    let n = 2;
+    while (taken.has(`${stem} (${n})`)) n++;
+    return `${stem} (${n})`;
+};
+
+/**
+ * Workspace record with defaults for every field
+ * @param {Object} fields - { id?, name, input, targetPatent, layout, positions, analysis, lastFix, fixHistory, createdAt? }
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export const createWorkspaceRecord = (fields, now = new Date()) => ({
+    id: fields.id || `ws-${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: fields.name,
+    input: fields.input,
+    targetPatent: fields.targetPatent ?? null,
+    layout: fields.layout ?? null,
+    positions: fields.positions || {},
+    analysis: fields.analysis ?? null,
+    lastFix: fields.lastFix ?? null,
+    fixHistory: fields.fixHistory || [],
+    createdAt: fields.createdAt || now.toISOString(),
+    updatedAt: now.toISOString()
+});
+
+// Resolve an IDBRequest or IDBTransaction as a promise
+const settle = (request, event = 'success') => new Promise((resolve, reject) => {
+    request.addEventListener(event, () => resolve(request.result));
+    request.addEventListener('error', () => reject(new WorkspaceStoreError(request.error ? request.error.message : 'IndexedDB request failed')));
+});
+
+/**
+ * Open the workspace store; the database is opened on first use
+ * @param {Object} [options] - { indexedDB: factory to use (default the browser's) }
+ * @returns {Object} - { list, get, save, rename, duplicate, remove }, every method returning a promise
+ */
+export const createWorkspaceStore = ({ indexedDB = globalThis.indexedDB } = {}) => {
+    let opening = null;
+
+    const open = () => {
+        if (!indexedDB) return Promise.reject(new WorkspaceStoreError('IndexedDB is not available in this browser'));
+        if (!opening) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.addEventListener('upgradeneeded', () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            });
+            opening = settle(request);
+            opening.catch(() => { opening = null; });
+        }
+        return opening;
+    };
+
+    // Run one request against the object store and wait for its transaction
+    const perform = async (mode, operation) => {
+        const db = await open();
+        const transaction = db.transaction(STORE_NAME, mode);
+        const [result] = await Promise.all([settle(operation(transaction.objectStore(STORE_NAME))), settle(transaction, 'complete')]);
+        return result;
+    };
+
+    const get = async (id) => {
+        const workspace = await perform('readonly', store => store.get(id));
+        if (!workspace) throw new WorkspaceStoreError(`Workspace "${id}" not found`);
+        return workspace;
+    };
+
+    const list = async () => {
+        const all = await perform('readonly', store => store.getAll());
+        return all.sort((a, b) => a.name.localeCompare(b.name));
+    };
+
+    const put = async (workspace) => {
+        await perform('readwrite', store => store.put(workspace));
+        return workspace;
+    };
+
+    return {
+        /**
+         * Every workspace, by name
+         * @returns {Promise<Object[]>}
+         */
+        list,
+
+        /**
+         * @param {string} id
+         * @returns {Promise<Object>}
+         * @throws {WorkspaceStoreError} - When there is no such workspace
+         */
+        get,
+
+        /**
+         * Create a workspace, or overwrite the one with the same id
+         * @param {Object} fields - As for createWorkspaceRecord; pass createdAt along when overwriting
+         * @returns {Promise<Object>} - The stored record
+         */
+        save: (fields) => put(createWorkspaceRecord(fields)),
+
+        /**
+         * @param {string} id
+         * @param {string} name
+         * @returns {Promise<Object>}
+         */
+        rename: async (id, name) => put({ ...await get(id), name, updatedAt: new Date().toISOString() }),
+
+        /**
+         * Copy a workspace under a new id
+         * @param {string} id
+         * @param {string} name - Name of the copy
+         * @returns {Promise<Object>}
+         */
+        duplicate: async (id, name) => {
+            const fields = { ...await get(id) };
+            delete fields.id;
+            delete fields.createdAt;
+            return put(createWorkspaceRecord({ ...fields, name }));
+        },
+
+        /**
+         * @param {string} id
+         * @returns {Promise<void>}
+         */
+        remove: async (id) => { await perform('readwrite', store => store.delete(id)); }
+    };
+};
+
+export default createWorkspaceStore;
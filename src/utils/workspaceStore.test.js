@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { WorkspaceStoreError, createWorkspaceRecord, createWorkspaceStore, uniqueWorkspaceName } from './workspaceStore';
+
+describe('uniqueWorkspaceName', () => {
+    it('numbers names that are taken', () => {
+        expect(uniqueWorkspaceName('Family A', [])).toBe('Family A');
+        expect(uniqueWorkspaceName('Family A', ['Family A'])).toBe('Family A (2)');
+        expect(uniqueWorkspaceName('Family A (2)', ['Family A', 'Family A (2)'])).toBe('Family A (3)');
+        expect(uniqueWorkspaceName('  ', [])).toBe('Untitled');
+    });
+});
+
+describe('createWorkspaceRecord', () => {
+    it('fills in defaults and stamps the time', () => {
+        const now = new Date(Date.UTC(2026, 0, 2));
+        const record = createWorkspaceRecord({ name: 'Family A', input: '{}' }, now);
+        expect(record).toEqual({
+            id: expect.stringMatching(/^ws-/),
+            name: 'Family A',
+            input: '{}',
+            targetPatent: null,
+            layout: null,
+            positions: {},
+            analysis: null,
+            lastFix: null,
+            fixHistory: [],
+            createdAt: '2026-01-02T00:00:00.000Z',
+            updatedAt: '2026-01-02T00:00:00.000Z'
+        });
+    });
+
+    it('keeps the id and creation time of an existing workspace', () => {
+        const record = createWorkspaceRecord({ id: 'ws-1', name: 'A', input: '{}', createdAt: '2020-01-01T00:00:00.000Z' });
+        expect(record.id).toBe('ws-1');
+        expect(record.createdAt).toBe('2020-01-01T00:00:00.000Z');
+    });
+});
+
+// Just enough of IndexedDB for the store: one object store keyed by id, records
+// cloned on the way in and out, requests and transactions settling on a later tick
+const createMemoryIndexedDB = () => {
+    const records = new Map();
+    let upgraded = false;
+    const request = (compute, after = () => {}) => {
+        const target = new EventTarget();
+        setTimeout(() => {
+            target.result = compute();
+            target.dispatchEvent(new Event('success'));
+            after();
+        });
+        return target;
+    };
+    const db = {
+        createObjectStore: () => { upgraded = true; },
+        transaction: () => {
+            const transaction = new EventTarget();
+            const run = (compute) => request(compute, () => transaction.dispatchEvent(new Event('complete')));
+            transaction.objectStore = () => ({
+                get: (id) => run(() => structuredClone(records.get(id))),
+                getAll: () => run(() => [...records.values()].map(record => structuredClone(record))),
+                put: (record) => run(() => { records.set(record.id, structuredClone(record)); return record.id; }),
+                delete: (id) => run(() => { records.delete(id); })
+            });
+            return transaction;
+        }
+    };
+    return {
+        open: () => {
+            const opening = new EventTarget();
+            setTimeout(() => {
+                opening.result = db;
+                if (!upgraded) opening.dispatchEvent(new Event('upgradeneeded'));
+                opening.dispatchEvent(new Event('success'));
+            });
+            return opening;
+        }
+    };
+};
+
+describe('createWorkspaceStore', () => {
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date(Date.UTC(2026, 0, 2)));
+    });
+    afterEach(() => vi.useRealTimers());
+
+    const fields = { name: 'Family A', input: '{"1":["2"],"2":["1"]}', targetPatent: '1', positions: { 1: { x: 0, y: 0 } }, fixHistory: [{ removedEdges: [{ source: '2', target: '1' }] }] };
+
+    it('rejects every call when IndexedDB is unavailable', async () => {
+        const store = createWorkspaceStore({ indexedDB: null });
+        await expect(store.list()).rejects.toThrow(WorkspaceStoreError);
+    });
+
+    it('returns a saved workspace unchanged from get and list', async () => {
+        const store = createWorkspaceStore({ indexedDB: createMemoryIndexedDB() });
+        const saved = await store.save(fields);
+        expect(saved).toMatchObject(fields);
+        expect(await store.get(saved.id)).toEqual(saved);
+        expect(await store.list()).toEqual([saved]);
+    });
+
+    it('lists workspaces by name and rejects unknown ids', async () => {
+        const store = createWorkspaceStore({ indexedDB: createMemoryIndexedDB() });
+        await store.save({ ...fields, name: 'Zeta' });
+        await store.save({ ...fields, name: 'Alpha' });
+        expect((await store.list()).map(workspace => workspace.name)).toEqual(['Alpha', 'Zeta']);
+        await expect(store.get('ws-missing')).rejects.toThrow('Workspace "ws-missing" not found');
+    });
+
+    it('keeps the id and creation time when renaming', async () => {
+        const store = createWorkspaceStore({ indexedDB: createMemoryIndexedDB() });
+        const saved = await store.save(fields);
+        vi.setSystemTime(new Date(Date.UTC(2026, 0, 3)));
+        const renamed = await store.rename(saved.id, 'Family B');
+        expect(renamed).toEqual({ ...saved, name: 'Family B', updatedAt: '2026-01-03T00:00:00.000Z' });
+        expect(await store.get(saved.id)).toEqual(renamed);
+    });
+
+    it('gives a duplicate its own id, a unique name and a fresh creation time', async () => {
+        const store = createWorkspaceStore({ indexedDB: createMemoryIndexedDB() });
+        const saved = await store.save(fields);
+        vi.setSystemTime(new Date(Date.UTC(2026, 0, 3)));
+        const names = (await store.list()).map(workspace => workspace.name);
+        const copy = await store.duplicate(saved.id, uniqueWorkspaceName(saved.name, names));
+        expect(copy.id).not.toBe(saved.id);
+        expect(copy).toEqual({
+            ...saved,
+            id: copy.id,
+            name: 'Family A (2)',
+            createdAt: '2026-01-03T00:00:00.000Z',
+            updatedAt: '2026-01-03T00:00:00.000Z'
+        });
+        expect(await store.get(saved.id)).toEqual(saved);
+        expect((await store.list()).map(workspace => workspace.name)).toEqual(['Family A', 'Family A (2)']);
+    });
+
+    it('deletes a removed workspace', async () => {
+        const store = createWorkspaceStore({ indexedDB: createMemoryIndexedDB() });
+        const kept = await store.save({ ...fields, name: 'Kept' });
+        const removed = await store.save(fields);
+        await store.remove(removed.id);
+        await expect(store.get(removed.id)).rejects.toThrow(WorkspaceStoreError);
+        expect(await store.list()).toEqual([kept]);
+    });
+});
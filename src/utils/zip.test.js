@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { crc32, createZip } from './zip';
+
+describe('crc32', () => {
+    it('matches the standard check value', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    });
+});
+
+describe('createZip', () => {
+    it('stores every file with a matching central directory', () => {
+        const files = [
+            { name: 'step-1.png', data: new Uint8Array([1, 2, 3]) },
+            { name: 'step-2.png', data: new Uint8Array([4, 5]) }
+        ];
+        const archive = createZip(files, { modified: new Date(2024, 0, 2, 3, 4, 6) });
+        const view = new DataView(archive.buffer);
+        const end = archive.length - 22;
+
+        expect(view.getUint32(end, true)).toBe(0x06054b50);
+        expect(view.getUint16(end + 10, true)).toBe(2);
+
+        let central = view.getUint32(end + 16, true);
+        files.forEach(({ name, data }) => {
+            expect(view.getUint32(central, true)).toBe(0x02014b50);
+            expect(view.getUint32(central + 16, true)).toBe(crc32(data));
+            const local = view.getUint32(central + 42, true);
+            const nameLength = view.getUint16(local + 26, true);
+            expect(new TextDecoder().decode(archive.slice(local + 30, local + 30 + nameLength))).toBe(name);
+            expect([...archive.slice(local + 30 + nameLength, local + 30 + nameLength + data.length)]).toEqual([...data]);
+            central += 46 + nameLength;
+        });
+    });
+});
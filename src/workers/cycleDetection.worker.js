@@ -0,0 +1,38 @@
+/**
+ * Cycle Detection Worker
+ *
+ * Runs the cycle detection algorithms, the reachability queries and metrics, and
+ * the graph diff and filing date check built on them, off the main thread so that
+ * large graphs don't freeze the page.
+ * Cancellation is done by terminating the worker.
+ *
+ * Messages in:  { id, method, args, options }
+ * Messages out: { id, type: 'progress', visited, total }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+import * as cycleDetection from '../core/cycleDetection';
+import * as graphQueries from '../core/graphQueries';
+import { computeGraphMetrics } from '../core/graphMetrics';
+import { diffGraphs } from '../core/graphDiff';
+import { checkTemporalConsistency } from '../core/temporalConsistency';
+
+const algorithms = { ...cycleDetection, ...graphQueries, computeGraphMetrics, diffGraphs, checkTemporalConsistency };
+
+self.onmessage = ({ data }) => {
+    const { id, method, args = [], options = {} } = data;
+
+    if (typeof algorithms[method] !== 'function') {
+        self.postMessage({ id, type: 'error', message: `Unknown method "${method}"` });
+        return;
+    }
+
+    const onProgress = (visited, total) => self.postMessage({ id, type: 'progress', visited, total });
+
+    try {
+        const result = algorithms[method](...args, { ...options, onProgress });
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,46 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+
+// The worker script talks to `self`; stand in for the worker global scope
+const posted = [];
+beforeAll(async () => {
+    vi.stubGlobal('self', { postMessage: (message) => posted.push(message) });
+    await import('./cycleDetection.worker');
+});
+
+const send = (data) => {
+    posted.length = 0;
+    self.onmessage({ data });
+    return [...posted];
+};
+
+describe('cycle detection worker', () => {
+    it('replies with the result of the requested algorithm', () => {
+        const messages = send({ id: 1, method: 'runDetection', args: [{ 1: ['2'], 2: ['1'] }, '1'] });
+        expect(messages.at(-1)).toEqual({ id: 1, type: 'result', result: { found: true, path: ['1', '2'], loopPath: ['1', '2', '1'] } });
+    });
+
+    it('reports progress before the result', () => {
+        const graphData = Object.fromEntries(Array.from({ length: 2000 }, (_, i) => [String(i), [String(i + 1)]]));
+        const messages = send({ id: 2, method: 'topologicalSort', args: [graphData] });
+        expect(messages.length).toBeGreaterThan(1);
+        messages.slice(0, -1).forEach(message => expect(message).toMatchObject({ id: 2, type: 'progress', total: 2001 }));
+        expect(messages.at(-1)).toMatchObject({ id: 2, type: 'result' });
+    });
+
+    it('passes options through', () => {
+        const [message] = send({ id: 3, method: 'findAllCycles', args: [{ a: ['b'], b: ['a', 'c'], c: ['a'] }, 'a'], options: { maxCycles: 1 } }).slice(-1);
+        expect(message.result).toMatchObject({ cycles: [['a', 'b', 'a']], truncated: true });
+    });
+
+    it('answers the transitive closure used by the query panel', () => {
+        const [message] = send({ id: 6, method: 'transitiveClosure', args: [{ a: ['b'], b: ['c', 'a'] }] }).slice(-1);
+        expect(message).toEqual({ id: 6, type: 'result', result: { a: ['a', 'b', 'c'], b: ['a', 'b', 'c'], c: [] } });
+    });
+
+    it('reports unknown methods and thrown errors', () => {
+        expect(send({ id: 4, method: 'deleteEverything' })).toEqual([{ id: 4, type: 'error', message: 'Unknown method "deleteEverything"' }]);
+        expect(send({ id: 5, method: 'runDetection', args: [null, '1'] })).toEqual([
+            { id: 5, type: 'error', message: expect.any(String) }
+        ]);
+    });
+});